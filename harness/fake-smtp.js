@@ -0,0 +1,80 @@
+/**
+ * Local SMTP stand-in for the simulated-call harness (harness/fake-smtp.js)
+ * - Speaks just enough plain SMTP (no TLS, no auth) for the bridge's mailer to deliver to it
+ * - Records every message as { from, to: [...], data } where `data` is the raw MIME message
+ */
+
+import { createServer } from 'net';
+
+export function createFakeSmtp() {
+  let messages = [];
+  const sockets = new Set();
+
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let envelope = { from: null, to: [] };
+    let collecting = false; // reading the message after DATA
+    let buffer = '';
+
+    function handleLine(line) {
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250 fake-smtp');
+      else if (command === 'MAIL') {
+        envelope.from = line.match(/<(.*)>/)?.[1] || null;
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.match(/<(.*)>/)?.[1]);
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        collecting = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else reply('250 OK');
+    }
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        if (collecting) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push({ ...envelope, data: buffer.slice(0, end).replace(/^\.\./gm, '.') });
+          buffer = buffer.slice(end + 5);
+          envelope = { from: null, to: [] };
+          collecting = false;
+          reply('250 OK: queued');
+          continue;
+        }
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        handleLine(line);
+      }
+    });
+
+    reply('220 fake-smtp ready');
+  });
+
+  return {
+    reset: () => (messages = []),
+    get messages() {
+      return messages;
+    },
+    listen: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Fake Twilio REST API for the simulated-call harness (harness/fake-twilio-api.js)
+ * - The bridge sends its Twilio REST requests here when TWILIO_API_URL is set (see server.js)
+ * - Records every text the bridge sends (Messages.json) as { from, to, body } and every call it places or
+ *   redirects (Calls.json, Calls/<sid>.json) as { sid, from, to, url, twiml }
+ * - Answers like Twilio does, with the created resource and a fresh SID
+ */
+
+import { createServer } from 'http';
+
+const ACCOUNT_PATH = /^\/2010-04-01\/Accounts\/[^/]+\//;
+
+export function createFakeTwilioApi() {
+  let messages = [];
+  let calls = [];
+  let counter = 0;
+  const sid = (prefix) => `${prefix}${String(++counter).padStart(32, '0')}`;
+
+  function handle(req, params) {
+    const resource = req.url.split('?')[0].replace(ACCOUNT_PATH, '');
+    if (req.method === 'POST' && resource === 'Messages.json') {
+      const message = { sid: sid('SM'), from: params.From, to: params.To, body: params.Body };
+      messages.push(message);
+      return { status: 201, body: { ...message, status: 'queued' } };
+    }
+    if (req.method === 'POST' && resource === 'Calls.json') {
+      const call = { sid: sid('CA'), from: params.From, to: params.To, url: params.Url || null, twiml: params.Twiml || null };
+      calls.push(call);
+      return { status: 201, body: { ...call, status: 'queued' } };
+    }
+    const update = resource.match(/^Calls\/([^/]+)\.json$/);
+    if (req.method === 'POST' && update) {
+      calls.push({ sid: update[1], url: params.Url || null, twiml: params.Twiml || null });
+      return { status: 200, body: { sid: update[1], status: 'in-progress' } };
+    }
+    return { status: 404, body: { code: 20404, message: `No fake for ${req.method} ${resource}`, status: 404 } };
+  }
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const { status, body } = handle(req, Object.fromEntries(new URLSearchParams(raw)));
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return {
+    reset() {
+      messages = [];
+      calls = [];
+    },
+    get messages() {
+      return messages;
+    },
+    get calls() {
+      return calls;
+    },
+    listen: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Fake Twilio for the simulated-call harness (harness/fake-twilio.js)
+ * - Posts a signed /incoming-call webhook, exactly as Twilio would, and reads the <Stream> parameters
+ * - Opens /media-stream and sends connected/start frames, then 20ms of caller silence every 20ms
+ * - Plays the bridge's audio back in real time: each mark is echoed once the audio sent before it has
+ *   played, and `clear` drops the queued audio and echoes pending marks right away (as Twilio does)
+ * - Sends `stop` on hangup
+ * - answerCall() picks up a call the bridge placed (/outbound-call) by posting its signed answer webhook
+ * - When the bridge answers with voicemail TwiML (<Record>) instead, posts the signed recording and
+ *   transcription callbacks Twilio would send after the caller leaves a message
+ * - sendText() posts a signed /incoming-sms webhook and returns the TwiML reply
+ */
+
+import twilio from 'twilio';
+import { WebSocket } from 'ws';
+
+const FRAME_MS = 20;
+const MULAW_BYTES_PER_MS = 8;
+const SILENCE_PAYLOAD = Buffer.alloc(160, 0xff).toString('base64');
+
+const decodeXml = (value) =>
+  value.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+async function postSigned(url, authToken, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': twilio.getExpectedTwilioSignature(authToken, url, params),
+    },
+    body: new URLSearchParams(params).toString(),
+  });
+  const text = await response.text();
+  if (!response.ok) throw new Error(`${new URL(url).pathname} returned ${response.status}: ${text}`);
+  return text;
+}
+
+/** Leaves a message: the <Record> action callback, then the transcription callback. */
+async function leaveVoicemail(twiml, { authToken, callSid, from, to, voicemail }) {
+  const record = twiml.match(/<Record\b[^>]*>/)[0];
+  const action = decodeXml(record.match(/\baction="([^"]*)"/)[1]);
+  const transcribeCallback = record.match(/\btranscribeCallback="([^"]*)"/);
+
+  const recordingSid = `RE${callSid.slice(2)}`;
+  const recording = {
+    CallSid: callSid,
+    From: from,
+    To: to,
+    RecordingSid: recordingSid,
+    RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/AC00000000000000000000000000000000/Recordings/${recordingSid}`,
+    RecordingDuration: String(voicemail.duration ?? 12),
+  };
+  await postSigned(action, authToken, recording);
+
+  if (transcribeCallback && voicemail.transcript !== undefined) {
+    await postSigned(decodeXml(transcribeCallback[1]), authToken, {
+      ...recording,
+      TranscriptionSid: `TR${callSid.slice(2)}`,
+      TranscriptionStatus: voicemail.transcript === null ? 'failed' : 'completed',
+      TranscriptionText: voicemail.transcript || '',
+    });
+  }
+}
+
+function parseStreamParameters(twiml) {
+  const params = {};
+  for (const match of twiml.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"\s*\/>/g)) {
+    params[match[1]] = match[2];
+  }
+  return params;
+}
+
+/**
+ * Places a simulated inbound call against the bridge at `baseUrl`. Resolves once the media stream is open
+ * with { callSid, twiml, received, voicemail, hangup(), close() }; `received` collects every frame the bridge sent.
+ * Calls sent to voicemail resolve after the message is left (`voicemail: true`, no stream).
+ */
+export async function placeCall({ baseUrl, authToken, callSid, from, to, voicemail = {} }) {
+  const params = { CallSid: callSid, From: from, To: to, CallStatus: 'ringing', Direction: 'inbound' };
+  const twiml = await postSigned(`${baseUrl}/incoming-call`, authToken, params);
+
+  if (/<Record\b/.test(twiml)) {
+    await leaveVoicemail(twiml, { authToken, callSid, from, to, voicemail });
+    return { callSid, twiml, received: [], voicemail: true, hangup() {}, close() {} };
+  }
+
+  return openStream({ baseUrl, callSid, twiml });
+}
+
+/**
+ * Picks up a call the bridge placed through the REST API: posts the signed answer webhook to the call's `url`
+ * and opens the media stream its TwiML asks for. Resolves like placeCall.
+ */
+export async function answerCall({ url, authToken, callSid, from, to }) {
+  const params = { CallSid: callSid, From: from, To: to, CallStatus: 'in-progress', Direction: 'outbound-api' };
+  const twiml = await postSigned(url, authToken, params);
+  if (!/<Stream\b/.test(twiml)) throw new Error(`${new URL(url).pathname} did not connect a stream: ${twiml}`);
+  return openStream({ baseUrl: new URL(url).origin, callSid, twiml });
+}
+
+async function openStream({ baseUrl, callSid, twiml }) {
+  const customParameters = parseStreamParameters(twiml);
+  const streamSid = `MZ${callSid.slice(2)}`;
+  const received = [];
+
+  const socket = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/media-stream`);
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  const send = (frame) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(frame));
+  };
+
+  // Playback clock: when the audio queued so far finishes playing
+  let playbackEndsAt = Date.now();
+  const pendingMarks = new Map(); // timer → mark
+  const echoMark = (mark) => send({ event: 'mark', streamSid, mark });
+
+  socket.on('message', (data) => {
+    const frame = JSON.parse(data.toString());
+    received.push(frame);
+    if (frame.event === 'media') {
+      const durationMs = Buffer.byteLength(frame.media.payload, 'base64') / MULAW_BYTES_PER_MS;
+      playbackEndsAt = Math.max(playbackEndsAt, Date.now()) + durationMs;
+    } else if (frame.event === 'mark') {
+      const timer = setTimeout(() => {
+        pendingMarks.delete(timer);
+        echoMark(frame.mark);
+      }, Math.max(0, playbackEndsAt - Date.now()));
+      pendingMarks.set(timer, frame.mark);
+    } else if (frame.event === 'clear') {
+      playbackEndsAt = Date.now();
+      for (const [timer, mark] of pendingMarks) {
+        clearTimeout(timer);
+        echoMark(mark);
+      }
+      pendingMarks.clear();
+    }
+  });
+
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+  send({
+    event: 'start',
+    sequenceNumber: '1',
+    start: {
+      streamSid,
+      callSid,
+      accountSid: 'AC00000000000000000000000000000000',
+      tracks: ['inbound'],
+      customParameters,
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+    },
+    streamSid,
+  });
+
+  const startedAt = Date.now();
+  let chunk = 0;
+  const mediaTimer = setInterval(() => {
+    chunk++;
+    send({
+      event: 'media',
+      streamSid,
+      media: { track: 'inbound', chunk: String(chunk), timestamp: String(Date.now() - startedAt), payload: SILENCE_PAYLOAD },
+    });
+  }, FRAME_MS);
+
+  return {
+    callSid,
+    twiml,
+    received,
+    voicemail: false,
+    hangup() {
+      clearInterval(mediaTimer);
+      pendingMarks.forEach((_, timer) => clearTimeout(timer));
+      send({ event: 'stop', streamSid, stop: { accountSid: 'AC00000000000000000000000000000000', callSid } });
+    },
+    close() {
+      clearInterval(mediaTimer);
+      pendingMarks.forEach((_, timer) => clearTimeout(timer));
+      socket.close();
+    },
+  };
+}
+
+/** Texts the business number: posts the signed /incoming-sms webhook and resolves to the bridge's TwiML reply. */
+export function sendText({ baseUrl, authToken, messageSid, from, to, body }) {
+  return postSigned(`${baseUrl}/incoming-sms`, authToken, { MessageSid: messageSid, From: from, To: to, Body: body, NumMedia: '0' });
+}
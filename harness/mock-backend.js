@@ -0,0 +1,118 @@
+/**
+ * Mock Supabase functions backend + n8n webhook receiver for the simulated-call harness (harness/mock-backend.js)
+ * - Records every backend request as 'METHOD /path' (relative to the functions base URL) with its JSON body
+ * - Serves the scenario's tenant settings and sensible defaults for every other route
+ * - Records every webhook the bridge delivers to /n8n
+ *
+ * Scenarios override routes with `backend: { 'POST /appointments/book': { status: 500, body: { ... } } }`;
+ * `:name` segments match any single path segment (e.g. 'PATCH /calls/:callSid'). A route with `text` instead of
+ * `body` answers with that plain text (e.g. a tenant HTTP tool that doesn't speak JSON).
+ */
+
+import { createServer } from 'http';
+
+export const FUNCTIONS_PREFIX = '/functions';
+export const WEBHOOK_PATH = '/n8n';
+
+const DEFAULT_ROUTES = {
+  'POST /calls/bridge-log': { body: { success: true } },
+  'PATCH /calls/:callSid': { body: { success: true } },
+  'POST /voicemails': { body: { success: true } },
+  'POST /usage': { body: { success: true } },
+  'GET /usage/:userId': { body: { totals: null } },
+  'POST /leads/realtime-update': { body: { success: true } },
+  'POST /appointments/availability': { body: { busy: [] } },
+  'POST /appointments/book': { body: { success: true, appointmentId: 'appt_sim_1', calendarEventCreated: true } },
+  'POST /appointments/find': { body: { appointments: [] } },
+  'POST /appointments/:id/reschedule': { body: { success: true } },
+  'POST /appointments/:id/cancel': { body: { success: true } },
+  'POST /sms-consent': { body: { success: true } },
+  'GET /sms-consent/:phone': { body: { record: null } },
+};
+
+export function routeMatches(pattern, key) {
+  const [patternMethod, patternPath] = pattern.split(' ');
+  const [method, path] = key.split(' ');
+  if (patternMethod !== method) return false;
+  const patternParts = patternPath.split('/');
+  const parts = path.split('/');
+  return patternParts.length === parts.length && patternParts.every((part, i) => part.startsWith(':') || part === parts[i]);
+}
+
+function findRoute(routes, key) {
+  const pattern = Object.keys(routes).find((p) => routeMatches(p, key));
+  return pattern ? routes[pattern] : null;
+}
+
+export function createMockBackend() {
+  let scenario = null;
+  let state = null;
+
+  function reset(nextScenario) {
+    scenario = nextScenario;
+    state = { requests: [], webhooks: [] };
+  }
+
+  function respond(request, route) {
+    // Route bodies may be functions of the request, e.g. to echo ids back
+    if (route.text !== undefined) return { status: route.status || 200, text: route.text };
+    const body = typeof route.body === 'function' ? route.body(request) : route.body;
+    return { status: route.status || 200, body: body ?? {} };
+  }
+
+  function handle(req, rawBody) {
+    const url = new URL(req.url, 'http://localhost');
+    let body = null;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : null;
+    } catch (_) {
+      body = rawBody;
+    }
+
+    if (url.pathname === WEBHOOK_PATH) {
+      state.webhooks.push({ headers: req.headers, body });
+      return { status: 200, body: { received: true } };
+    }
+
+    if (!url.pathname.startsWith(FUNCTIONS_PREFIX)) {
+      return { status: 404, body: { error: `No mock for ${req.method} ${url.pathname}` } };
+    }
+
+    const key = `${req.method} ${url.pathname.slice(FUNCTIONS_PREFIX.length)}`;
+    const request = { key, method: req.method, path: url.pathname.slice(FUNCTIONS_PREFIX.length), body };
+    state.requests.push(request);
+
+    if (req.method === 'GET' && routeMatches('GET /settings/by-phone/:phone', key)) {
+      const override = findRoute(scenario?.backend || {}, key);
+      if (override) return respond(request, override);
+      return scenario?.settings ? { status: 200, body: { settings: scenario.settings } } : { status: 404, body: { error: 'not_found' } };
+    }
+
+    const route = findRoute(scenario?.backend || {}, key) || findRoute(DEFAULT_ROUTES, key);
+    return route ? respond(request, route) : { status: 404, body: { error: `No mock for ${key}` } };
+  }
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const { status, body, text } = handle(req, raw);
+      if (text !== undefined) {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(text);
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return {
+    reset,
+    get state() {
+      return state;
+    },
+    listen: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
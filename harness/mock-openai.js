@@ -0,0 +1,231 @@
+/**
+ * Mock OpenAI server for the simulated-call harness (harness/mock-openai.js)
+ * - WebSocket /v1/realtime plays a scenario's scripted Realtime events to the bridge
+ * - POST /v1/chat/completions answers post-call analysis requests (JSON mode) and SMS replies (everything else,
+ *   answered with the scenario's `smsReplies` in order; each customer message is recorded in smsTurns)
+ *
+ * Script steps (run in order once the bridge connects; session.update is always acknowledged):
+ *   { expect: 'response.create' }                   wait for the bridge to send this client event
+ *   { say: 'Hi, thanks for calling!' }              receptionist turn: audio delta + transcript + response.done
+ *   { say: '...', audioMs: 4000 }                   ... with that much audio (in 200ms deltas, default 20ms)
+ *   { hear: 'I need an appointment' }               caller turn: input audio transcription
+ *   { call: 'book_appointment', args: { ... } }     function call; waits for the bridge's function_call_output
+ *   { send: { type: '...', ... } }                  any raw server event
+ *   { wait: 500 }                                   pause (ms)
+ *   { drop: true }                                  close the Realtime socket; the script continues on the
+ *                                                   bridge's next connection (after its session.update)
+ * When the script ends the caller hangs up.
+ *
+ * POST /v1/audio/speech returns half a second of silence so the bridge's hold prompt can render.
+ */
+
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+
+const STEP_TIMEOUT_MS = 10000;
+
+// 20ms of mu-law silence
+const SILENCE_DELTA = Buffer.alloc(160, 0xff).toString('base64');
+const SILENCE_DELTA_200MS = Buffer.alloc(1600, 0xff).toString('base64');
+
+// Token usage reported with every scripted receptionist turn
+const SAY_USAGE = {
+  total_tokens: 400,
+  input_tokens: 300,
+  output_tokens: 100,
+  input_token_details: { text_tokens: 250, audio_tokens: 50, cached_tokens: 0 },
+  output_token_details: { text_tokens: 20, audio_tokens: 80 },
+};
+
+export function createMockOpenAI() {
+  let scenario = null;
+  let state = null;
+
+  // The script outlives individual connections: steps always talk to the latest socket
+  let socket = null;
+  let counter = 0;
+  const waiters = []; // { match(event), resolve }
+
+  function reset(nextScenario) {
+    scenario = nextScenario;
+    socket = null;
+    waiters.length = 0;
+    let resolveDone;
+    let rejectDone;
+    const done = new Promise((resolve, reject) => {
+      resolveDone = resolve;
+      rejectDone = reject;
+    });
+    done.catch(() => {});
+    state = {
+      connections: 0,
+      clientEvents: [], // every event the bridge sent
+      sessionUpdates: [], // session payloads from session.update
+      functionCalls: [], // { name, args, output }
+      analysisRequests: 0,
+      smsTurns: [], // the customer message each SMS reply answered
+      done,
+      resolveDone,
+      rejectDone,
+    };
+  }
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      if (req.method === 'POST' && req.url === '/v1/audio/speech') {
+        // 0.5s of 24kHz 16-bit PCM silence
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(Buffer.alloc(24000));
+        return;
+      }
+      if (req.method === 'POST' && req.url === '/v1/chat/completions' && !JSON.parse(raw || '{}').response_format) {
+        const messages = JSON.parse(raw).messages || [];
+        state.smsTurns.push(messages.findLast((message) => message.role === 'user')?.content ?? null);
+        const reply = scenario?.smsReplies?.[state.smsTurns.length - 1] ?? 'Thanks for your message!';
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            id: 'chatcmpl-sim',
+            object: 'chat.completion',
+            choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: reply } }],
+          }),
+        );
+        return;
+      }
+      if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        state.analysisRequests++;
+        const analysis = scenario?.analysis || {
+          summary: 'Simulated call.',
+          intent: 'other',
+          sentiment: 'neutral',
+          urgency: 'low',
+          leadScore: 10,
+          actionItems: [],
+        };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify({
+            id: 'chatcmpl-sim',
+            object: 'chat.completion',
+            choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: JSON.stringify(analysis) } }],
+          }),
+        );
+        return;
+      }
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `No mock for ${req.method} ${req.url}` } }));
+    });
+  });
+
+  const wss = new WebSocketServer({ server, path: '/v1/realtime' });
+
+  const send = (event) => socket.send(JSON.stringify({ event_id: `evt_sim_${++counter}`, ...event }));
+
+  function waitFor(description, match) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${description}`)), STEP_TIMEOUT_MS);
+      waiters.push({
+        match,
+        resolve: (event) => {
+          clearTimeout(timer);
+          resolve(event);
+        },
+      });
+    });
+  }
+
+  async function runStep(step) {
+    if (step.expect) {
+      await waitFor(step.expect, (event) => event.type === step.expect);
+    } else if (step.say) {
+      const responseId = `resp_sim_${++counter}`;
+      const itemId = `item_sim_${++counter}`;
+      send({ type: 'response.created', response: { id: responseId, status: 'in_progress', output: [] } });
+      if (step.audioMs) {
+        for (let ms = 0; ms < step.audioMs; ms += 200) {
+          send({ type: 'response.audio.delta', response_id: responseId, item_id: itemId, delta: SILENCE_DELTA_200MS });
+        }
+      } else {
+        send({ type: 'response.audio.delta', response_id: responseId, item_id: itemId, delta: SILENCE_DELTA });
+      }
+      send({ type: 'response.audio_transcript.done', response_id: responseId, item_id: itemId, transcript: step.say });
+      send({
+        type: 'response.done',
+        response: {
+          id: responseId,
+          status: 'completed',
+          output: [{ id: itemId, type: 'message', role: 'assistant' }],
+          usage: SAY_USAGE,
+        },
+      });
+    } else if (step.hear) {
+      send({ type: 'conversation.item.input_audio_transcription.completed', item_id: `item_sim_${++counter}`, transcript: step.hear });
+    } else if (step.call) {
+      const callId = `call_sim_${++counter}`;
+      const outputEvent = waitFor(`${step.call} output`, (event) => event.item?.type === 'function_call_output' && event.item.call_id === callId);
+      send({ type: 'response.function_call_arguments.done', call_id: callId, name: step.call, arguments: JSON.stringify(step.args || {}) });
+      const event = await outputEvent;
+      let output = event.item.output;
+      try {
+        output = JSON.parse(output);
+      } catch (_) {
+        // leave non-JSON output as-is
+      }
+      state.functionCalls.push({ name: step.call, args: step.args || {}, output });
+    } else if (step.send) {
+      send(step.send);
+    } else if (step.wait) {
+      await new Promise((resolve) => setTimeout(resolve, step.wait));
+    } else if (step.drop) {
+      const reconnected = waitFor('reconnect', (event) => event.type === 'session.update' && state.connections > 1);
+      socket.terminate();
+      await reconnected;
+    } else {
+      throw new Error(`Unknown script step: ${JSON.stringify(step)}`);
+    }
+  }
+
+  wss.on('connection', (connection) => {
+    socket = connection;
+    state.connections++;
+
+    connection.on('message', (data) => {
+      if (connection !== socket) return;
+      const event = JSON.parse(data.toString());
+      state.clientEvents.push(event);
+
+      if (event.type === 'session.update') {
+        state.sessionUpdates.push(event.session);
+        send({ type: 'session.updated', session: event.session });
+      }
+
+      for (let i = waiters.length - 1; i >= 0; i--) {
+        if (waiters[i].match(event)) waiters.splice(i, 1)[0].resolve(event);
+      }
+    });
+
+    if (state.connections > 1) return;
+    (async () => {
+      for (const step of scenario?.script || []) await runStep(step);
+    })().then(
+      () => state.resolveDone(),
+      (error) => state.rejectDone(error),
+    );
+  });
+
+  return {
+    reset,
+    get state() {
+      return state;
+    },
+    listen: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () =>
+      new Promise((resolve) => {
+        wss.clients.forEach((client) => client.terminate());
+        wss.close();
+        server.close(() => resolve());
+      }),
+  };
+}
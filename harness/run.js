@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+/**
+ * Simulated-call harness (harness/run.js)
+ * Runs the bridge against a fake Twilio (webhooks, media stream and REST API), a mock OpenAI Realtime server, a
+ * mock Supabase/n8n backend and a local SMTP stand-in, then checks each scenario's expectations. No phone,
+ * Twilio account or OpenAI key needed.
+ *
+ *   npm run simulate                                   # every scenario in harness/scenarios
+ *   npm run simulate -- harness/scenarios/lead-captured.js --verbose
+ *
+ * Scenario files (ES modules) export default:
+ *   {
+ *     name: 'Caller books an appointment',
+ *     settings: { userId, businessName, ... },    // tenant settings served for the called number (null = unknown number);
+ *                                                 // or ({ functionsUrl }) => settings to aim HTTP tools at the mock backend
+ *     backend: { 'POST /appointments/book': { status: 500, body: {} } },   // optional route overrides
+ *     analysis: { summary, intent, ... },         // optional post-call analysis response
+ *     script: [ ... ],                            // Realtime script, see harness/mock-openai.js
+ *     hangup: 'drop',                             // optional: end with a dropped socket instead of Twilio's stop
+ *     voicemail: { transcript, duration },        // message left if the bridge answers with voicemail TwiML
+ *     texts: [{ body: 'STOP', reply: 'unsubscribed' }],   // SMS scenario: texts sent instead of a call; `reply` is
+ *                                                 // text the TwiML answer must contain ('' = an empty <Response/>)
+ *     smsReplies: ['Great, see you then!'],       // what the SMS receptionist answers, in order
+ *     outbound: [{ body: { to, purpose, ... }, status: 202 }],   // outbound scenario: POST /outbound-call requests
+ *                                                 // instead of a call; `token` overrides the admin key (null = no
+ *                                                 // Authorization header), `error` is the expected error code. The
+ *                                                 // call a 202 placed is answered and runs `script`.
+ *     expect: {
+ *       offeredTools: ['book_appointment'],       // tools that must be in session.update
+ *       instructions: ['OUTBOUND CALL'],          // text that must appear in the session instructions
+ *       hiddenTools: ['transfer_call'],           // tools that must not be
+ *       aiConnections: 2,                         // Realtime connections the bridge opened
+ *       systemMessages: ['Jane'],                 // text that must appear in system messages sent to the AI
+ *       aiEvents: [{ type: 'conversation.item.truncate' }],   // client events the bridge must send (partial match)
+ *       twilioEvents: ['clear'],                  // stream events the bridge must send to Twilio
+ *       functionCalls: ['capture_lead_info', 'book_appointment'],   // exact order
+ *       functionResults: { book_appointment: { success: true } },   // partial match on the tool output
+ *       backendRequests: ['PATCH /calls/:callSid', { request: 'POST /appointments/book', body: { ... } }],
+ *       webhookEvents: ['appointment_booked'],    // exact event types fired, in order
+ *       webhook: { customerName: 'Jane' },        // partial match on the first webhook payload
+ *       conversationLog: { includes: ['Hi…'], excludes: ['full sentence'] },   // first webhook's conversationLog
+ *       emails: [{ to: 'jane@example.com', contains: ['BEGIN:VCALENDAR'] }],   // exact count; text in the raw message
+ *       metrics: { 'talkertive_function_calls_total{tool="book_appointment",status="success"}': 1 },   // increase during the call
+ *       smsTurns: ['Yes'],                        // customer texts the SMS receptionist answered, in order
+ *       sentTexts: [{ to: '+15550100001', contains: ['see you'] }],   // exact count; texts sent through Twilio's API
+ *       placedCalls: [{ to: '+15550100001' }],    // exact count; calls created through Twilio's API (partial match)
+ *     },
+ *   }
+ */
+
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { readdirSync } from 'fs';
+import { createInterface } from 'readline';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { createMockOpenAI } from './mock-openai.js';
+import { createMockBackend, routeMatches, FUNCTIONS_PREFIX, WEBHOOK_PATH } from './mock-backend.js';
+import { placeCall, answerCall, sendText } from './fake-twilio.js';
+import { createFakeTwilioApi } from './fake-twilio-api.js';
+import { createFakeSmtp } from './fake-smtp.js';
+
+const HARNESS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_PATH = path.join(HARNESS_DIR, '..', 'server.js');
+const SCENARIO_DIR = path.join(HARNESS_DIR, 'scenarios');
+
+const AUTH_TOKEN = 'simulated-auth-token';
+const ADMIN_KEY = 'simulated-admin-key';
+const CALLER_NUMBER = '+15550100001';
+const BUSINESS_NUMBER = '+15550100002';
+const STARTUP_TIMEOUT_MS = 15000;
+const SCRIPT_TIMEOUT_MS = 60000;
+const FINALIZE_TIMEOUT_MS = 20000;
+const QUIET_PERIOD_MS = 1500;
+const SCRIPT_SETTLE_MS = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function withTimeout(promise, ms, description) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms ${description}`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/** True when every key in `expected` deep-equals (recursively, for objects) the same key in `actual`. */
+function partialMatch(actual, expected) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    return !!actual && typeof actual === 'object' && Object.keys(expected).every((key) => partialMatch(actual[key], expected[key]));
+  }
+  return isDeepStrictEqual(actual, expected);
+}
+
+// ========================= Bridge process =========================
+async function startBridge({ openaiPort, backendPort, smtpPort, twilioApiPort, verbose }) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const backendUrl = `http://127.0.0.1:${backendPort}`;
+
+  // Only what the bridge needs - never the developer's real credentials from the shell or .env
+  const env = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    DOTENV_CONFIG_PATH: os.devNull,
+    PORT: String(port),
+    PUBLIC_BASE_URL: baseUrl,
+    OPENAI_API_KEY: 'sk-simulated',
+    OPENAI_REALTIME_URL: `ws://127.0.0.1:${openaiPort}/v1/realtime`,
+    OPENAI_BASE_URL: `http://127.0.0.1:${openaiPort}/v1`,
+    TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_API_URL: `http://127.0.0.1:${twilioApiPort}`,
+    ADMIN_API_KEY: ADMIN_KEY,
+    SUPABASE_URL: backendUrl,
+    SUPABASE_ANON_KEY: 'simulated-anon-key',
+    SUPABASE_FUNCTIONS_URL: `${backendUrl}${FUNCTIONS_PREFIX}`,
+    N8N_WEBHOOK_URL: `${backendUrl}${WEBHOOK_PATH}`,
+    WEBHOOK_MAX_ATTEMPTS: '1',
+    WEBHOOK_DEAD_LETTER_PATH: path.join(os.tmpdir(), `talkertive-sim-dead-letters-${process.pid}.json`),
+    USAGE_STORE_PATH: path.join(os.tmpdir(), `talkertive-sim-usage-${process.pid}.json`),
+    SMS_OPT_OUT_PATH: path.join(os.tmpdir(), `talkertive-sim-opt-outs-${process.pid}.json`),
+    CALL_ANALYSIS_TIMEOUT_MS: '2000',
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtpPort),
+    EMAIL_FROM: 'receptionist@talkertive.test',
+  };
+
+  const logs = [];
+  const child = spawn(process.execPath, [SERVER_PATH], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  for (const stream of [child.stdout, child.stderr]) {
+    createInterface({ input: stream }).on('line', (line) => {
+      logs.push(line);
+      if (verbose) console.log(`   │ ${line}`);
+    });
+  }
+
+  let exited = false;
+  child.once('exit', () => (exited = true));
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline && !exited) {
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) return { baseUrl, logs, stop: () => child.kill('SIGTERM') };
+    } catch (_) {
+      // not listening yet
+    }
+    await sleep(200);
+  }
+
+  child.kill('SIGKILL');
+  throw new Error(`Bridge did not start:\n${logs.join('\n')}`);
+}
+
+// ========================= Scenario checks =========================
+// `name{labels} value` samples from the bridge's /metrics
+async function scrapeMetrics(baseUrl) {
+  const text = await (await fetch(`${baseUrl}/metrics`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } })).text();
+  const samples = new Map();
+  for (const line of text.split('\n')) {
+    const match = line.match(/^(\S+) (\S+)$/);
+    if (match && !line.startsWith('#')) samples.set(match[1], Number(match[2]));
+  }
+  return samples;
+}
+
+function checkScenario(scenario, { openai, backend, smtp, twilioApi, twilioFrames, textReplies, outboundReplies, metricsBefore, metricsAfter }) {
+  const expect = scenario.expect || {};
+  const checks = [];
+  const check = (label, pass, detail) => checks.push({ label, pass, detail });
+
+  for (const [i, text] of (scenario.texts || []).entries()) {
+    if (text.reply === undefined) continue;
+    const twiml = textReplies[i] || '';
+    const message = twiml.match(/<Message>([\s\S]*)<\/Message>/)?.[1] || '';
+    const pass = text.reply === '' ? !message : message.includes(text.reply);
+    check(`"${text.body}" answered ${text.reply === '' ? 'with no message' : `with "${text.reply}"`}`, pass, `got: ${twiml || '(nothing)'}`);
+  }
+  for (const [i, request] of (scenario.outbound || []).entries()) {
+    const reply = outboundReplies[i];
+    const pass = reply?.status === request.status && (request.error === undefined || reply.body?.error === request.error);
+    const label = `POST /outbound-call #${i + 1} answered ${request.status}${request.error ? ` ${request.error}` : ''}`;
+    check(label, pass, `got: ${reply ? `${reply.status} ${JSON.stringify(reply.body)}` : '(nothing)'}`);
+  }
+  if (expect.placedCalls) {
+    // Created calls; redirects of an existing call have no `from`
+    const placed = twilioApi.calls.filter((call) => call.from !== undefined);
+    check(`${expect.placedCalls.length} call(s) placed`, placed.length === expect.placedCalls.length, `placed: ${placed.map((c) => `${c.from} → ${c.to}`).join('; ') || '(none)'}`);
+    for (const expected of expect.placedCalls) {
+      check(`call placed ${JSON.stringify(expected)}`, placed.some((call) => partialMatch(call, expected)), `placed: ${JSON.stringify(placed)}`);
+    }
+  }
+  if (expect.smsTurns) {
+    check(`SMS receptionist answered ${JSON.stringify(expect.smsTurns)}`, isDeepStrictEqual(openai.smsTurns, expect.smsTurns), `answered: ${JSON.stringify(openai.smsTurns)}`);
+  }
+  if (expect.sentTexts) {
+    const sent = twilioApi.messages;
+    check(`${expect.sentTexts.length} text(s) sent`, sent.length === expect.sentTexts.length, `sent: ${sent.map((m) => `${m.to}: ${m.body}`).join('; ') || '(none)'}`);
+    for (const { to, contains = [] } of expect.sentTexts) {
+      const matching = sent.filter((m) => m.to === to);
+      const pass = matching.some((m) => contains.every((text) => m.body.includes(text)));
+      check(`text to ${to}${contains.length ? ` containing ${JSON.stringify(contains)}` : ''}`, pass, `sent to ${to}: ${matching.map((m) => m.body).join('; ') || '(none)'}`);
+    }
+  }
+
+  const offered = (openai.sessionUpdates.at(-1)?.tools || []).map((tool) => tool.name);
+  for (const name of expect.offeredTools || []) {
+    check(`offers ${name}`, offered.includes(name), `offered: ${offered.join(', ') || '(none)'}`);
+  }
+  for (const name of expect.hiddenTools || []) {
+    check(`does not offer ${name}`, !offered.includes(name), `offered: ${offered.join(', ')}`);
+  }
+  const instructions = openai.sessionUpdates.at(-1)?.instructions || '';
+  for (const text of expect.instructions || []) {
+    check(`instructions mention "${text}"`, instructions.includes(text), `instructions: ${instructions.slice(0, 300) || '(none)'}…`);
+  }
+
+  if (expect.aiConnections !== undefined) {
+    check(`${expect.aiConnections} Realtime connection(s)`, openai.connections === expect.aiConnections, `opened: ${openai.connections}`);
+  }
+  const systemText = openai.clientEvents
+    .filter((event) => event.type === 'conversation.item.create' && event.item?.role === 'system')
+    .map((event) => event.item.content?.map((part) => part.text).join(' '))
+    .join('\n');
+  for (const text of expect.systemMessages || []) {
+    check(`system message mentions "${text}"`, systemText.includes(text), `system messages: ${systemText || '(none)'}`);
+  }
+
+  for (const expected of expect.aiEvents || []) {
+    const sent = openai.clientEvents.filter((event) => event.type === expected.type);
+    check(`AI event ${JSON.stringify(expected)}`, sent.some((event) => partialMatch(event, expected)), `sent: ${JSON.stringify(sent) || '(none)'}`);
+  }
+  const twilioEvents = twilioFrames.map((frame) => frame.event);
+  for (const name of expect.twilioEvents || []) {
+    check(`Twilio event ${name}`, twilioEvents.includes(name), `sent: ${[...new Set(twilioEvents)].join(', ') || '(none)'}`);
+  }
+
+  const calls = openai.functionCalls.map((call) => call.name);
+  if (expect.functionCalls) {
+    check(`function calls ${expect.functionCalls.join(' → ') || '(none)'}`, isDeepStrictEqual(calls, expect.functionCalls), `ran: ${calls.join(' → ') || '(none)'}`);
+  }
+  for (const [name, expected] of Object.entries(expect.functionResults || {})) {
+    const call = openai.functionCalls.find((c) => c.name === name);
+    check(`${name} returned ${JSON.stringify(expected)}`, !!call && partialMatch(call.output, expected), `got: ${JSON.stringify(call?.output)}`);
+  }
+
+  const requestKeys = backend.requests.map((r) => r.key);
+  for (const entry of expect.backendRequests || []) {
+    const { request, body } = typeof entry === 'string' ? { request: entry } : entry;
+    const matches = backend.requests.filter((r) => routeMatches(request, r.key));
+    const pass = matches.some((r) => (body ? partialMatch(r.body, body) : true));
+    check(`backend ${request}${body ? ` with ${JSON.stringify(body)}` : ''}`, pass, `requests: ${requestKeys.join(', ') || '(none)'}`);
+  }
+
+  const events = backend.webhooks.map((w) => w.body?.eventType);
+  if (expect.webhookEvents) {
+    check(`webhooks ${expect.webhookEvents.join(', ') || '(none)'}`, isDeepStrictEqual(events, expect.webhookEvents), `fired: ${events.join(', ') || '(none)'}`);
+  }
+  if (expect.webhook) {
+    const payload = backend.webhooks[0]?.body;
+    const mismatched = Object.keys(expect.webhook).filter((key) => !partialMatch(payload?.[key], expect.webhook[key]));
+    check(
+      `webhook payload ${JSON.stringify(expect.webhook)}`,
+      !!payload && mismatched.length === 0,
+      payload ? `differs on ${mismatched.map((key) => `${key}=${JSON.stringify(payload[key])}`).join(', ')}` : 'no webhook fired',
+    );
+  }
+
+  if (expect.conversationLog) {
+    const log = backend.webhooks[0]?.body?.conversationLog || '';
+    for (const text of expect.conversationLog.includes || []) {
+      check(`conversation log includes "${text}"`, log.includes(text), `log: ${log || '(none)'}`);
+    }
+    for (const text of expect.conversationLog.excludes || []) {
+      check(`conversation log omits "${text}"`, !!log && !log.includes(text), `log: ${log || '(none)'}`);
+    }
+  }
+
+  if (expect.emails) {
+    const sent = smtp.messages;
+    check(`${expect.emails.length} email(s) sent`, sent.length === expect.emails.length, `sent: ${sent.map((m) => m.to.join(',')).join('; ') || '(none)'}`);
+    for (const { to, contains = [] } of expect.emails) {
+      const message = sent.find((m) => m.to.includes(to));
+      const missing = contains.filter((text) => !message?.data.includes(text));
+      check(`email to ${to}${contains.length ? ` containing ${JSON.stringify(contains)}` : ''}`, !!message && missing.length === 0, message ? `missing: ${missing.join(', ')}` : 'not sent');
+    }
+  }
+
+  for (const [sample, increase] of Object.entries(expect.metrics || {})) {
+    const delta = (metricsAfter?.get(sample) || 0) - (metricsBefore?.get(sample) || 0);
+    check(`metric ${sample} +${increase}`, delta === increase, `increased by ${delta}`);
+  }
+
+  return checks;
+}
+
+// Each text is answered (TwiML, then maybe a reply through the API) before the next one is sent
+async function waitForQuiet(backend, twilioApi, openai) {
+  const deadline = Date.now() + FINALIZE_TIMEOUT_MS;
+  let lastCount = -1;
+  let quietSince = Date.now();
+  while (Date.now() < deadline) {
+    const count = backend.state.requests.length + backend.state.webhooks.length + twilioApi.messages.length + openai.state.smsTurns.length;
+    if (count !== lastCount) {
+      lastCount = count;
+      quietSince = Date.now();
+    } else if (Date.now() - quietSince >= QUIET_PERIOD_MS) {
+      return;
+    }
+    await sleep(100);
+  }
+  throw new Error(`Bridge was still busy after ${FINALIZE_TIMEOUT_MS}ms`);
+}
+
+async function sendTexts(scenario, { bridge, backend, twilioApi, openai, index }) {
+  const replies = [];
+  for (const [i, text] of scenario.texts.entries()) {
+    replies.push(
+      await sendText({
+        baseUrl: bridge.baseUrl,
+        authToken: AUTH_TOKEN,
+        messageSid: `SM${String(index + 1).padStart(2, '0')}${String(i + 1).padStart(30, '0')}`,
+        from: CALLER_NUMBER,
+        to: BUSINESS_NUMBER,
+        body: text.body,
+      }),
+    );
+    await waitForQuiet(backend, twilioApi, openai);
+  }
+  return replies;
+}
+
+// Each request is answered before the next one is sent
+async function sendOutboundRequests(scenario, { bridge }) {
+  const replies = [];
+  for (const { body, token = ADMIN_KEY } of scenario.outbound) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token !== null) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${bridge.baseUrl}/outbound-call`, { method: 'POST', headers, body: JSON.stringify(body) });
+    replies.push({ status: response.status, body: await response.json().catch(() => null) });
+  }
+  return replies;
+}
+
+async function waitForFinalization(scenario, call, backend) {
+  const { callSid } = call;
+  const finalizeKey = `PATCH /calls/${callSid}`;
+  const deadline = Date.now() + FINALIZE_TIMEOUT_MS;
+  let lastCount = -1;
+  let quietSince = Date.now();
+
+  while (Date.now() < deadline) {
+    // Tenants with a userId finish with the call record PATCH; unknown numbers and voicemails just stop producing traffic
+    if (backend.state.requests.some((r) => r.key === finalizeKey)) return;
+    const waitForQuiet = !scenario.settings?.userId || call.voicemail;
+    const count = backend.state.requests.length + backend.state.webhooks.length;
+    if (count !== lastCount) {
+      lastCount = count;
+      quietSince = Date.now();
+    } else if (waitForQuiet && Date.now() - quietSince >= QUIET_PERIOD_MS) {
+      return;
+    }
+    await sleep(100);
+  }
+  throw new Error(`Call was not finalized within ${FINALIZE_TIMEOUT_MS}ms`);
+}
+
+async function runScenario(scenario, { bridge, openai, backend, smtp, twilioApi, index }) {
+  openai.reset(scenario);
+  backend.reset(scenario);
+  smtp.reset();
+  twilioApi.reset();
+  const logStart = bridge.logs.length;
+  const callSid = `CA${String(index + 1).padStart(32, '0')}`;
+
+  let call = null;
+  let textReplies = [];
+  let outboundReplies = [];
+  let error = null;
+  let metricsBefore = null;
+  let metricsAfter = null;
+  try {
+    if (scenario.expect?.metrics) metricsBefore = await scrapeMetrics(bridge.baseUrl);
+    if (scenario.texts) {
+      textReplies = await sendTexts(scenario, { bridge, backend, twilioApi, openai, index });
+    } else if (scenario.outbound) {
+      outboundReplies = await sendOutboundRequests(scenario, { bridge });
+      // The customer picks up the call the bridge placed, if any, and the script runs on it
+      const placed = twilioApi.calls.find((c) => c.url);
+      if (scenario.script && placed) {
+        call = await answerCall({ url: placed.url, authToken: AUTH_TOKEN, callSid: placed.sid, from: placed.from, to: placed.to });
+      }
+    } else {
+      call = await placeCall({
+        baseUrl: bridge.baseUrl,
+        authToken: AUTH_TOKEN,
+        callSid,
+        from: CALLER_NUMBER,
+        to: BUSINESS_NUMBER,
+        voicemail: scenario.voicemail,
+      });
+    }
+    if (call && !call.voicemail) {
+      await withTimeout(openai.state.done, SCRIPT_TIMEOUT_MS, 'running the Realtime script');
+      // The Realtime and Twilio sockets race: let the bridge take in the last scripted turn (and its usage)
+      await sleep(SCRIPT_SETTLE_MS);
+      // 'drop' closes the media stream without a stop frame, like a lost connection
+      if (scenario.hangup === 'drop') call.close();
+      else call.hangup();
+    }
+    if (call) await waitForFinalization(scenario, call, backend);
+    if (scenario.expect?.metrics) metricsAfter = await scrapeMetrics(bridge.baseUrl);
+  } catch (err) {
+    error = err;
+  } finally {
+    call?.close();
+  }
+
+  const checks = error ? [] : checkScenario(scenario, {
+        openai: openai.state,
+        backend: backend.state,
+        smtp,
+        twilioApi,
+        twilioFrames: call?.received || [],
+        textReplies,
+        outboundReplies,
+        metricsBefore,
+        metricsAfter,
+      });
+  const passed = !error && checks.every((c) => c.pass);
+
+  console.log(`${passed ? '✅' : '❌'} ${scenario.name}`);
+  if (error) console.log(`   💥 ${error.message}`);
+  for (const c of checks) {
+    console.log(`   ${c.pass ? '✓' : '✗'} ${c.label}${c.pass ? '' : `\n     ${c.detail}`}`);
+  }
+  if (!passed) {
+    console.log('   ── bridge log ──');
+    bridge.logs.slice(logStart).forEach((line) => console.log(`   │ ${line}`));
+  }
+
+  // Let the bridge finish closing the previous call before the next one starts
+  await sleep(300);
+  return passed;
+}
+
+// ========================= Main =========================
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const files = args.filter((arg) => !arg.startsWith('--'));
+  const scenarioFiles = files.length
+    ? files.map((file) => path.resolve(file))
+    : readdirSync(SCENARIO_DIR)
+        .filter((file) => file.endsWith('.js'))
+        .sort()
+        .map((file) => path.join(SCENARIO_DIR, file));
+
+  const openai = createMockOpenAI();
+  const backend = createMockBackend();
+  const smtp = createFakeSmtp();
+  const twilioApi = createFakeTwilioApi();
+  const [openaiPort, backendPort, smtpPort, twilioApiPort] = await Promise.all([
+    openai.listen(),
+    backend.listen(),
+    smtp.listen(),
+    twilioApi.listen(),
+  ]);
+
+  let bridge = null;
+  let failures = 0;
+  try {
+    bridge = await startBridge({ openaiPort, backendPort, smtpPort, twilioApiPort, verbose });
+    console.log(`🧪 Running ${scenarioFiles.length} simulated call(s) against ${bridge.baseUrl}\n`);
+
+    for (const [index, file] of scenarioFiles.entries()) {
+      const { default: scenario } = await import(pathToFileURL(file).href);
+      // Settings may point tenant HTTP tools at the mock backend, whose port is only known now
+      const functionsUrl = `http://127.0.0.1:${backendPort}${FUNCTIONS_PREFIX}`;
+      const settings = typeof scenario.settings === 'function' ? scenario.settings({ functionsUrl }) : scenario.settings;
+      const passed = await runScenario({ name: path.basename(file), ...scenario, settings }, { bridge, openai, backend, smtp, twilioApi, index });
+      if (!passed) failures++;
+    }
+  } finally {
+    bridge?.stop();
+    await Promise.all([openai.close(), backend.close(), smtp.close(), twilioApi.close()]);
+  }
+
+  console.log(`\n${failures ? '❌' : '✅'} ${scenarioFiles.length - failures}/${scenarioFiles.length} scenario(s) passed`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error('❌ Harness failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+// Caller gives their details and books a cleaning; the bridge should report appointment_booked
+// and email the confirmation.
+
+const inThreeDays = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+inThreeDays.setUTCMinutes(0, 0, 0);
+
+export default {
+  name: 'Caller books an appointment',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental', businessType: 'dental clinic' },
+  analysis: {
+    summary: 'Jane Doe booked a cleaning.',
+    intent: 'appointment',
+    sentiment: 'positive',
+    urgency: 'low',
+    leadScore: 85,
+    actionItems: [],
+  },
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi! Thank you for calling Sunrise Dental today. My name is Krystle. How can I help you?' },
+    { hear: "Hi, I'd like to book a cleaning. I'm Jane Doe, jane@example.com." },
+    { call: 'capture_lead_info', args: { name: 'Jane Doe', email: 'jane@example.com' } },
+    { call: 'book_appointment', args: { customerName: 'Jane Doe', customerEmail: 'jane@example.com', dateTime: inThreeDays.toISOString(), purpose: 'cleaning', duration: 30 } },
+    { say: "You're all set, Jane. See you then!" },
+  ],
+  expect: {
+    offeredTools: ['capture_lead_info', 'check_availability', 'book_appointment'],
+    hiddenTools: ['transfer_call'],
+    functionCalls: ['capture_lead_info', 'book_appointment'],
+    functionResults: { book_appointment: { success: true, appointmentId: 'appt_sim_1' } },
+    backendRequests: [
+      'GET /settings/by-phone/:phone',
+      'POST /calls/bridge-log',
+      { request: 'POST /leads/realtime-update', body: { name: 'Jane Doe' } },
+      { request: 'POST /appointments/book', body: { customerName: 'Jane Doe', purpose: 'cleaning' } },
+      { request: 'PATCH /calls/:callSid', body: { status: 'completed', leadCaptured: true } },
+    ],
+    webhookEvents: ['appointment_booked'],
+    webhook: {
+      appointmentId: 'appt_sim_1',
+      customerName: 'Jane Doe',
+      customerEmail: 'jane@example.com',
+      callIntent: 'appointment',
+      leadScore: 85,
+      confirmationSentVia: 'email',
+    },
+    // No SMS consent given, so the confirmation goes out by email with a calendar invite
+    emails: [{ to: 'jane@example.com', contains: ['Sunrise Dental', 'appointment.ics', 'text/calendar'] }],
+    metrics: {
+      'talkertive_function_calls_total{tool="book_appointment",status="success"}': 1,
+      'talkertive_call_outcomes_total{event="appointment_booked",channel="voice"}': 1,
+      'talkertive_time_to_first_audio_seconds_count{direction="inbound"}': 1,
+      'talkertive_openai_connect_seconds_count{result="success"}': 1,
+    },
+  },
+};
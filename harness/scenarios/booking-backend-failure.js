@@ -0,0 +1,32 @@
+// The backend rejects the booking, so the call must fall back to lead_captured - never appointment_booked.
+
+const inThreeDays = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+inThreeDays.setUTCMinutes(0, 0, 0);
+
+export default {
+  name: 'Failed booking falls back to lead_captured',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  backend: {
+    'POST /appointments/book': { status: 500, body: { error: 'calendar_unavailable' } },
+  },
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi! Thank you for calling Sunrise Dental today. How can I help?' },
+    { hear: 'Can I book a checkup? This is Sam Lee.' },
+    { call: 'capture_lead_info', args: { name: 'Sam Lee', notes: 'Wants a checkup' } },
+    { call: 'book_appointment', args: { customerName: 'Sam Lee', dateTime: inThreeDays.toISOString(), purpose: 'checkup' } },
+    { say: "I'm sorry, I couldn't book that. Someone will call you back to schedule." },
+  ],
+  expect: {
+    functionCalls: ['capture_lead_info', 'book_appointment'],
+    functionResults: { book_appointment: { success: false } },
+    backendRequests: ['POST /appointments/book', { request: 'PATCH /calls/:callSid', body: { leadCaptured: true } }],
+    webhookEvents: ['lead_captured'],
+    webhook: { customerName: 'Sam Lee', summary: 'Wants a checkup', appointmentBooked: false, bookingIntent: true },
+    metrics: {
+      'talkertive_function_calls_total{tool="book_appointment",status="failure"}': 1,
+      'talkertive_backend_request_errors_total{route="/appointments/book",reason="http_500"}': 1,
+      'talkertive_call_outcomes_total{event="lead_captured",channel="voice"}': 1,
+    },
+  },
+};
@@ -0,0 +1,27 @@
+// Caller talks over a long greeting; the bridge should cut the receptionist off and only keep what was heard.
+
+export default {
+  name: 'Caller interrupts the receptionist',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  script: [
+    { expect: 'response.create' },
+    {
+      say: "Hi! Thank you for calling Sunrise Dental today. We're open Monday through Friday from eight to five, and on Saturdays by appointment. How can I help?",
+      audioMs: 4000,
+    },
+    { wait: 1000 },
+    { send: { type: 'input_audio_buffer.speech_started', audio_start_ms: 1000, item_id: 'item_sim_caller' } },
+    { expect: 'conversation.item.truncate' },
+    { hear: 'Sorry - are you open tomorrow?' },
+    { say: 'Yes, we are open tomorrow from eight to five.' },
+  ],
+  expect: {
+    twilioEvents: ['clear'],
+    aiEvents: [{ type: 'conversation.item.truncate', content_index: 0 }],
+    webhookEvents: ['call_completed'],
+    conversationLog: {
+      includes: ['[Krystle]: Hi! Thank you', '…', '[Customer]: Sorry - are you open tomorrow?'],
+      excludes: ['Saturdays by appointment'],
+    },
+  },
+};
@@ -0,0 +1,19 @@
+// The media stream drops without Twilio's stop frame; the call must still be reported and closed.
+
+export default {
+  name: 'Dropped stream still finalizes the call',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  hangup: 'drop',
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi! Thank you for calling Sunrise Dental today. How can I help?' },
+    { hear: "Hi, it's Tom Baker, I wanted to ask about" },
+    { call: 'capture_lead_info', args: { name: 'Tom Baker' } },
+  ],
+  expect: {
+    functionCalls: ['capture_lead_info'],
+    backendRequests: [{ request: 'PATCH /calls/:callSid', body: { status: 'completed', endReason: 'socket_closed' } }],
+    webhookEvents: ['lead_captured'],
+    webhook: { customerName: 'Tom Baker', endReason: 'socket_closed' },
+  },
+};
@@ -0,0 +1,38 @@
+// A tenant HTTP tool answers with plain text instead of JSON; the model must still get the output and the call
+// must finish normally.
+
+export default {
+  name: 'HTTP tool with a plain-text response',
+  settings: ({ functionsUrl }) => ({
+    userId: 'user_sim',
+    businessName: 'Sunrise Dental',
+    tools: {
+      http: [
+        {
+          name: 'check_stock',
+          description: 'Check whether a whitening kit is in stock',
+          url: `${functionsUrl}/tools/check-stock`,
+          method: 'GET',
+          parameters: { type: 'object', properties: { sku: { type: 'string' } }, required: ['sku'] },
+        },
+      ],
+    },
+  }),
+  backend: {
+    'GET /tools/check-stock': { text: 'In stock: 12 kits' },
+  },
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi! Thank you for calling Sunrise Dental today. How can I help?' },
+    { hear: 'Do you have the whitening kit in stock?' },
+    { call: 'check_stock', args: { sku: 'WHT-01' } },
+    { say: 'Yes, we have twelve kits in stock.' },
+  ],
+  expect: {
+    offeredTools: ['check_stock'],
+    functionCalls: ['check_stock'],
+    functionResults: { check_stock: { success: true, data: 'In stock: 12 kits' } },
+    backendRequests: ['GET /tools/check-stock', 'PATCH /calls/:callSid'],
+    metrics: { 'talkertive_function_calls_total{tool="check_stock",status="success"}': 1 },
+  },
+};
@@ -0,0 +1,31 @@
+// Caller leaves a message; the bridge should report lead_captured with the receptionist's notes.
+
+export default {
+  name: 'Caller leaves a message',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi! Thank you for calling Sunrise Dental today. How can I help?' },
+    { hear: "This is Maria Garcia, please have Dr. Patel call me back about my crown." },
+    { call: 'capture_lead_info', args: { name: 'Maria Garcia', notes: 'Asked Dr. Patel to call back about her crown' } },
+    { say: "Got it, Maria. I'll pass that along." },
+  ],
+  expect: {
+    functionCalls: ['capture_lead_info'],
+    functionResults: { capture_lead_info: { success: true } },
+    backendRequests: [
+      { request: 'POST /leads/realtime-update', body: { name: 'Maria Garcia' } },
+      // Two scripted turns of Realtime usage, metered for the tenant
+      { request: 'POST /usage', body: { userId: 'user_sim', channel: 'voice', twilioMinutes: 1, realtimeTokens: { audioOutput: 160 } } },
+      'PATCH /calls/:callSid',
+    ],
+    webhookEvents: ['lead_captured'],
+    webhook: {
+      customerName: 'Maria Garcia',
+      customerPhone: '+15550100001',
+      summary: 'Asked Dr. Patel to call back about her crown',
+      leadCaptured: true,
+      appointmentBooked: false,
+    },
+  },
+};
@@ -0,0 +1,17 @@
+// /outbound-call turns away requests without a usable number (or appointment) before anything is dialed.
+
+export default {
+  name: 'Outbound call with missing or invalid numbers',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  outbound: [
+    { body: { from: '+15550100002', purpose: 'lead_callback' }, status: 400, error: 'invalid_to' },
+    { body: { to: '555-0100', from: '+15550100002' }, status: 400, error: 'invalid_to' },
+    // The harness doesn't set TWILIO_PHONE_NUMBER, so there is nothing to fall back on
+    { body: { to: '+15550100001' }, status: 400, error: 'missing_from' },
+    { body: { to: '+15550100001', from: 'Sunrise Dental' }, status: 400, error: 'invalid_from' },
+    { body: { to: '+15550100001', from: '+15550100002', purpose: 'appointment_reminder', appointment: { id: 'appt_42' } }, status: 400, error: 'invalid_appointment' },
+  ],
+  expect: {
+    placedCalls: [],
+  },
+};
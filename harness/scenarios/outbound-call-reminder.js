@@ -0,0 +1,32 @@
+// The business asks the receptionist to remind a customer of an appointment; the bridge places the call,
+// runs the outbound reminder script once the customer picks up, and reports it as an outbound call.
+
+export default {
+  name: 'Outbound appointment reminder',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  outbound: [
+    {
+      body: {
+        to: '+15550100001',
+        from: '+15550100002',
+        purpose: 'appointment_reminder',
+        lead: { name: 'Jane Doe' },
+        appointment: { id: 'appt_42', dateTime: '2030-01-02T15:00:00Z', purpose: 'cleaning' },
+      },
+      status: 202,
+    },
+  ],
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi, this is Krystle calling from Sunrise Dental. Am I speaking with Jane Doe?' },
+    { hear: "Yes, that's me." },
+    { say: 'Just a reminder of your cleaning on January 2nd. See you then!' },
+  ],
+  expect: {
+    placedCalls: [{ from: '+15550100002', to: '+15550100001' }],
+    instructions: ['OUTBOUND CALL', 'Am I speaking with Jane Doe?'],
+    backendRequests: ['PATCH /calls/:callSid'],
+    webhookEvents: ['call_completed'],
+    webhook: { direction: 'outbound', callPurpose: 'appointment_reminder', toNumber: '+15550100001' },
+  },
+};
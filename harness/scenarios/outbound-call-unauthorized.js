@@ -0,0 +1,15 @@
+// /outbound-call needs the admin key: a wrong or missing token is rejected and no call is placed.
+
+const body = { to: '+15550100001', from: '+15550100002', purpose: 'lead_callback' };
+
+export default {
+  name: 'Outbound call with a rejected auth token',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  outbound: [
+    { body, token: 'not-the-admin-key', status: 401, error: 'unauthorized' },
+    { body, token: null, status: 401, error: 'unauthorized' },
+  ],
+  expect: {
+    placedCalls: [],
+  },
+};
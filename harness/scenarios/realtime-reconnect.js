@@ -0,0 +1,22 @@
+// The Realtime socket drops mid-call; the bridge reconnects, replays the context and carries on.
+
+export default {
+  name: 'Realtime drop reconnects and resumes the conversation',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  script: [
+    { expect: 'response.create' },
+    { say: 'Hi! Thank you for calling Sunrise Dental today. How can I help?' },
+    { hear: "Hi, I'm Nina Park. I'd like someone to call me about whitening." },
+    { call: 'capture_lead_info', args: { name: 'Nina Park', notes: 'Interested in whitening' } },
+    { drop: true },
+    { expect: 'response.create' },
+    { say: "Sorry about that, I'm back. I've noted your interest in whitening, Nina." },
+  ],
+  expect: {
+    aiConnections: 2,
+    systemMessages: ['SAME call', '[Customer]: Hi, I\'m Nina Park', 'name: Nina Park'],
+    functionCalls: ['capture_lead_info'],
+    webhookEvents: ['lead_captured'],
+    webhook: { customerName: 'Nina Park', voicemailFallback: false },
+  },
+};
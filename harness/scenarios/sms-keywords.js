@@ -0,0 +1,29 @@
+// STOP / START keywords on the SMS line: a plain "Yes" is part of the conversation, STOP silences the thread,
+// and START / YES only resubscribe a number that opted out.
+
+export default {
+  name: 'SMS STOP, START and a plain "yes"',
+  settings: { userId: 'user_sim', businessName: 'Sunrise Dental' },
+  smsReplies: ['Great, we have you down for Tuesday at 10.', 'Welcome back! How can we help?'],
+  texts: [
+    { body: 'Yes', reply: '' },
+    { body: 'STOP', reply: 'unsubscribed' },
+    { body: 'Hello?', reply: '' },
+    { body: 'START', reply: 'resubscribed' },
+    { body: 'Yes', reply: '' },
+  ],
+  expect: {
+    // "Hello?" arrived while opted out and "START" was a keyword, so only the two "Yes" reached the receptionist
+    smsTurns: ['Yes', 'Yes'],
+    sentTexts: [
+      { to: '+15550100001', contains: ['Tuesday at 10'] },
+      { to: '+15550100001', contains: ['Welcome back'] },
+    ],
+    backendRequests: [
+      { request: 'POST /sms-consent', body: { optedOut: true, source: 'sms_keyword', transcriptExcerpt: 'STOP' } },
+      { request: 'POST /sms-consent', body: { optedOut: false, source: 'sms_keyword', transcriptExcerpt: 'START' } },
+    ],
+    webhookEvents: ['call_completed'],
+    webhook: { channel: 'sms', endReason: 'opted_out' },
+  },
+};
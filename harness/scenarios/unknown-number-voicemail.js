@@ -0,0 +1,17 @@
+// A call to a number with no tenant settings goes straight to voicemail: no AI session, the message is
+// stored and reported with voicemail_received.
+
+export default {
+  name: 'Call to an unknown number leaves a voicemail',
+  settings: null,
+  voicemail: { transcript: 'Hi, this is Sam, please call me back about a quote.', duration: 9 },
+  expect: {
+    aiConnections: 0,
+    backendRequests: [
+      'GET /settings/by-phone/:phone',
+      { request: 'POST /voicemails', body: { reason: 'unknown_number', duration: 9, transcript: 'Hi, this is Sam, please call me back about a quote.' } },
+    ],
+    webhookEvents: ['voicemail_received'],
+    webhook: { reason: 'unknown_number', customerPhone: '+15550100001', message: 'Hi, this is Sam, please call me back about a quote.' },
+  },
+};
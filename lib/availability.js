@@ -0,0 +1,217 @@
+/**
+ * Appointment time validation and slot suggestions (lib/availability.js)
+ * - Parses the model's dateTime strictly (ISO 8601; no offset = tenant timezone)
+ * - Rejects past times and times outside the tenant's structured business hours
+ * - Turns backend free/busy data into a handful of concrete options the AI can offer
+ */
+
+import {
+  getTenantTimeZone,
+  isValidTimeZone,
+  getLocalClock,
+  hasStructuredSchedule,
+  isRangeWithinBusinessHours,
+  zonedTimeToDate,
+  formatIsoInZone,
+} from './business-hours.js';
+
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const SLOT_STEP_MINUTES = 30;
+const MIN_LEAD_MINUTES = 60;
+const MAX_RANGE_DAYS = 14;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_OPTIONS = 4;
+const MAX_OPTIONS_PER_DAY = 2;
+
+// Suggestions for tenants without a structured schedule stick to weekday office hours
+const FALLBACK_SUGGESTION_SCHEDULE = {
+  weekly: { mon: '09:00-17:00', tue: '09:00-17:00', wed: '09:00-17:00', thu: '09:00-17:00', fri: '09:00-17:00' },
+};
+
+export function normalizeDuration(duration) {
+  const minutes = Math.round(Number(duration));
+  return Number.isFinite(minutes) && minutes >= 5 && minutes <= 480 ? minutes : 30;
+}
+
+// Date would silently roll Feb 30 over to Mar 2, so the calendar fields are checked before any conversion
+function isCalendarDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Parses an ISO 8601 date-time. Strings without an offset are read as wall-clock time in `timeZone`.
+ * Returns a Date or null (also for impossible dates like Feb 30, with or without an offset).
+ */
+export function parseAppointmentDateTime(value, timeZone) {
+  const match = ISO_DATE_TIME.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, offset] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second || 0),
+  };
+  if (!isCalendarDate(fields.year, fields.month, fields.day) || fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+    return null;
+  }
+  if (offset && offset !== 'Z' && (Number(offset.slice(1, 3)) > 14 || Number(offset.slice(4, 6)) > 59)) return null;
+
+  const date = offset ? new Date(value) : zonedTimeToDate(fields, timeZone);
+  if (Number.isNaN(date.getTime())) return null;
+
+  // The zone conversion must land on the day that was asked for
+  if (!offset && formatIsoInZone(date, timeZone).slice(0, 10) !== `${year}-${month}-${day}`) return null;
+  return date;
+}
+
+/**
+ * Validates a requested appointment. `timeZone` (the caller's, if they gave one) only affects how an
+ * offset-less dateTime is read; business hours are always checked in the tenant's zone.
+ * Returns { valid: true, start, timeZone } or { valid: false, reason, message } where message is
+ * phrased for the model to relay.
+ */
+export function validateAppointmentTime(settings, { dateTime, duration, timeZone: requestedZone }, now = new Date()) {
+  const timeZone = isValidTimeZone(requestedZone) ? requestedZone : getTenantTimeZone(settings);
+  const start = parseAppointmentDateTime(dateTime, timeZone);
+
+  if (!start) {
+    return {
+      valid: false,
+      reason: 'invalid_datetime',
+      message: 'That date/time could not be understood. Confirm the exact date and time with the caller and try again.',
+    };
+  }
+
+  if (start.getTime() <= now.getTime()) {
+    return {
+      valid: false,
+      reason: 'in_past',
+      message: 'That time has already passed. Ask the caller for a future date and time.',
+    };
+  }
+
+  if (!isRangeWithinBusinessHours(settings, start, normalizeDuration(duration))) {
+    return {
+      valid: false,
+      reason: 'outside_business_hours',
+      message: 'That time is outside business hours. Offer the caller a time when the business is open.',
+    };
+  }
+
+  return { valid: true, start, timeZone };
+}
+
+// ========================= Slot suggestions =========================
+function parseRangeBoundary(value, timeZone, endOfDay) {
+  if (!value) return null;
+  const dateOnly = ISO_DATE.exec(String(value).trim());
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    if (!isCalendarDate(year, month, day)) return null;
+    const start = zonedTimeToDate({ year, month, day }, timeZone);
+    return endOfDay ? new Date(start.getTime() + 24 * 60 * 60000) : start;
+  }
+  return parseAppointmentDateTime(value, timeZone);
+}
+
+/** Resolves the search window for check_availability. Returns { start, end } Dates. */
+export function resolveSearchRange(settings, startDate, endDate, now = new Date()) {
+  const timeZone = getTenantTimeZone(settings);
+  const earliest = new Date(now.getTime() + MIN_LEAD_MINUTES * 60000);
+
+  let start = parseRangeBoundary(startDate, timeZone, false) || earliest;
+  if (start < earliest) start = earliest;
+
+  let end = parseRangeBoundary(endDate, timeZone, true);
+  if (!end || end <= start) {
+    // A single day was asked for (or nothing): search that day, or the next week
+    end = new Date(start.getTime() + (startDate ? 24 : DEFAULT_RANGE_DAYS * 24) * 60 * 60000);
+  }
+  const maxEnd = new Date(start.getTime() + MAX_RANGE_DAYS * 24 * 60 * 60000);
+  if (end > maxEnd) end = maxEnd;
+
+  return { start, end };
+}
+
+function overlaps(start, end, busy) {
+  return busy.some((b) => start < b.end && end > b.start);
+}
+
+export function formatSlotLabel(date, timeZone) {
+  return date.toLocaleString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+  });
+}
+
+/**
+ * Picks up to MAX_OPTIONS open slots in [start, end), spread across days.
+ * `busy` is a list of { start, end } (ISO strings or Dates) from the backend.
+ */
+export function suggestSlots(settings, { start, end, duration, busy = [] }) {
+  const timeZone = getTenantTimeZone(settings);
+  const minutes = normalizeDuration(duration);
+  const scheduleSettings = hasStructuredSchedule(settings)
+    ? settings
+    : { businessSchedule: { ...FALLBACK_SUGGESTION_SCHEDULE, timeZone } };
+
+  const busyRanges = busy
+    .map((b) => ({ start: new Date(b.start), end: new Date(b.end) }))
+    .filter((b) => !Number.isNaN(b.start.getTime()) && !Number.isNaN(b.end.getTime()));
+
+  // Align to the slot grid in local time
+  const stepMs = SLOT_STEP_MINUTES * 60000;
+  const { minutes: localMinutes } = getLocalClock(start, timeZone);
+  const misalignment = localMinutes % SLOT_STEP_MINUTES;
+  let cursor = new Date(start.getTime() + (misalignment ? (SLOT_STEP_MINUTES - misalignment) * 60000 : 0));
+  cursor.setUTCSeconds(0, 0);
+
+  const perDay = new Map();
+  const options = [];
+
+  while (cursor < end && options.length < MAX_OPTIONS) {
+    const slotEnd = new Date(cursor.getTime() + minutes * 60000);
+    const dayKey = formatIsoInZone(cursor, timeZone).slice(0, 10);
+
+    if (
+      (perDay.get(dayKey) || 0) < MAX_OPTIONS_PER_DAY &&
+      slotEnd <= end &&
+      isRangeWithinBusinessHours(scheduleSettings, cursor, minutes) &&
+      !overlaps(cursor, slotEnd, busyRanges)
+    ) {
+      options.push({ start: formatIsoInZone(cursor, timeZone), label: formatSlotLabel(cursor, timeZone) });
+      perDay.set(dayKey, (perDay.get(dayKey) || 0) + 1);
+      // Space same-day options out so the caller gets a real choice
+      cursor = new Date(cursor.getTime() + Math.ceil(Math.max(minutes, 120) / SLOT_STEP_MINUTES) * stepMs);
+      continue;
+    }
+
+    cursor = new Date(cursor.getTime() + stepMs);
+  }
+
+  return { timeZone, duration: minutes, options };
+}
+
+/** Same shape as suggestSlots(), for backends that return ready-made free slots (ISO strings or { start }). */
+export function optionsFromSlots(settings, slots, duration) {
+  const timeZone = getTenantTimeZone(settings);
+  const minutes = normalizeDuration(duration);
+  const options = slots
+    .map((slot) => (typeof slot === 'string' ? slot : slot?.start))
+    .map((slot) => validateAppointmentTime(settings, { dateTime: slot, duration: minutes }))
+    .filter((check) => check.valid)
+    .slice(0, MAX_OPTIONS)
+    .map((check) => ({ start: formatIsoInZone(check.start, timeZone), label: formatSlotLabel(check.start, timeZone) }));
+
+  return { timeZone, duration: minutes, options };
+}
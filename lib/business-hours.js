@@ -0,0 +1,282 @@
+/**
+ * Business hours evaluation (lib/business-hours.js)
+ *
+ * Tenant settings shape:
+ *   businessSchedule: {
+ *     timeZone: 'America/New_York',
+ *     weekly: {
+ *       mon: '09:00-17:00',
+ *       tue: '09:00-12:00, 13:00-17:00',   // several ranges per day
+ *       sat: [{ open: '10:00', close: '14:00' }],
+ *       fri: '18:00-02:00',                 // closes after midnight: open until 2 AM Saturday
+ *       sun: 'closed',
+ *     },
+ *     holidays: [
+ *       '2026-12-25',                                          // closed all day
+ *       { date: '2026-11-26', name: 'Thanksgiving' },
+ *       { date: '2026-12-24', name: 'Christmas Eve', hours: '09:00-12:00' }, // special hours
+ *     ],
+ *   }
+ *
+ * A range whose close is before its open crosses midnight and spills into the next day. The hours
+ * past midnight belong to the day the range opens on, so a holiday closing Saturday doesn't cut short
+ * Friday's late hours. Ranges that can't be parsed or are empty (e.g. '09:00-09:00') are skipped with
+ * a logged warning.
+ *
+ * Days missing from `weekly` are closed. Tenants without a structured schedule are treated as open,
+ * since the free-text `businessHours` can't be evaluated. `settings.timeZone` is used when the
+ * schedule doesn't name one.
+ */
+
+import { logger } from './logger.js';
+
+export const DEFAULT_TIME_ZONE = 'America/New_York';
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const NEXT_OPEN_SEARCH_DAYS = 14;
+
+// Schedules are re-parsed on every evaluation, so each bad range is only reported once
+const warnedRanges = new Set();
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  // 24:00 is allowed as an end-of-day close
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/** Ranges in minutes since the day's midnight; an overnight range ends past 1440. */
+function parseRanges(day) {
+  if (!day || day === 'closed') return [];
+
+  const raw = Array.isArray(day)
+    ? day.map((r) => [r?.open, r?.close])
+    : String(day)
+        .split(',')
+        .map((r) => r.split('-'));
+
+  const ranges = [];
+  for (const [open, close] of raw) {
+    const start = parseClock(open);
+    const end = parseClock(close);
+    if (start === null || end === null || end === start) {
+      const label = `${String(open ?? '').trim()}-${String(close ?? '').trim()}`;
+      if (!warnedRanges.has(label)) {
+        warnedRanges.add(label);
+        logger.warn(`⚠️ Business hours range "${label}" is invalid or empty - ignoring it`);
+      }
+      continue;
+    }
+    ranges.push({ start, end: end > start ? end : end + 24 * 60 });
+  }
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+function formatClock(minutes) {
+  const hours24 = Math.floor(minutes / 60) % 24;
+  const mins = minutes % 60;
+  const suffix = hours24 < 12 ? 'AM' : 'PM';
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return `${hours12}:${String(mins).padStart(2, '0')} ${suffix}`;
+}
+
+function formatRanges(ranges) {
+  if (ranges.length === 0) return 'Closed';
+  return ranges.map((r) => `${formatClock(r.start)} - ${formatClock(r.end)}`).join(', ');
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return !!timeZone;
+  } catch (_) {
+    return false;
+  }
+}
+
+export function getTenantTimeZone(settings) {
+  const candidate = settings?.businessSchedule?.timeZone || settings?.timeZone;
+  return isValidTimeZone(candidate) ? candidate : DEFAULT_TIME_ZONE;
+}
+
+/** Spoken name for a zone, e.g. 'Eastern Time' for America/New_York. */
+export function getTimeZoneLabel(timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longGeneric' }).formatToParts(new Date());
+    return parts.find((p) => p.type === 'timeZoneName')?.value || timeZone;
+  } catch (_) {
+    return timeZone;
+  }
+}
+
+/** Weekday key ('mon'...), local calendar date (YYYY-MM-DD) and minutes since local midnight. */
+export function getLocalClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    day: get('weekday').slice(0, 3).toLowerCase(),
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  };
+}
+
+export function hasStructuredSchedule(settings) {
+  const weekly = settings?.businessSchedule?.weekly;
+  return !!weekly && typeof weekly === 'object';
+}
+
+function findHoliday(schedule, localDate) {
+  const holidays = Array.isArray(schedule?.holidays) ? schedule.holidays : [];
+  for (const entry of holidays) {
+    const date = typeof entry === 'string' ? entry : entry?.date;
+    if (date === localDate) {
+      return { name: (typeof entry === 'object' && entry.name) || 'Holiday', hours: typeof entry === 'object' ? entry.hours : null };
+    }
+  }
+  return null;
+}
+
+/** Opening ranges for a local calendar day, with holiday overrides applied. */
+function rangesForDay(schedule, localDate, dayKey) {
+  const holiday = findHoliday(schedule, localDate);
+  if (holiday) return { ranges: parseRanges(holiday.hours), holiday: holiday.name };
+  return { ranges: parseRanges(schedule.weekly?.[dayKey]), holiday: null };
+}
+
+function addDays(localDate, days) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    localDate: date.toISOString().slice(0, 10),
+    dayIndex: date.getUTCDay(),
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+}
+
+function findNextOpening(schedule, clock, timeZone) {
+  for (let offset = 0; offset <= NEXT_OPEN_SEARCH_DAYS; offset++) {
+    const target = addDays(clock.date, offset);
+    const { ranges } = rangesForDay(schedule, target.localDate, DAY_KEYS[target.dayIndex]);
+    const next = ranges.find((r) => offset > 0 || r.start > clock.minutes);
+    if (!next) continue;
+
+    const at = zonedTimeToDate(
+      { year: target.year, month: target.month, day: target.day, hour: Math.floor(next.start / 60), minute: next.start % 60 },
+      timeZone,
+    );
+    const dayLabel = offset === 0 ? 'today' : offset === 1 ? 'tomorrow' : DAY_NAMES[target.dayIndex];
+    return { at, label: `${dayLabel} at ${formatClock(next.start)}` };
+  }
+  return null;
+}
+
+/**
+ * Returns { open, known, timeZone, holiday, nextOpen, nextOpenLabel }. `known` is false when the tenant
+ * has no structured schedule, in which case `open` is true. When closed, `nextOpen` is the next opening
+ * (Date) within two weeks and `nextOpenLabel` a spoken form like 'tomorrow at 9:00 AM'.
+ */
+export function evaluateBusinessHours(settings, now = new Date()) {
+  const timeZone = getTenantTimeZone(settings);
+  if (!hasStructuredSchedule(settings)) {
+    return { open: true, known: false, timeZone, holiday: null, nextOpen: null, nextOpenLabel: null };
+  }
+
+  const schedule = settings.businessSchedule;
+  const clock = getLocalClock(now, timeZone);
+  const { ranges, holiday } = rangesForDay(schedule, clock.date, clock.day);
+  // Yesterday's overnight ranges are still open in the small hours
+  const yesterday = addDays(clock.date, -1);
+  const spill = rangesForDay(schedule, yesterday.localDate, DAY_KEYS[yesterday.dayIndex]).ranges;
+  const open =
+    ranges.some((r) => clock.minutes >= r.start && clock.minutes < r.end) ||
+    spill.some((r) => clock.minutes + 24 * 60 >= r.start && clock.minutes + 24 * 60 < r.end);
+  const next = open ? null : findNextOpening(schedule, clock, timeZone);
+
+  return { open, known: true, timeZone, holiday, nextOpen: next?.at || null, nextOpenLabel: next?.label || null };
+}
+
+/**
+ * Human-readable hours for the AI prompt: the structured weekly schedule (plus holidays in the next
+ * 30 days) when present, otherwise the tenant's free-text `businessHours`.
+ */
+export function describeBusinessHours(settings, now = new Date()) {
+  if (!hasStructuredSchedule(settings)) return settings?.businessHours || 'standard business hours';
+
+  const schedule = settings.businessSchedule;
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  const lines = order.map((i) => `${DAY_NAMES[i]}: ${formatRanges(parseRanges(schedule.weekly[DAY_KEYS[i]]))}`);
+
+  const today = getLocalClock(now, getTenantTimeZone(settings)).date;
+  const horizon = addDays(today, 30).localDate;
+  const upcoming = (Array.isArray(schedule.holidays) ? schedule.holidays : [])
+    .map((entry) => (typeof entry === 'string' ? { date: entry } : entry))
+    .filter((entry) => entry?.date && entry.date >= today && entry.date <= horizon)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((entry) => `${entry.date}${entry.name ? ` (${entry.name})` : ''}: ${formatRanges(parseRanges(entry.hours))}`);
+
+  return lines.join('\n') + (upcoming.length ? '\nHoliday hours:\n' + upcoming.join('\n') : '');
+}
+
+// ========================= Timezone math =========================
+/** Offset of `timeZone` from UTC at `date`, in minutes (e.g. -240 for EDT). */
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/** Date for a wall-clock time in `timeZone` (month is 1-based). */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset across DST transitions
+  let offset = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+  offset = getTimeZoneOffsetMinutes(new Date(guess - offset * 60000), timeZone);
+  return new Date(guess - offset * 60000);
+}
+
+/** ISO 8601 string with the zone's offset, e.g. 2026-01-03T10:00:00-05:00 */
+export function formatIsoInZone(date, timeZone) {
+  const offset = getTimeZoneOffsetMinutes(date, timeZone);
+  const local = new Date(date.getTime() + offset * 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${local.toISOString().slice(0, 19)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/** True when [start, start + durationMinutes) falls inside the tenant's open hours (sampled every 15 minutes). */
+export function isRangeWithinBusinessHours(settings, start, durationMinutes) {
+  if (!hasStructuredSchedule(settings)) return true;
+  const stepMs = 15 * 60000;
+  const endMs = start.getTime() + durationMinutes * 60000;
+  for (let t = start.getTime(); t < endMs; t += stepMs) {
+    if (!evaluateBusinessHours(settings, new Date(t)).open) return false;
+  }
+  return evaluateBusinessHours(settings, new Date(endMs - 60000)).open;
+}
@@ -0,0 +1,136 @@
+/**
+ * Post-call analysis (lib/call-analysis.js)
+ * - Runs the finished transcript through a chat model for a summary, intent, sentiment, urgency,
+ *   a 0-100 lead score and follow-up action items
+ * - Hard timeout so a slow or failing analysis never blocks call finalization
+ *
+ * Config (env):
+ *  - CALL_ANALYSIS_MODEL        chat model (default 'gpt-4o-mini')
+ *  - CALL_ANALYSIS_TIMEOUT_MS   give up after this long (default 8000)
+ *  - CALL_ANALYSIS_ENABLED      set to 'false' to skip analysis entirely
+ */
+
+import { sanitizeForLog } from './sanitize.js';
+import { logger } from './logger.js';
+
+export const CALL_INTENTS = [
+  'appointment',
+  'reschedule_or_cancel',
+  'sales_inquiry',
+  'support',
+  'order_status',
+  'billing',
+  'complaint',
+  'message_for_staff',
+  'wrong_number',
+  'spam',
+  'other',
+];
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const URGENCIES = ['low', 'medium', 'high'];
+
+const MAX_TRANSCRIPT_CHARS = 24000;
+
+const SYSTEM_PROMPT = [
+  'You analyze phone calls handled by an AI receptionist for a small business.',
+  'Return ONLY a JSON object with these keys:',
+  '- summary: 1-3 sentence summary of why the caller called and what happened',
+  `- intent: one of ${CALL_INTENTS.join(', ')}`,
+  `- sentiment: caller sentiment, one of ${SENTIMENTS.join(', ')}`,
+  `- urgency: one of ${URGENCIES.join(', ')}`,
+  '- leadScore: integer 0-100, how likely this caller is to become or remain a paying customer (spam/wrong number = 0)',
+  '- actionItems: array of short follow-up tasks for the business staff (empty if none)',
+].join('\n');
+
+function pickEnum(value, allowed, fallback) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return allowed.includes(normalized) ? normalized : fallback;
+}
+
+/** Coerces model output into the documented shape; never throws. */
+export function normalizeAnalysis(raw) {
+  const score = Math.round(Number(raw?.leadScore));
+  return {
+    summary: typeof raw?.summary === 'string' && raw.summary.trim() ? raw.summary.trim().slice(0, 1000) : null,
+    intent: pickEnum(raw?.intent, CALL_INTENTS, 'other'),
+    sentiment: pickEnum(raw?.sentiment, SENTIMENTS, 'neutral'),
+    urgency: pickEnum(raw?.urgency, URGENCIES, 'low'),
+    leadScore: Number.isFinite(score) ? Math.min(100, Math.max(0, score)) : null,
+    actionItems: Array.isArray(raw?.actionItems)
+      ? raw.actionItems
+          .filter((item) => typeof item === 'string' && item.trim())
+          .map((item) => item.trim().slice(0, 300))
+          .slice(0, 10)
+      : [],
+  };
+}
+
+function formatTranscript(transcript) {
+  const text = transcript.map((entry) => `[${entry.speaker}]: ${entry.text}`).join('\n');
+  // Keep the end of long calls - that's where outcomes and next steps are
+  return text.length > MAX_TRANSCRIPT_CHARS ? '…' + text.slice(-MAX_TRANSCRIPT_CHARS) : text;
+}
+
+/**
+ * Analyzes a finished call. Resolves to the normalized analysis, or null when analysis is disabled,
+ * there is no transcript, the model fails, or the timeout hits.
+ *
+ * context: { businessName, leadInfo, appointmentBooked, transferred }
+ */
+export async function analyzeCall(openai, transcript, context = {}) {
+  if (process.env.CALL_ANALYSIS_ENABLED === 'false') return null;
+  if (!Array.isArray(transcript) || transcript.length === 0) return null;
+
+  const timeoutMs = Number(process.env.CALL_ANALYSIS_TIMEOUT_MS) || 8000;
+  const model = process.env.CALL_ANALYSIS_MODEL || 'gpt-4o-mini';
+  const startedAt = Date.now();
+
+  const facts = [
+    `Business: ${context.businessName || 'Unknown'}`,
+    `Appointment booked: ${context.appointmentBooked ? 'yes' : 'no'}`,
+    `Transferred to a human: ${context.transferred ? 'yes' : 'no'}`,
+    context.leadInfo?.notes ? `Receptionist notes: ${context.leadInfo.notes}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const controller = new AbortController();
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      resolve('timeout');
+      controller.abort();
+    }, timeoutMs);
+  });
+
+  try {
+    const request = openai.chat.completions.create(
+      {
+        model,
+        temperature: 0.2,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: `${facts}\n\nTranscript:\n${formatTranscript(transcript)}` },
+        ],
+      },
+      { signal: controller.signal, maxRetries: 0 },
+    );
+
+    const result = await Promise.race([request, timeout]);
+    if (result === 'timeout') {
+      request.catch(() => {});
+      logger.error(`⚠️ Call analysis timed out after ${timeoutMs}ms`);
+      return null;
+    }
+
+    const analysis = normalizeAnalysis(JSON.parse(result.choices?.[0]?.message?.content || '{}'));
+    logger.info(`🧠 Call analysis done in ${Date.now() - startedAt}ms:`, sanitizeForLog(analysis));
+    return analysis;
+  } catch (error) {
+    logger.error('⚠️ Call analysis failed:', sanitizeForLog(error));
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
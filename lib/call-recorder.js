@@ -0,0 +1,181 @@
+/**
+ * Call recording (lib/call-recorder.js)
+ * - Buffers inbound Twilio media (caller) and outbound Realtime audio (receptionist), both G.711 mu-law @ 8kHz
+ * - Mixes them into a stereo 16-bit PCM WAV: left = caller, right = receptionist
+ * - Both channels sit on the media stream's clock: caller audio at Twilio's media.timestamp, receptionist audio
+ *   at the latest media timestamp plus the time since that frame arrived (stream start before the first frame)
+ * - The whole call is held in memory until upload (about 32 KB per second as WAV), hence the length cap
+ * - Uploads the WAV to Supabase storage and returns a URL for webhooks / the call record
+ * - The notice is played by Twilio (<Say> before <Connect>), so the recorder only starts once it has finished
+ *
+ * Tenant settings shape:
+ *   recording: {
+ *     enabled: true,
+ *     announcement: true,        // true = standard notice, string = custom notice, false = no notice
+ *     requireConsent: false,     // true = never record a call the notice wasn't played on
+ *   }
+ *
+ * Config (env):
+ *  - RECORDINGS_BUCKET             storage bucket (default 'call-recordings')
+ *  - RECORDING_URL_TTL_SECONDS     signed URL lifetime (default 7 days)
+ *  - RECORDING_MAX_SECONDS         recording stops growing past this length (default 900, ~29 MB of WAV)
+ */
+
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+export const DEFAULT_RECORDING_ANNOUNCEMENT = 'This call may be recorded for quality and training purposes.';
+
+// ========================= G.711 mu-law =========================
+const MULAW_DECODE_TABLE = (() => {
+  const table = new Int16Array(256);
+  for (let i = 0; i < 256; i++) {
+    const mu = ~i & 0xff;
+    const sign = mu & 0x80;
+    const exponent = (mu >> 4) & 0x07;
+    const mantissa = mu & 0x0f;
+    let sample = ((mantissa << 3) + 0x84) << exponent;
+    sample -= 0x84;
+    table[i] = sign ? -sample : sample;
+  }
+  return table;
+})();
+
+/**
+ * Resolves the tenant's recording settings: { enabled, announcement, requireConsent } where announcement is text
+ * or null.
+ */
+export function resolveRecordingSettings(settings) {
+  const config = settings?.recording;
+  if (!config || config.enabled !== true) return { enabled: false, announcement: null, requireConsent: false };
+
+  let announcement = DEFAULT_RECORDING_ANNOUNCEMENT;
+  if (config.announcement === false) announcement = null;
+  else if (typeof config.announcement === 'string' && config.announcement.trim()) announcement = config.announcement.trim();
+
+  return { enabled: true, announcement, requireConsent: config.requireConsent === true };
+}
+
+export class CallRecorder {
+  /** `streamStartedAt` is when the media stream started (Date.now() ms), i.e. media.timestamp 0. */
+  constructor({ streamStartedAt = Date.now(), maxSeconds = Number(process.env.RECORDING_MAX_SECONDS) || 900 } = {}) {
+    this.clock = { mediaMs: 0, receivedAt: streamStartedAt }; // latest media timestamp and when it arrived
+    this.maxSamples = maxSeconds * SAMPLE_RATE;
+    this.inbound = []; // { offset, bytes }
+    this.outbound = [];
+    this.outboundCursor = 0; // next free sample on the receptionist channel
+    this.truncated = false;
+  }
+
+  // Now, on the media stream's clock
+  elapsedSamples() {
+    return Math.floor((this.clock.mediaMs + Date.now() - this.clock.receivedAt) * SAMPLES_PER_MS);
+  }
+
+  /** Caller audio. `timestampMs` is Twilio's media.timestamp (ms since the stream started). */
+  addInbound(payloadBase64, timestampMs) {
+    const mediaMs = Number(timestampMs);
+    if (Number.isFinite(mediaMs) && mediaMs >= this.clock.mediaMs) this.clock = { mediaMs, receivedAt: Date.now() };
+    const offset = Number.isFinite(mediaMs) ? Math.floor(mediaMs * SAMPLES_PER_MS) : this.elapsedSamples();
+    this.push(this.inbound, offset, payloadBase64);
+  }
+
+  /**
+   * Receptionist audio. Realtime deltas arrive faster than real time and Twilio plays them back to back,
+   * so each chunk starts where the previous one ended (or now, if playback had gone idle).
+   */
+  addOutbound(payloadBase64) {
+    const offset = Math.max(this.outboundCursor, this.elapsedSamples());
+    const bytes = this.push(this.outbound, offset, payloadBase64);
+    if (bytes) this.outboundCursor = offset + bytes.length;
+  }
+
+  /** Drops receptionist audio that hadn't played yet, e.g. when the caller interrupted and Twilio cleared it. */
+  truncateOutbound() {
+    const now = this.elapsedSamples();
+    if (this.outboundCursor <= now) return;
+    this.outbound = this.outbound
+      .filter((chunk) => chunk.offset < now)
+      .map((chunk) => (chunk.offset + chunk.bytes.length > now ? { offset: chunk.offset, bytes: chunk.bytes.subarray(0, now - chunk.offset) } : chunk));
+    this.outboundCursor = now;
+  }
+
+  push(list, offset, payloadBase64) {
+    if (!payloadBase64 || offset >= this.maxSamples) {
+      if (offset >= this.maxSamples) this.truncated = true;
+      return null;
+    }
+    const bytes = Buffer.from(payloadBase64, 'base64');
+    list.push({ offset, bytes });
+    return bytes;
+  }
+
+  get isEmpty() {
+    return this.inbound.length === 0 && this.outbound.length === 0;
+  }
+
+  /** Stereo 16-bit PCM WAV (left = caller, right = receptionist). */
+  toWav() {
+    const end = (list) => list.reduce((max, c) => Math.max(max, c.offset + c.bytes.length), 0);
+    const frames = Math.min(Math.max(end(this.inbound), end(this.outbound)), this.maxSamples);
+
+    const dataBytes = frames * 2 * 2;
+    const wav = Buffer.alloc(44 + dataBytes);
+
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + dataBytes, 4);
+    wav.write('WAVE', 8);
+    wav.write('fmt ', 12);
+    wav.writeUInt32LE(16, 16); // PCM chunk size
+    wav.writeUInt16LE(1, 20); // PCM
+    wav.writeUInt16LE(2, 22); // channels
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE * 2 * 2, 28); // byte rate
+    wav.writeUInt16LE(4, 32); // block align
+    wav.writeUInt16LE(16, 34); // bits per sample
+    wav.write('data', 36);
+    wav.writeUInt32LE(dataBytes, 40);
+
+    const writeChannel = (list, channel) => {
+      for (const { offset, bytes } of list) {
+        for (let i = 0; i < bytes.length; i++) {
+          const frame = offset + i;
+          if (frame >= frames) break;
+          wav.writeInt16LE(MULAW_DECODE_TABLE[bytes[i]], 44 + frame * 4 + channel * 2);
+        }
+      }
+    };
+    writeChannel(this.inbound, 0);
+    writeChannel(this.outbound, 1);
+
+    return wav;
+  }
+}
+
+/**
+ * Uploads a finished recording. Returns { success, path, url } or { success: false, error }.
+ * Recordings are stored as `<userId>/<callSid>.wav`.
+ */
+export async function uploadRecording(supabase, { recorder, userId, callSid }) {
+  if (!recorder || recorder.isEmpty) return { success: false, error: 'empty_recording' };
+
+  const bucket = process.env.RECORDINGS_BUCKET || 'call-recordings';
+  const ttlSeconds = Number(process.env.RECORDING_URL_TTL_SECONDS) || 7 * 24 * 60 * 60;
+  const path = `${userId || 'unknown'}/${callSid}.wav`;
+
+  try {
+    const wav = recorder.toWav();
+    const { error: uploadError } = await supabase.storage.from(bucket).upload(path, wav, {
+      contentType: 'audio/wav',
+      upsert: true,
+    });
+    if (uploadError) return { success: false, error: uploadError.message };
+
+    const { data, error: urlError } = await supabase.storage.from(bucket).createSignedUrl(path, ttlSeconds);
+    if (urlError) return { success: true, path, url: null, error: urlError.message };
+
+    return { success: true, path, url: data.signedUrl, bytes: wav.length, truncated: recorder.truncated };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Email confirmations (lib/email-notifications.js)
+ * - Appointment confirmation emails (HTML + plain text) with an .ics calendar attachment
+ * - Sent over SMTP by default; setEmailProvider() swaps in any other provider (SendGrid, SES, a test double)
+ * - Used after book_appointment when an SMS confirmation can't be sent
+ * - Verification codes for find_appointments lookups by an email address other than the caller's
+ *
+ * Config (env):
+ *  - SMTP_HOST / SMTP_PORT (default 587) / SMTP_SECURE ('true' for implicit TLS, default for port 465)
+ *  - SMTP_USER / SMTP_PASS   optional auth
+ *  - EMAIL_FROM              sender address (default SMTP_USER)
+ *  - EMAIL_TIMEOUT_MS        connection / socket timeout (default 10000)
+ *
+ * Provider interface: { name, send({ from, to, subject, html, text, attachments: [{ filename, content, contentType }] }) }
+ */
+
+import nodemailer from 'nodemailer';
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+const ICS_PRODUCT_ID = '-//Talkertive.io//AI Receptionist//EN';
+const DEFAULT_DURATION_MINUTES = 30;
+
+let customProvider = null;
+let smtpProvider = null;
+
+/** Replaces the SMTP transport; pass null to go back to SMTP. */
+export function setEmailProvider(provider) {
+  customProvider = provider;
+}
+
+function getProvider() {
+  if (customProvider) return customProvider;
+  if (!process.env.SMTP_HOST) return null;
+
+  if (!smtpProvider) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    const timeout = Number(process.env.EMAIL_TIMEOUT_MS) || 10000;
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      connectionTimeout: timeout,
+      greetingTimeout: timeout,
+      socketTimeout: timeout,
+    });
+    smtpProvider = { name: 'smtp', send: (message) => transport.sendMail(message) };
+  }
+  return smtpProvider;
+}
+
+export function isEmailConfigured() {
+  return !!getProvider();
+}
+
+// ========================= ICS =========================
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * A single-event VCALENDAR. Times are written in UTC so every calendar app shows the right local time;
+ * the tenant timezone is passed along as X-WR-TIMEZONE.
+ */
+export function buildIcs({ uid, dateTime, duration = DEFAULT_DURATION_MINUTES, timeZone, title, description, meetLink, organizerName }) {
+  const start = new Date(dateTime);
+  if (Number.isNaN(start.getTime())) throw new Error(`Invalid appointment time: ${dateTime}`);
+  const end = new Date(start.getTime() + (Number(duration) || DEFAULT_DURATION_MINUTES) * 60000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    timeZone && `X-WR-TIMEZONE:${timeZone}`,
+    'BEGIN:VEVENT',
+    `UID:${uid || randomUUID()}@talkertive.io`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(title)}`,
+    description && `DESCRIPTION:${icsText(description)}`,
+    meetLink && `LOCATION:${icsText(meetLink)}`,
+    meetLink && `URL:${meetLink}`,
+    organizerName && `ORGANIZER;CN=${icsText(organizerName)}:mailto:${process.env.EMAIL_FROM || process.env.SMTP_USER || 'noreply@talkertive.io'}`,
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ========================= Appointment confirmation =========================
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+function formatWhen(dateTime, timeZone) {
+  const options = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+  try {
+    return new Date(dateTime).toLocaleString('en-US', { ...options, timeZone });
+  } catch (_) {
+    return new Date(dateTime).toLocaleString('en-US', options);
+  }
+}
+
+/** { subject, html, text } for an appointment confirmation. */
+export function renderAppointmentEmail({ customerName, businessName, dateTime, duration, timeZone, purpose, meetLink }) {
+  const business = businessName || 'us';
+  const when = formatWhen(dateTime, timeZone);
+  const minutes = Number(duration) || DEFAULT_DURATION_MINUTES;
+  const greeting = customerName ? `Hi ${customerName},` : 'Hi,';
+
+  const details = [
+    ['When', when],
+    ['Duration', `${minutes} minutes`],
+    purpose && ['What', purpose],
+    meetLink && ['Join', meetLink],
+  ].filter(Boolean);
+
+  const text = [
+    greeting,
+    '',
+    `Your appointment with ${business} is confirmed.`,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    'The attached calendar invite adds it to your calendar. If you need to change it, just give us a call.',
+  ].join('\n');
+
+  const rows = details
+    .map(([label, value]) => {
+      const cell = label === 'Join' ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value);
+      return `<tr><td style="padding:4px 12px 4px 0;color:#666">${label}</td><td style="padding:4px 0">${cell}</td></tr>`;
+    })
+    .join('');
+  const html = [
+    '<div style="font-family:Arial,Helvetica,sans-serif;font-size:15px;color:#222;line-height:1.5">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>Your appointment with <strong>${escapeHtml(business)}</strong> is confirmed.</p>`,
+    `<table style="border-collapse:collapse">${rows}</table>`,
+    '<p>The attached calendar invite adds it to your calendar. If you need to change it, just give us a call.</p>',
+    '</div>',
+  ].join('');
+
+  return { subject: `Appointment confirmed: ${business} - ${when}`, html, text };
+}
+
+/**
+ * Emails an appointment confirmation with an .ics attachment. Resolves to { success, reason?, messageId? };
+ * never throws.
+ *
+ * appointment: { to, customerName, businessName, dateTime, duration, timeZone, purpose, meetLink, appointmentId }
+ */
+export async function sendAppointmentConfirmationEmail(appointment) {
+  const provider = getProvider();
+  if (!provider) {
+    logger.info('⚠️ Email not sent - no email provider configured');
+    return { success: false, reason: 'not_configured' };
+  }
+  if (!appointment.to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(appointment.to)) {
+    logger.info('⚠️ Email not sent - invalid recipient');
+    return { success: false, reason: 'invalid_recipient' };
+  }
+
+  try {
+    const { subject, html, text } = renderAppointmentEmail(appointment);
+    const ics = buildIcs({
+      uid: appointment.appointmentId,
+      dateTime: appointment.dateTime,
+      duration: appointment.duration,
+      timeZone: appointment.timeZone,
+      title: appointment.purpose ? `${appointment.purpose} - ${appointment.businessName || 'Appointment'}` : appointment.businessName || 'Appointment',
+      description: text,
+      meetLink: appointment.meetLink,
+      organizerName: appointment.businessName,
+    });
+
+    logger.info('📧 SENDING EMAIL');
+    logger.info('   Subject:', subject);
+    const result = await provider.send({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to: appointment.to,
+      subject,
+      html,
+      text,
+      attachments: [{ filename: 'appointment.ics', content: ics, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }],
+    });
+
+    logger.info(`✅ Email sent via ${provider.name}`);
+    return { success: true, messageId: result?.messageId || null };
+  } catch (err) {
+    logger.error('❌ Error sending email:', err.message);
+    return { success: false, reason: 'send_failed' };
+  }
+}
+
+/** Emails a one-time code proving the caller owns `to`. Resolves to { success, reason? }; never throws. */
+export async function sendVerificationCodeEmail({ to, code, businessName }) {
+  const provider = getProvider();
+  if (!provider) {
+    logger.info('⚠️ Email not sent - no email provider configured');
+    return { success: false, reason: 'not_configured' };
+  }
+  if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
+    logger.info('⚠️ Email not sent - invalid recipient');
+    return { success: false, reason: 'invalid_recipient' };
+  }
+
+  const business = businessName || 'Talkertive';
+  try {
+    logger.info('📧 SENDING VERIFICATION EMAIL');
+    await provider.send({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject: `Your ${business} verification code`,
+      text: `Your ${business} verification code is ${code}. Read it to the receptionist to look up your appointments. It expires in 10 minutes.`,
+      html: `<p>Your ${escapeHtml(business)} verification code is <strong>${code}</strong>.</p><p>Read it to the receptionist to look up your appointments. It expires in 10 minutes.</p>`,
+      attachments: [],
+    });
+    logger.info(`✅ Verification email sent via ${provider.name}`);
+    return { success: true };
+  } catch (err) {
+    logger.error('❌ Error sending verification email:', err.message);
+    return { success: false, reason: 'send_failed' };
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Spoken hold prompt (lib/hold-prompt.js)
+ * - "One moment please." rendered with OpenAI text-to-speech once per voice and cached for the process
+ * - Converted to G.711 mu-law @ 8kHz so it can be written straight into the Twilio media stream
+ *   while the Realtime connection is being re-established
+ *
+ * Config (env):
+ *  - HOLD_PROMPT_TTS_MODEL   text-to-speech model (default 'gpt-4o-mini-tts', which has every Realtime voice)
+ */
+
+import { sanitizeForLog } from './sanitize.js';
+import { logger } from './logger.js';
+
+export const HOLD_PROMPT_TEXT = 'One moment please.';
+
+const TTS_SAMPLE_RATE = 24000; // OpenAI 'pcm' output: 24kHz 16-bit little-endian mono
+const TWILIO_SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20ms of 8kHz mu-law
+
+const cache = new Map(); // voice → Promise<Buffer | null>
+
+function linearToMulaw(sample) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/** 24kHz 16-bit PCM → 8kHz mu-law, averaging each group of 3 samples as a cheap low-pass. */
+export function pcm24kToMulaw8k(pcm) {
+  const ratio = TTS_SAMPLE_RATE / TWILIO_SAMPLE_RATE;
+  const inputSamples = Math.floor(pcm.length / 2);
+  const out = Buffer.alloc(Math.floor(inputSamples / ratio));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < ratio; j++) sum += pcm.readInt16LE((i * ratio + j) * 2);
+    out[i] = linearToMulaw(Math.round(sum / ratio));
+  }
+  return out;
+}
+
+async function synthesize(openai, voice, timeoutMs) {
+  const response = await openai.audio.speech.create(
+    {
+      model: process.env.HOLD_PROMPT_TTS_MODEL || 'gpt-4o-mini-tts',
+      voice,
+      input: HOLD_PROMPT_TEXT,
+      response_format: 'pcm',
+    },
+    { timeout: timeoutMs, maxRetries: 0 },
+  );
+  return pcm24kToMulaw8k(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Resolves to the hold prompt as mu-law audio for `voice`, or null if it can't be rendered.
+ * Failures aren't cached, so the next call tries again.
+ */
+export function getHoldPrompt(openai, voice, { timeoutMs = 3000 } = {}) {
+  if (!cache.has(voice)) {
+    cache.set(
+      voice,
+      synthesize(openai, voice, timeoutMs).catch((error) => {
+        logger.error('⚠️ Hold prompt unavailable:', sanitizeForLog(error));
+        cache.delete(voice);
+        return null;
+      }),
+    );
+  }
+  return cache.get(voice);
+}
+
+/** Splits mu-law audio into base64 Twilio media payloads of `frames` 20ms frames each. */
+export function toMediaPayloads(audio, frames = 25) {
+  const payloads = [];
+  const size = FRAME_BYTES * frames;
+  for (let offset = 0; offset < audio.length; offset += size) {
+    payloads.push(audio.subarray(offset, offset + size).toString('base64'));
+  }
+  return payloads;
+}
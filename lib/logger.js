@@ -0,0 +1,98 @@
+/**
+ * Structured logging (lib/logger.js)
+ * - One JSON object per line: { ts, level, msg, callSid, sessionId, userId, data }
+ * - Every line is tagged with the call it belongs to: the bridge runs each call's and SMS thread's work inside
+ *   withLogContext(), and AsyncLocalStorage carries the context through awaits, timers and socket callbacks
+ * - The bridge and its lib modules log through `logger` (console-style arguments); the global console is left
+ *   alone, so dependencies' own output is not rewritten
+ * - sanitizeForLog() is applied to every message and data field
+ *
+ * Config (env):
+ *  - LOG_FORMAT   'json' or 'pretty' (default 'json' when NODE_ENV=production, else 'pretty' -
+ *                 the classic console lines, prefixed with the callSid)
+ *  - LOG_LEVEL    debug | info | warn | error (default info)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { format } from 'util';
+import { sanitizeForLog } from './sanitize.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONTEXT_FIELDS = ['callSid', 'sessionId', 'userId'];
+
+const storage = new AsyncLocalStorage();
+const original = {
+  log: console.log.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console),
+};
+
+const getFormat = () => process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+const getMinLevel = () => LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+
+/**
+ * Runs fn with `context` ({ callSid, sessionId, userId }) attached to every line it logs. The object is read at
+ * log time, so fields filled in later (e.g. the callSid once Twilio's `start` arrives) show up from then on.
+ */
+export function withLogContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getLogContext() {
+  return storage.getStore() || null;
+}
+
+function contextFields() {
+  const context = storage.getStore();
+  const fields = {};
+  if (!context) return fields;
+  for (const key of CONTEXT_FIELDS) if (context[key]) fields[key] = context[key];
+  return fields;
+}
+
+// console-style arguments: strings/numbers form the message, anything else is structured data
+function splitArgs(args) {
+  const words = [];
+  const data = [];
+  for (const arg of args) {
+    if (arg === null || arg === undefined || ['string', 'number', 'boolean'].includes(typeof arg)) words.push(String(arg));
+    else data.push(sanitizeForLog(arg));
+  }
+  return { msg: sanitizeForLog(words.join(' ')), extras: data };
+}
+
+// `extras` are the pretty-format console arguments after the message; JSON lines carry them as `data`
+function write(level, msg, data, extras = data === undefined ? [] : [data]) {
+  if (LEVELS[level] < getMinLevel()) return;
+  const out = level === 'error' ? original.error : level === 'warn' ? original.warn : original.log;
+
+  if (getFormat() === 'json') {
+    const line = { ts: new Date().toISOString(), level, msg, ...contextFields() };
+    if (data !== undefined) line.data = data;
+    let json;
+    try {
+      json = JSON.stringify(line);
+    } catch (_) {
+      json = JSON.stringify({ ...line, data: format('%o', data) });
+    }
+    out(json);
+    return;
+  }
+
+  const { callSid, sessionId } = contextFields();
+  const tag = callSid || sessionId;
+  out(...(tag ? [`[${tag}]`, msg, ...extras] : [msg, ...extras]));
+}
+
+function logArgs(level, args) {
+  const { msg, extras } = splitArgs(args);
+  write(level, msg, extras.length === 0 ? undefined : extras.length === 1 ? extras[0] : extras, extras);
+}
+
+/** Console-style logger: logger.info('✅ Call finalized', callSid, { duration: 42 }). */
+export const logger = {
+  debug: (...args) => logArgs('debug', args),
+  info: (...args) => logArgs('info', args),
+  warn: (...args) => logArgs('warn', args),
+  error: (...args) => logArgs('error', args),
+};
@@ -0,0 +1,123 @@
+/**
+ * Prometheus metrics (lib/metrics.js)
+ * - Served by GET /metrics in the Prometheus text format (prom-client)
+ * - Call outcomes, tool calls (count / latency / failures), Realtime connect latency, time to first audio,
+ *   backend request errors, webhook delivery failures and SMS failures, plus Node process metrics
+ * - Backend errors are observed by the fetch createBackendFetch() returns, which server.js (and the lib modules
+ *   it hands it to) use for Supabase functions requests; global fetch is left alone. Id-like path segments are
+ *   collapsed to keep labels bounded and 404s are not counted
+ *
+ * Config (env):
+ *  - METRICS_TOKEN   /metrics requires `Authorization: Bearer <METRICS_TOKEN>` (default ADMIN_API_KEY; the
+ *                    endpoint is disabled when neither is set)
+ */
+
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'talkertive_' });
+
+const registers = [registry];
+
+export const metrics = {
+  activeCalls: new client.Gauge({
+    name: 'talkertive_active_calls',
+    help: 'Twilio media streams currently open',
+    registers,
+  }),
+  callOutcomes: new client.Counter({
+    name: 'talkertive_call_outcomes_total',
+    help: 'Finished calls, voicemails and SMS threads by outcome event type',
+    labelNames: ['event', 'channel'],
+    registers,
+  }),
+  functionCalls: new client.Counter({
+    name: 'talkertive_function_calls_total',
+    help: 'Tool calls made by the model, by tool and status (success | failure)',
+    labelNames: ['tool', 'status'],
+    registers,
+  }),
+  functionCallDuration: new client.Histogram({
+    name: 'talkertive_function_call_duration_seconds',
+    help: 'Tool call latency',
+    labelNames: ['tool'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers,
+  }),
+  openaiConnectDuration: new client.Histogram({
+    name: 'talkertive_openai_connect_seconds',
+    help: 'Time to open the OpenAI Realtime websocket, by result (success | failure)',
+    labelNames: ['result'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+    registers,
+  }),
+  timeToFirstAudio: new client.Histogram({
+    name: 'talkertive_time_to_first_audio_seconds',
+    help: "Time from the media stream starting to the receptionist's first audio, by call direction",
+    labelNames: ['direction'],
+    buckets: [0.5, 1, 2, 3, 4, 6, 8, 12, 20],
+    registers,
+  }),
+  backendErrors: new client.Counter({
+    name: 'talkertive_backend_request_errors_total',
+    help: 'Failed Supabase backend requests, by route and reason (http_<status> | timeout | network)',
+    labelNames: ['route', 'reason'],
+    registers,
+  }),
+  webhookFailures: new client.Counter({
+    name: 'talkertive_webhook_delivery_failures_total',
+    help: 'Webhook deliveries that failed after all retries, by event type',
+    labelNames: ['event'],
+    registers,
+  }),
+  smsFailures: new client.Counter({
+    name: 'talkertive_sms_failures_total',
+    help: 'SMS that were not sent, by reason',
+    labelNames: ['reason'],
+    registers,
+  }),
+};
+
+/** Parsed tool output (the JSON string executeTool returns) counts as a failure when success is false. */
+export function recordFunctionCall(tool, startedAt, output) {
+  let failed = false;
+  try {
+    failed = JSON.parse(output)?.success === false;
+  } catch (_) {
+    // Non-JSON output is still a completed call
+  }
+  metrics.functionCalls.inc({ tool, status: failed ? 'failure' : 'success' });
+  metrics.functionCallDuration.observe({ tool }, (Date.now() - startedAt) / 1000);
+}
+
+// /appointments/5b6c…/reschedule → /appointments/:id/reschedule; phone numbers and SIDs too
+function normalizeRoute(pathname) {
+  return (
+    pathname
+      .split('/')
+      .map((segment) => (/\d/.test(segment) && segment.length >= 6 ? ':id' : segment))
+      .join('/') || '/'
+  );
+}
+
+/**
+ * A fetch for backend requests: failed requests to `baseUrl` are counted in talkertive_backend_request_errors_total
+ * (anything else is passed through uncounted).
+ */
+export function createBackendFetch(baseUrl) {
+  return async (input, init) => {
+    const url = typeof input === 'string' ? input : input?.url || String(input);
+    if (!baseUrl || !url.startsWith(baseUrl)) return fetch(input, init);
+
+    const route = normalizeRoute(new URL(url).pathname.slice(new URL(baseUrl).pathname.length));
+    try {
+      const response = await fetch(input, init);
+      // 404 is an answer (unknown number, no consent on record), not a backend failure
+      if (!response.ok && response.status !== 404) metrics.backendErrors.inc({ route, reason: `http_${response.status}` });
+      return response;
+    } catch (err) {
+      metrics.backendErrors.inc({ route, reason: err.name === 'AbortError' || err.name === 'TimeoutError' ? 'timeout' : 'network' });
+      throw err;
+    }
+  };
+}
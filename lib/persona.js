@@ -0,0 +1,134 @@
+/**
+ * Receptionist persona and Realtime model parameters (lib/persona.js)
+ *
+ * Tenant settings shape (every field optional):
+ *   receptionist: {
+ *     name: 'Krystle',
+ *     voice: 'shimmer',
+ *     greeting: 'Hi! Thank you for calling {businessName} today. My name is {name}.',
+ *     afterHoursGreeting: "Hi, you've reached {businessName} after hours. I'm {name} ...",
+ *     language: 'en',                 // ISO 639-1 code or a language name ('Spanish')
+ *     tone: 'warm, friendly',
+ *     model: 'gpt-4o-realtime-preview-2024-12-17',
+ *     temperature: 0.9,
+ *     maxResponseOutputTokens: 800,
+ *     vad: { threshold: 0.5, prefixPaddingMs: 300, silenceDurationMs: 1500 },
+ *   }
+ *
+ * Invalid values fall back to the defaults below and are reported in `warnings`.
+ */
+
+export const DEFAULT_PERSONA = Object.freeze({
+  name: 'Krystle',
+  voice: 'shimmer',
+  greeting: null,
+  afterHoursGreeting: null,
+  language: null,
+  tone: 'warm, friendly',
+  model: 'gpt-4o-realtime-preview-2024-12-17',
+  temperature: 0.9,
+  maxResponseOutputTokens: 800,
+  vad: Object.freeze({ threshold: 0.5, prefixPaddingMs: 300, silenceDurationMs: 1500 }),
+});
+
+export const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+const MODEL_PATTERN = /^gpt-[a-z0-9.-]*realtime[a-z0-9.-]*$/;
+const NAME_PATTERN = /^[\p{L}][\p{L} .'-]{0,39}$/u;
+const ISO_LANGUAGE = /^[a-z]{2}$/;
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  hi: 'Hindi',
+  ar: 'Arabic',
+};
+
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.replace(/\s+/g, ' ').trim();
+  return trimmed && trimmed.length <= maxLength ? trimmed : null;
+}
+
+function numberInRange(value, min, max) {
+  const n = Number(value);
+  return value !== null && value !== '' && Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+/**
+ * Normalizes `settings.receptionist`. Returns a persona with the DEFAULT_PERSONA shape plus
+ * `languageName` (for the prompt), `transcriptionLanguage` (ISO code for Whisper, or null) and `warnings`.
+ */
+export function resolvePersona(settings) {
+  const config = settings?.receptionist && typeof settings.receptionist === 'object' ? settings.receptionist : {};
+  const warnings = [];
+
+  function pick(key, value, fallback) {
+    if (config[key] === undefined || config[key] === null) return fallback;
+    if (value === null) {
+      warnings.push(`receptionist.${key} is invalid - using default`);
+      return fallback;
+    }
+    return value;
+  }
+
+  const rawName = cleanText(config.name, 40);
+  const name = pick('name', rawName && NAME_PATTERN.test(rawName) ? rawName : null, DEFAULT_PERSONA.name);
+
+  const rawVoice = typeof config.voice === 'string' ? config.voice.trim().toLowerCase() : null;
+  const voice = pick('voice', REALTIME_VOICES.includes(rawVoice) ? rawVoice : null, DEFAULT_PERSONA.voice);
+
+  const rawModel = typeof config.model === 'string' ? config.model.trim() : null;
+  const model = pick('model', rawModel && MODEL_PATTERN.test(rawModel) ? rawModel : null, DEFAULT_PERSONA.model);
+
+  const rawLanguage = cleanText(config.language, 30);
+  const language = pick('language', rawLanguage, DEFAULT_PERSONA.language);
+  const isoLanguage = language && ISO_LANGUAGE.test(language.toLowerCase()) ? language.toLowerCase() : null;
+
+  const vadConfig = config.vad && typeof config.vad === 'object' ? config.vad : {};
+  const vadPick = (key, min, max) => {
+    if (vadConfig[key] === undefined || vadConfig[key] === null) return DEFAULT_PERSONA.vad[key];
+    const value = numberInRange(vadConfig[key], min, max);
+    if (value === null) warnings.push(`receptionist.vad.${key} is invalid - using default`);
+    return value ?? DEFAULT_PERSONA.vad[key];
+  };
+
+  return {
+    name,
+    voice,
+    greeting: pick('greeting', cleanText(config.greeting, 300), DEFAULT_PERSONA.greeting),
+    afterHoursGreeting: pick('afterHoursGreeting', cleanText(config.afterHoursGreeting, 300), DEFAULT_PERSONA.afterHoursGreeting),
+    language,
+    languageName: isoLanguage ? LANGUAGE_NAMES[isoLanguage] || isoLanguage : language,
+    transcriptionLanguage: isoLanguage,
+    tone: pick('tone', cleanText(config.tone, 200), DEFAULT_PERSONA.tone),
+    model,
+    // Realtime API accepts 0.6 - 1.2
+    temperature: pick('temperature', numberInRange(config.temperature, 0.6, 1.2), DEFAULT_PERSONA.temperature),
+    maxResponseOutputTokens: pick(
+      'maxResponseOutputTokens',
+      numberInRange(config.maxResponseOutputTokens, 50, 4096),
+      DEFAULT_PERSONA.maxResponseOutputTokens,
+    ),
+    vad: {
+      threshold: vadPick('threshold', 0, 1),
+      prefixPaddingMs: vadPick('prefixPaddingMs', 0, 2000),
+      silenceDurationMs: vadPick('silenceDurationMs', 200, 5000),
+    },
+    warnings,
+  };
+}
+
+/** Fills {name} and {businessName} placeholders in a tenant greeting. */
+export function renderGreeting(template, persona, businessName) {
+  return template.replace(/\{\s*name\s*\}/g, persona.name).replace(/\{\s*businessName\s*\}/g, businessName);
+}
@@ -0,0 +1,94 @@
+/**
+ * Receptionist playback tracking for barge-in (lib/playback-tracker.js)
+ * - Counts how much of the current assistant item's audio was sent to Twilio (G.711 mu-law @ 8kHz)
+ * - Names a Twilio mark after every chunk; Twilio echoes a mark once the audio before it has played,
+ *   so the last echoed mark is how far the caller actually got
+ * - Works out the part of the spoken transcript the caller heard when they interrupt
+ * - Transcript deltas can arrive before the item's first audio chunk; they're held by item_id until it starts
+ *
+ * Mark names: `ai-audio:<itemId>:<ms sent so far>`
+ */
+
+const MARK_PREFIX = 'ai-audio:';
+const SAMPLES_PER_MS = 8;
+
+/** Playback length of a base64 mu-law payload. */
+export function mulawDurationMs(payloadBase64) {
+  return Buffer.byteLength(payloadBase64, 'base64') / SAMPLES_PER_MS;
+}
+
+/** The first `fraction` of `text`, cut back to a word boundary, with an ellipsis when anything was dropped. */
+export function heardTranscript(text, fraction) {
+  if (!text || fraction >= 1) return text || '';
+  if (fraction <= 0) return '';
+  const head = text.slice(0, Math.floor(text.length * fraction));
+  const lastSpace = head.lastIndexOf(' ');
+  const words = (lastSpace > 0 ? head.slice(0, lastSpace) : head).replace(/[\s,;:.!?-]+$/, '');
+  return words ? `${words}…` : '';
+}
+
+export class PlaybackTracker {
+  constructor() {
+    this.pending = new Map(); // itemId -> { transcript, entry } for items whose audio hasn't started yet
+    this.reset();
+  }
+
+  /** Forgets the current item (new Realtime session, or the item was interrupted). */
+  reset() {
+    this.itemId = null;
+    this.sentMs = 0;
+    this.playedMs = 0;
+    this.transcript = ''; // streamed transcript of the current item
+    this.entry = null; // conversation transcript entry once the item's transcript is done
+  }
+
+  /** Records an outgoing audio chunk; returns the mark name to send after it. */
+  addAudio(itemId, payloadBase64) {
+    if (itemId !== this.itemId) {
+      this.reset();
+      this.itemId = itemId;
+      const early = this.pending.get(itemId);
+      if (early) Object.assign(this, early);
+      // Responses play one at a time, so anything else still waiting belongs to an item that never played
+      this.pending.clear();
+    }
+    this.sentMs += mulawDurationMs(payloadBase64);
+    return `${MARK_PREFIX}${itemId}:${Math.round(this.sentMs)}`;
+  }
+
+  addTranscriptDelta(itemId, delta) {
+    if (itemId === this.itemId) {
+      this.transcript += delta;
+      return;
+    }
+    const early = this.pending.get(itemId) || { transcript: '', entry: null };
+    early.transcript += delta;
+    this.pending.set(itemId, early);
+  }
+
+  /** Links the item's conversation transcript entry once its transcript is done. */
+  setEntry(itemId, entry) {
+    if (itemId === this.itemId) this.entry = entry;
+    else this.pending.set(itemId, { transcript: '', ...this.pending.get(itemId), entry });
+  }
+
+  /** Handles an echoed mark; returns false for marks that aren't playback marks. */
+  onMark(name) {
+    if (!name?.startsWith(MARK_PREFIX)) return false;
+    const separator = name.lastIndexOf(':');
+    const itemId = name.slice(MARK_PREFIX.length, separator);
+    // Marks of an interrupted item come back right after Twilio's `clear` - they weren't played
+    if (itemId === this.itemId) this.playedMs = Math.max(this.playedMs, Number(name.slice(separator + 1)) || 0);
+    return true;
+  }
+
+  /** True while sent audio is still queued at Twilio. */
+  get isPlaying() {
+    return !!this.itemId && this.playedMs < Math.round(this.sentMs);
+  }
+
+  /** What the caller heard of the current item's transcript so far. */
+  heardText(fullText = this.entry?.text || this.transcript) {
+    return heardTranscript(fullText, this.sentMs ? this.playedMs / this.sentMs : 0);
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Readiness checks (lib/readiness.js)
+ * - /ready probes every dependency the bridge needs (Supabase functions, OpenAI, Twilio, n8n) with a timeout
+ *   and reports per-dependency status and latency
+ * - Results are cached so load-balancer polling doesn't hammer the dependencies; concurrent requests share one
+ *   in-flight probe
+ * - The bridge is ready when required config is present and every required dependency answered;
+ *   optional dependencies (n8n) only show up as degraded
+ *
+ * Dependency shape:
+ *   { name, required, missingConfig: ['ENV_VAR'], probe: (signal) => Promise<{ ok, error? }> }   // a throw counts as unreachable
+ *
+ * Config (env):
+ *  - READY_PROBE_TIMEOUT_MS   per-probe timeout (default 3000)
+ *  - READY_CACHE_TTL_MS       how long probe results are reused (default 15000)
+ */
+
+/**
+ * A probe that succeeds when `url` answers with a status `accept` allows (default: anything below 500 except
+ * 401/403 - the service is up and our credentials work).
+ */
+export function httpProbe(url, { method = 'GET', headers = {}, accept = (status) => status < 500 && status !== 401 && status !== 403 } = {}) {
+  return async (signal) => {
+    const response = await fetch(url, { method, headers, signal });
+    // Only the status matters; don't keep the connection busy with the body
+    response.body?.cancel().catch(() => {});
+    if (accept(response.status)) return { ok: true };
+    return { ok: false, error: response.status === 401 || response.status === 403 ? 'unauthorized' : `http_${response.status}` };
+  };
+}
+
+async function runProbe(dependency, timeoutMs) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const { ok, error } = await dependency.probe(controller.signal);
+    const latencyMs = Date.now() - startedAt;
+    return ok ? { status: 'ok', latencyMs } : { status: 'down', latencyMs, error };
+  } catch (_) {
+    return { status: 'down', latencyMs: Date.now() - startedAt, error: controller.signal.aborted ? 'timeout' : 'unreachable' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Returns check(): resolves to { ready, missingConfig, dependencies: { name: { status, required, latencyMs, error?, checkedAt } } }. */
+export function createReadinessCheck(
+  dependencies,
+  {
+    requiredConfig = [],
+    timeoutMs = Number(process.env.READY_PROBE_TIMEOUT_MS) || 3000,
+    cacheTtlMs = Number(process.env.READY_CACHE_TTL_MS) || 15000,
+  } = {},
+) {
+  const cache = new Map(); // name → { result, expiresAt } or { pending }
+
+  function probeCached(dependency) {
+    const cached = cache.get(dependency.name);
+    if (cached?.pending) return cached.pending;
+    if (cached && cached.expiresAt > Date.now()) return Promise.resolve(cached.result);
+
+    const pending = runProbe(dependency, timeoutMs).then((outcome) => {
+      const result = { ...outcome, checkedAt: new Date().toISOString() };
+      cache.set(dependency.name, { result, expiresAt: Date.now() + cacheTtlMs });
+      return result;
+    });
+    cache.set(dependency.name, { ...cached, pending });
+    return pending;
+  }
+
+  return async function check() {
+    const missingConfig = requiredConfig.filter((name) => !process.env[name]);
+
+    const entries = await Promise.all(
+      dependencies.map(async (dependency) => {
+        const missing = dependency.missingConfig || [];
+        if (missing.length) return [dependency.name, { status: 'not_configured', required: dependency.required, missingConfig: missing }];
+        return [dependency.name, { ...(await probeCached(dependency)), required: dependency.required }];
+      }),
+    );
+    const results = Object.fromEntries(entries);
+
+    const ready = missingConfig.length === 0 && Object.values(results).every((r) => !r.required || r.status === 'ok');
+    return { ready, missingConfig, dependencies: results };
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Log sanitization helpers shared by the bridge and its modules.
+ */
+
+// ========================= SECURITY: Credential Sanitization =========================
+export function sanitizeForLog(obj) {
+  if (typeof obj === 'string') {
+    return obj
+      .replace(/sk-[a-zA-Z0-9_-]{20,}/g, 'sk-***REDACTED***')
+      .replace(/sk-proj-[a-zA-Z0-9_-]{20,}/g, 'sk-proj-***REDACTED***')
+      .replace(/AC[a-z0-9]{32}/g, 'AC***REDACTED***')
+      .replace(/[a-f0-9]{32}/g, '***REDACTED***')
+      .replace(/Bearer\s+[a-zA-Z0-9._-]+/gi, 'Bearer ***REDACTED***')
+      .replace(/eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g, 'JWT***REDACTED***');
+  }
+  if (typeof obj === 'object' && obj !== null) {
+    if (obj instanceof Error) {
+      return { name: obj.name, message: sanitizeForLog(obj.message), stack: '***STACK_REDACTED***' };
+    }
+    const sanitized = Array.isArray(obj) ? [] : {};
+    for (const key in obj) {
+      const lowerKey = key.toLowerCase();
+      if (
+        ['apikey', 'api_key', 'token', 'password', 'secret', 'auth', 'bearer', 'key', 'sid', 'credential'].some((k) =>
+          lowerKey.includes(k),
+        )
+      ) {
+        sanitized[key] = '***REDACTED***';
+      } else {
+        sanitized[key] = sanitizeForLog(obj[key]);
+      }
+    }
+    return sanitized;
+  }
+  return obj;
+}
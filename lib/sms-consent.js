@@ -0,0 +1,119 @@
+/**
+ * SMS consent ledger (lib/sms-consent.js)
+ * - Records every consent decision through the backend: caller number, tenant, timestamp, callSid,
+ *   channel, source and the transcript excerpt where it was given, plus the opt-out state
+ * - Looks up a number's current state for sendSMS, with a short in-process cache that also holds
+ *   this process's own writes (so a confirmation right after consent never waits on the backend)
+ *
+ * Backend (Supabase functions, `backend` = { url, apiKey, fetch? } - fetch defaults to the global one):
+ *  - POST /sms-consent                  { phone, userId, consent, optedOut, source, channel, callSid, transcriptExcerpt, recordedAt }
+ *  - GET  /sms-consent/:phone?userId=   → { record: { consent, optedOut, ... } | null }
+ *
+ * Config (env):
+ *  - SMS_CONSENT_CACHE_MS   how long a looked-up state is reused (default 60000)
+ */
+
+import { logger } from './logger.js';
+
+const LOOKUP_TIMEOUT_MS = 3000;
+const RECORD_TIMEOUT_MS = 5000;
+const EXCERPT_ENTRIES = 6;
+const MAX_EXCERPT_CHARS = 1000;
+
+// Own writes are kept long enough to cover the rest of the conversation even if the backend write failed
+const OWN_WRITE_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+
+const cache = new Map(); // `${userId}|${phone}` → { state, callSid, expiresAt }
+
+function remember(key, entry) {
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    const now = Date.now();
+    for (const [k, v] of cache) if (v.expiresAt <= now) cache.delete(k);
+  }
+  cache.set(key, entry);
+}
+
+const cacheKey = (phone, userId) => `${userId || ''}|${phone}`;
+
+/** The last few transcript lines, i.e. the exchange in which consent was given or refused. */
+export function consentExcerpt(transcript = []) {
+  const text = transcript
+    .slice(-EXCERPT_ENTRIES)
+    .map((entry) => `[${entry.speaker}]: ${entry.text}`)
+    .join('\n');
+  return text.length > MAX_EXCERPT_CHARS ? '…' + text.slice(-MAX_EXCERPT_CHARS) : text;
+}
+
+/**
+ * Appends a consent decision to the ledger. Skips the write when this conversation already recorded the
+ * same state. Resolves to true when the backend stored it; the local cache is updated either way.
+ */
+export async function recordConsent(backend, { phone, userId, consent, optedOut = false, source, channel, callSid, transcriptExcerpt }) {
+  if (!phone) return false;
+  const key = cacheKey(phone, userId);
+  const cached = cache.get(key);
+  if (cached && cached.callSid === callSid && cached.state.consent === consent && cached.state.optedOut === optedOut) return true;
+
+  const recordedAt = new Date().toISOString();
+  remember(key, { state: { consent, optedOut, source, recordedAt }, callSid, expiresAt: Date.now() + OWN_WRITE_TTL_MS });
+
+  try {
+    const response = await (backend.fetch || fetch)(`${backend.url}/sms-consent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${backend.apiKey}` },
+      body: JSON.stringify({
+        phone,
+        userId: userId || undefined,
+        consent,
+        optedOut,
+        source,
+        channel,
+        callSid: callSid || undefined,
+        transcriptExcerpt: transcriptExcerpt || undefined,
+        recordedAt,
+      }),
+      signal: AbortSignal.timeout(RECORD_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      logger.error('⚠️ Failed to record SMS consent:', response.status, await response.text());
+      return false;
+    }
+    logger.info(`📝 SMS consent recorded: ${optedOut ? 'opted out' : consent ? 'granted' : 'declined'} (${source})`);
+    return true;
+  } catch (err) {
+    logger.error('⚠️ Failed to record SMS consent:', err.message);
+    return false;
+  }
+}
+
+/** Current { consent, optedOut, source, recordedAt } for a number and tenant, or null when unknown. */
+export async function getConsentState(backend, phone, userId) {
+  if (!phone) return null;
+  const key = cacheKey(phone, userId);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.state;
+
+  try {
+    const query = userId ? `?userId=${encodeURIComponent(userId)}` : '';
+    const response = await (backend.fetch || fetch)(`${backend.url}/sms-consent/${encodeURIComponent(phone)}${query}`, {
+      headers: { Authorization: `Bearer ${backend.apiKey}` },
+      signal: AbortSignal.timeout(LOOKUP_TIMEOUT_MS),
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      logger.error('⚠️ SMS consent lookup failed:', response.status);
+      return null;
+    }
+
+    const { record } = await response.json();
+    const state = record
+      ? { consent: !!record.consent, optedOut: !!record.optedOut, source: record.source || null, recordedAt: record.recordedAt || null }
+      : null;
+    remember(key, { state, callSid: null, expiresAt: Date.now() + (Number(process.env.SMS_CONSENT_CACHE_MS) || 60000) });
+    return state;
+  } catch (err) {
+    logger.error('⚠️ SMS consent lookup failed:', err.message);
+    return null;
+  }
+}
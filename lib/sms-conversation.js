@@ -0,0 +1,79 @@
+/**
+ * Text-mode receptionist turns (lib/sms-conversation.js)
+ * - Runs one SMS reply through a chat model with the same function tools the voice receptionist has
+ * - Tool calls are executed through the caller's `runTool` and fed back until the model answers in text
+ * - Keeps the thread history bounded without splitting a tool call from its results
+ *
+ * Config (env):
+ *  - SMS_AI_MODEL        chat model for SMS replies (default 'gpt-4o-mini')
+ *  - SMS_AI_TIMEOUT_MS   per-request timeout (default 15000)
+ */
+
+import { sanitizeForLog } from './sanitize.js';
+import { logger } from './logger.js';
+
+const MAX_TOOL_ROUNDS = 5;
+const MAX_HISTORY_MESSAGES = 40;
+const MAX_REPLY_CHARS = 640;
+
+/** Realtime tool schemas ({ type, name, description, parameters }) → Chat Completions tools. */
+export function toChatTools(realtimeTools) {
+  return realtimeTools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters },
+  }));
+}
+
+/** Drops the oldest messages past the cap; the kept history always starts at a customer message. */
+export function trimHistory(history, max = MAX_HISTORY_MESSAGES) {
+  if (history.length <= max) return history;
+  let start = history.length - max;
+  while (start < history.length && history[start].role !== 'user') start++;
+  return history.slice(start);
+}
+
+function parseArgs(raw) {
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Appends the customer's message and the model's turn(s) to `history` (mutated) and resolves to the
+ * reply text. `runTool(name, args)` resolves to the function output string. Throws when the model fails.
+ */
+export async function runTextTurn(openai, { instructions, history, tools, runTool }) {
+  const model = process.env.SMS_AI_MODEL || 'gpt-4o-mini';
+  const timeout = Number(process.env.SMS_AI_TIMEOUT_MS) || 15000;
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const completion = await openai.chat.completions.create(
+      {
+        model,
+        messages: [{ role: 'system', content: instructions }, ...history],
+        // The last round forces a text answer so a tool loop can't leave the customer without a reply
+        ...(tools.length && round < MAX_TOOL_ROUNDS ? { tools } : {}),
+      },
+      { timeout, maxRetries: 0 },
+    );
+
+    const message = completion.choices?.[0]?.message;
+    if (!message) throw new Error('Empty completion');
+    history.push(message.tool_calls?.length ? message : { role: 'assistant', content: message.content || '' });
+
+    if (!message.tool_calls?.length) {
+      return (message.content || '').trim().slice(0, MAX_REPLY_CHARS);
+    }
+
+    for (const call of message.tool_calls) {
+      const args = parseArgs(call.function?.arguments);
+      logger.info('🔧 SMS FUNCTION CALL:', call.function?.name, sanitizeForLog(args));
+      const output = await runTool(call.function?.name, args);
+      history.push({ role: 'tool', tool_call_id: call.id, content: output });
+    }
+  }
+
+  throw new Error('Tool call limit reached');
+}
@@ -0,0 +1,88 @@
+/**
+ * SMS opt-outs (lib/sms-opt-outs.js)
+ * - Recognizes the carrier-standard STOP / START / HELP keywords in inbound texts; the bridge only treats
+ *   START / YES as a resubscribe from numbers that opted out, so a plain "Yes" still reaches the conversation
+ * - Remembers numbers that opted out so sendSMS never messages them again from that business number until
+ *   they text START - a STOP to one tenant doesn't silence the others
+ * - Persisted to a JSON file ('businessNumber|phone' → { optedOut, updatedAt }) and cached in memory
+ *
+ * Config (env):
+ *  - SMS_OPT_OUT_PATH   JSON file for the opt-out list (default ./data/sms-opt-outs.json)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'YES', 'SUBSCRIBE'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+function getStorePath() {
+  return process.env.SMS_OPT_OUT_PATH || path.join(process.cwd(), 'data', 'sms-opt-outs.json');
+}
+
+/** 'stop' | 'start' | 'help' when the whole message is a keyword (case and punctuation ignored), else null. */
+export function parseSmsKeyword(text) {
+  const word = String(text || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z]/g, '');
+  if (STOP_KEYWORDS.includes(word)) return 'stop';
+  if (START_KEYWORDS.includes(word)) return 'start';
+  if (HELP_KEYWORDS.includes(word)) return 'help';
+  return null;
+}
+
+// ========================= Store =========================
+// Loaded once; writes are chained so concurrent updates never clobber each other.
+let cache = null;
+let writeQueue = Promise.resolve();
+
+const entryKey = (businessNumber, phoneNumber) => `${businessNumber || ''}|${phoneNumber}`;
+
+async function load() {
+  if (cache) return cache;
+  try {
+    const entries = JSON.parse(await fs.readFile(getStorePath(), 'utf8'));
+    cache = entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.error('⚠️ SMS opt-out store unreadable, starting fresh:', err.message);
+    cache = {};
+  }
+  // Older files were keyed by phone alone; the business number they recorded becomes part of the key
+  for (const [key, entry] of Object.entries(cache)) {
+    if (key.includes('|')) continue;
+    delete cache[key];
+    cache[entryKey(entry?.businessNumber, key)] = { optedOut: !!entry?.optedOut, updatedAt: entry?.updatedAt };
+  }
+  return cache;
+}
+
+async function persist() {
+  const storePath = getStorePath();
+  const snapshot = JSON.stringify(cache, null, 2);
+  const run = writeQueue.then(async () => {
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(`${storePath}.tmp`, snapshot);
+    await fs.rename(`${storePath}.tmp`, storePath);
+  });
+  writeQueue = run.catch((err) => logger.error('⚠️ Failed to save SMS opt-outs:', err.message));
+  return writeQueue;
+}
+
+/** Whether `phoneNumber` opted out of texts from `businessNumber` (entries without a business number apply to all). */
+export async function isOptedOut(phoneNumber, { businessNumber } = {}) {
+  if (!phoneNumber) return false;
+  const entries = await load();
+  const entry = entries[entryKey(businessNumber, phoneNumber)] || entries[entryKey(null, phoneNumber)];
+  return !!entry?.optedOut;
+}
+
+/** Records a STOP (optedOut=true) or START (false) that `phoneNumber` texted to `businessNumber`. */
+export async function setOptOut(phoneNumber, optedOut, { businessNumber } = {}) {
+  const entries = await load();
+  entries[entryKey(businessNumber, phoneNumber)] = { optedOut, updatedAt: new Date().toISOString() };
+  await persist();
+  logger.info(optedOut ? '🚫 SMS opt-out recorded' : '✅ SMS opt-in recorded');
+}
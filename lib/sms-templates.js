@@ -0,0 +1,126 @@
+/**
+ * SMS notification templates (lib/sms-templates.js)
+ * - Built-in confirmation texts in several languages, overridable per tenant and per language
+ * - {{placeholder}} substitution; {{#field}}...{{/field}} sections only render when the field has a value
+ * - Appointment times are formatted in the tenant's timezone and the message language
+ *
+ * Tenant settings shape (every field optional):
+ *   sms: {
+ *     language: 'es',       // default: receptionist.language when it's an ISO code, else 'en'
+ *     templates: {
+ *       en: { appointment_booked: 'Hi {{name}}! See you {{appointmentTime}}.{{#meetLink}} Join: {{meetLink}}{{/meetLink}}' },
+ *       es: { appointment_booked: '¡Hola {{name}}! Te esperamos el {{appointmentTime}}.' },
+ *     },
+ *   }
+ *
+ * Placeholders: name, business, appointmentTime, purpose, meetLink
+ */
+
+export const SMS_TEMPLATE_TYPES = ['lead_captured', 'appointment_booked', 'appointment_rescheduled', 'appointment_cancelled'];
+
+const MAX_TEMPLATE_LENGTH = 640;
+
+export const DEFAULT_SMS_TEMPLATES = Object.freeze({
+  en: {
+    lead_captured: "Hi {{name}}! Thanks for contacting {{business}}. We've got your info and will follow up shortly.",
+    appointment_booked:
+      'Hi {{name}}! Your appointment with {{business}} is confirmed for {{appointmentTime}}.{{#meetLink}} Join: {{meetLink}}{{/meetLink}}',
+    appointment_rescheduled:
+      'Hi {{name}}! Your appointment with {{business}} has been moved to {{appointmentTime}}.{{#meetLink}} Join: {{meetLink}}{{/meetLink}}',
+    appointment_cancelled: 'Hi {{name}}! Your appointment with {{business}} on {{appointmentTime}} has been cancelled.',
+  },
+  es: {
+    lead_captured: '¡Hola {{name}}! Gracias por contactar a {{business}}. Tenemos tus datos y te contactaremos pronto.',
+    appointment_booked:
+      '¡Hola {{name}}! Tu cita con {{business}} está confirmada para el {{appointmentTime}}.{{#meetLink}} Únete: {{meetLink}}{{/meetLink}}',
+    appointment_rescheduled:
+      '¡Hola {{name}}! Tu cita con {{business}} se cambió al {{appointmentTime}}.{{#meetLink}} Únete: {{meetLink}}{{/meetLink}}',
+    appointment_cancelled: '¡Hola {{name}}! Tu cita con {{business}} del {{appointmentTime}} ha sido cancelada.',
+  },
+  fr: {
+    lead_captured: 'Bonjour {{name}} ! Merci d’avoir contacté {{business}}. Nous avons vos coordonnées et revenons vers vous rapidement.',
+    appointment_booked:
+      'Bonjour {{name}} ! Votre rendez-vous avec {{business}} est confirmé pour le {{appointmentTime}}.{{#meetLink}} Lien : {{meetLink}}{{/meetLink}}',
+    appointment_rescheduled:
+      'Bonjour {{name}} ! Votre rendez-vous avec {{business}} a été déplacé au {{appointmentTime}}.{{#meetLink}} Lien : {{meetLink}}{{/meetLink}}',
+    appointment_cancelled: 'Bonjour {{name}} ! Votre rendez-vous avec {{business}} du {{appointmentTime}} a été annulé.',
+  },
+  pt: {
+    lead_captured: 'Olá {{name}}! Obrigado por contatar {{business}}. Recebemos seus dados e retornaremos em breve.',
+    appointment_booked:
+      'Olá {{name}}! Sua consulta com {{business}} está confirmada para {{appointmentTime}}.{{#meetLink}} Link: {{meetLink}}{{/meetLink}}',
+    appointment_rescheduled:
+      'Olá {{name}}! Sua consulta com {{business}} foi remarcada para {{appointmentTime}}.{{#meetLink}} Link: {{meetLink}}{{/meetLink}}',
+    appointment_cancelled: 'Olá {{name}}! Sua consulta com {{business}} em {{appointmentTime}} foi cancelada.',
+  },
+});
+
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+
+/** The tenant's SMS language: sms.language, then receptionist.language (ISO codes only), then 'en'. */
+export function resolveSmsLanguage(settings) {
+  for (const value of [settings?.sms?.language, settings?.receptionist?.language]) {
+    const code = typeof value === 'string' ? value.trim().toLowerCase().slice(0, 2) : '';
+    if (LANGUAGE_PATTERN.test(code)) return code;
+  }
+  return 'en';
+}
+
+function tenantTemplate(settings, language, type) {
+  const template = settings?.sms?.templates?.[language]?.[type];
+  return typeof template === 'string' && template.trim() && template.length <= MAX_TEMPLATE_LENGTH ? template : null;
+}
+
+const EMPTY = '\u0000';
+
+/**
+ * Fills {{field}} placeholders and {{#field}}...{{/field}} sections. Empty or unknown placeholders render
+ * as nothing, along with the space before them when punctuation follows ("Hola {{name}}!" → "Hola!").
+ */
+export function fillTemplate(template, values) {
+  const has = (key) => values[key] !== undefined && values[key] !== null && values[key] !== '';
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, key, inner) => (has(key) ? inner : ''))
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => (has(key) ? String(values[key]) : EMPTY))
+    .replace(new RegExp(` ${EMPTY}(?=[!.,?;:])`, 'g'), '')
+    .replaceAll(EMPTY, '')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+export function formatAppointmentTime(dateTime, timeZone, language = 'en') {
+  const when = new Date(dateTime);
+  if (Number.isNaN(when.getTime())) return String(dateTime || '');
+  const options = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone };
+  try {
+    return when.toLocaleString(language, options);
+  } catch (_) {
+    return when.toLocaleString('en-US', options);
+  }
+}
+
+/**
+ * Renders the `type` notification for a tenant. Lookup order: tenant template in the tenant's language,
+ * built-in template in that language, tenant English template, built-in English.
+ *
+ * values: { name, businessName, dateTime, timeZone, purpose, meetLink }
+ */
+export function renderSmsTemplate(type, settings, values = {}) {
+  if (!SMS_TEMPLATE_TYPES.includes(type)) throw new Error(`Unknown SMS template: ${type}`);
+  const language = resolveSmsLanguage(settings);
+
+  const template =
+    tenantTemplate(settings, language, type) ||
+    DEFAULT_SMS_TEMPLATES[language]?.[type] ||
+    tenantTemplate(settings, 'en', type) ||
+    DEFAULT_SMS_TEMPLATES.en[type];
+
+  return fillTemplate(template, {
+    // "Hi there!" in English; other languages just drop the name
+    name: values.name || (language === 'en' ? 'there' : ''),
+    business: values.businessName || settings?.businessName || '',
+    appointmentTime: values.dateTime ? formatAppointmentTime(values.dateTime, values.timeZone, language) : '',
+    purpose: values.purpose || '',
+    meetLink: values.meetLink || '',
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * Function tool registry (lib/tool-registry.js)
+ * - Built-in tools register a schema, handler and the tenant settings they require
+ * - Sessions only advertise the tools enabled for the tenant
+ * - Tenants can define HTTP tools that the bridge calls on the model's behalf
+ * - Unknown/disabled tools and handler failures produce structured errors for the model
+ *
+ * Tenant settings shape:
+ *   tools: {
+ *     enabled: ['capture_lead_info', 'book_appointment'], // optional allow-list (built-in tools)
+ *     disabled: ['lookup_order_status'],                  // optional deny-list
+ *     http: [{
+ *       name: 'check_stock',
+ *       description: 'Check whether a product is in stock',
+ *       parameters: { type: 'object', properties: { sku: { type: 'string' } }, required: ['sku'] },
+ *       url: 'https://api.example.com/stock',
+ *       method: 'GET',                // GET sends args as query params, others as JSON body
+ *       headers: { 'X-Api-Key': '...' },
+ *       timeoutMs: 5000,
+ *     }],
+ *   }
+ */
+
+import { sanitizeForLog } from './sanitize.js';
+import { logger } from './logger.js';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const HTTP_TOOL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const HTTP_TOOL_DEFAULT_TIMEOUT_MS = 8000;
+const HTTP_TOOL_MAX_TIMEOUT_MS = 20000;
+const HTTP_TOOL_MAX_RESPONSE_CHARS = 4000;
+
+const builtinTools = new Map();
+
+/**
+ * Registers a built-in tool.
+ *  - name, description, parameters: the OpenAI function schema
+ *  - handler(args, ctx): returns an object (or string) sent back to the model as the function output
+ *  - requiredSettings: setting paths that must be truthy for the tool to be offered (e.g. 'userId')
+ *  - defaultEnabled: offered when the tenant has no `tools.enabled` allow-list (default true)
+ */
+export function registerTool({ name, description, parameters, handler, requiredSettings = [], defaultEnabled = true }) {
+  if (!TOOL_NAME_PATTERN.test(name || '')) throw new Error(`Invalid tool name: ${name}`);
+  if (typeof handler !== 'function') throw new Error(`Tool ${name} is missing a handler`);
+  if (builtinTools.has(name)) throw new Error(`Tool ${name} is already registered`);
+
+  builtinTools.set(name, {
+    name,
+    description,
+    parameters: parameters || { type: 'object', properties: {}, required: [] },
+    handler,
+    requiredSettings,
+    defaultEnabled,
+    kind: 'builtin',
+  });
+}
+
+export function getRegisteredToolNames() {
+  return [...builtinTools.keys()];
+}
+
+function settingPresent(settings, path) {
+  const value = path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), settings);
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+// ========================= HTTP tools =========================
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (_) {
+    return false;
+  }
+}
+
+function parseHttpTool(def) {
+  if (!def || !TOOL_NAME_PATTERN.test(def.name || '')) return { error: 'invalid name' };
+  if (builtinTools.has(def.name)) return { error: `name collides with built-in tool ${def.name}` };
+  if (!isHttpUrl(def.url)) return { error: 'invalid url' };
+
+  const method = (def.method || 'POST').toUpperCase();
+  if (!HTTP_TOOL_METHODS.includes(method)) return { error: `unsupported method ${def.method}` };
+
+  const parameters =
+    def.parameters && typeof def.parameters === 'object' && def.parameters.type === 'object'
+      ? def.parameters
+      : { type: 'object', properties: {}, required: [] };
+  const timeoutMs = Math.min(Number(def.timeoutMs) > 0 ? Number(def.timeoutMs) : HTTP_TOOL_DEFAULT_TIMEOUT_MS, HTTP_TOOL_MAX_TIMEOUT_MS);
+
+  return {
+    tool: {
+      name: def.name,
+      description: def.description || `Call the ${def.name} service`,
+      parameters,
+      url: def.url,
+      method,
+      headers: def.headers && typeof def.headers === 'object' ? def.headers : {},
+      timeoutMs,
+      kind: 'http',
+    },
+  };
+}
+
+async function callHttpTool(tool, args, ctx) {
+  const headers = {
+    ...tool.headers,
+    Accept: 'application/json',
+    'X-Talkertive-Tool': tool.name,
+  };
+  if (ctx?.callSid) headers['X-Talkertive-Call-Sid'] = ctx.callSid;
+
+  let url = tool.url;
+  const init = { method: tool.method, headers, signal: AbortSignal.timeout(tool.timeoutMs) };
+
+  if (tool.method === 'GET' || tool.method === 'DELETE') {
+    const target = new URL(tool.url);
+    for (const [key, value] of Object.entries(args || {})) {
+      if (value !== undefined && value !== null) {
+        target.searchParams.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      }
+    }
+    url = target.toString();
+  } else {
+    headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(args || {});
+  }
+
+  try {
+    const response = await fetch(url, init);
+    const text = await response.text();
+
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      if (text.length > HTTP_TOOL_MAX_RESPONSE_CHARS) data = text.slice(0, HTTP_TOOL_MAX_RESPONSE_CHARS) + '…';
+    }
+
+    if (!response.ok) {
+      logger.error(`⚠️ HTTP tool ${tool.name} failed:`, response.status, sanitizeForLog(text.slice(0, 500)));
+      return {
+        success: false,
+        error: 'tool_http_error',
+        status: response.status,
+        message: `The ${tool.name} service returned an error. Apologize and offer to take a message instead.`,
+      };
+    }
+
+    return { success: true, data };
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+    logger.error(`⚠️ HTTP tool ${tool.name} error:`, timedOut ? `timeout after ${tool.timeoutMs}ms` : err.message);
+    return {
+      success: false,
+      error: timedOut ? 'tool_timeout' : 'tool_unreachable',
+      message: `The ${tool.name} service is not responding right now. Apologize and offer to take a message instead.`,
+    };
+  }
+}
+
+// ========================= Per-tenant tool sets =========================
+/**
+ * Resolves the tools offered for a tenant. Returns a Map of name → tool; pass it to toRealtimeTools()
+ * for the session.update and to executeTool() when the model calls a function.
+ */
+export function resolveEnabledTools(settings) {
+  const config = settings?.tools || {};
+  const allowList = Array.isArray(config.enabled) ? config.enabled : null;
+  const denyList = Array.isArray(config.disabled) ? config.disabled : [];
+  const enabled = new Map();
+
+  for (const tool of builtinTools.values()) {
+    if (denyList.includes(tool.name)) continue;
+    if (allowList ? !allowList.includes(tool.name) : !tool.defaultEnabled) continue;
+
+    const missing = tool.requiredSettings.filter((path) => !settingPresent(settings, path));
+    if (missing.length) {
+      logger.info(`⚠️ Tool ${tool.name} disabled - missing settings: ${missing.join(', ')}`);
+      continue;
+    }
+    enabled.set(tool.name, tool);
+  }
+
+  for (const def of Array.isArray(config.http) ? config.http : []) {
+    if (def?.name && denyList.includes(def.name)) continue;
+    const { tool, error } = parseHttpTool(def);
+    if (error) {
+      logger.warn(`⚠️ Skipping HTTP tool ${def?.name || '(unnamed)'}: ${error}`);
+      continue;
+    }
+    enabled.set(tool.name, tool);
+  }
+
+  return enabled;
+}
+
+export function toRealtimeTools(enabledTools) {
+  return [...enabledTools.values()].map((tool) => ({
+    type: 'function',
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters,
+  }));
+}
+
+/**
+ * Runs a tool the model called and returns the JSON string for the function_call_output item.
+ * Never throws: unknown/disabled tools and handler exceptions become { success: false, error, message }.
+ */
+export async function executeTool(enabledTools, name, args, ctx) {
+  const tool = enabledTools.get(name);
+
+  if (!tool) {
+    const known = builtinTools.has(name);
+    logger.warn(`⚠️ Model called ${known ? 'disabled' : 'unknown'} tool:`, name);
+    return JSON.stringify({
+      success: false,
+      error: known ? 'tool_disabled' : 'unknown_tool',
+      message: known
+        ? `The ${name} function is not available for this business. Do not call it again; help the caller another way.`
+        : `There is no function named ${name}. Only use the functions you were given.`,
+      availableTools: [...enabledTools.keys()],
+    });
+  }
+
+  try {
+    const result = tool.kind === 'http' ? await callHttpTool(tool, args, ctx) : await tool.handler(args, ctx);
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  } catch (err) {
+    logger.error(`❌ Tool ${name} threw:`, sanitizeForLog(err));
+    return JSON.stringify({
+      success: false,
+      error: 'tool_failed',
+      message: `Something went wrong running ${name}. Apologize and offer to take a message instead.`,
+    });
+  }
+}
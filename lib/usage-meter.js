@@ -0,0 +1,318 @@
+/**
+ * Usage metering (lib/usage-meter.js)
+ * - Meters each call, voicemail and SMS thread: Twilio voice minutes, Realtime audio/text tokens
+ *   (from `response.done` usage), Whisper transcription seconds and SMS segments, with an estimated cost in USD
+ * - Keeps month-to-date totals per tenant (userId) for quotas and the usage report
+ * - The backend receives every record from every instance (server.js POSTs /usage), so its month-to-date totals
+ *   are authoritative: quota checks re-read them at most every USAGE_TOTALS_TTL_MS and records metered here
+ *   in between are added on top. The JSON file (userId → 'YYYY-MM' → totals) is only a cache for when the
+ *   backend can't be reached; it doesn't survive a redeploy and isn't shared between instances.
+ *
+ * Backend (Supabase functions, `backend` = { url, apiKey, fetch? } - fetch defaults to the global one):
+ *  - GET /usage/:userId?month=YYYY-MM   → { totals: { twilioMinutes, estimatedCostUsd, ... } | null }
+ *
+ * Tenant settings shape (every limit optional):
+ *   limits: {
+ *     monthlyMinutes: 2000,       // voice minutes per calendar month (UTC)
+ *     monthlyCostUsd: 150,        // estimated spend per calendar month
+ *     maxConcurrentCalls: 3,      // live calls at once (inbound + outbound), counted per instance
+ *   }
+ *
+ * Config (env):
+ *  - USAGE_STORE_PATH       JSON file caching the monthly totals (default ./data/usage.json)
+ *  - USAGE_TOTALS_TTL_MS    how long backend totals are reused before the next quota check re-reads them
+ *                           (default 60000)
+ *  - USAGE_PRICES           JSON overriding any of DEFAULT_PRICES, e.g. '{"twilioInboundPerMinute":0.01}'
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// USD list prices; Realtime prices are per million tokens
+export const DEFAULT_PRICES = Object.freeze({
+  twilioInboundPerMinute: 0.0085,
+  twilioOutboundPerMinute: 0.014,
+  realtimeTextInputPer1M: 5,
+  realtimeCachedTextInputPer1M: 2.5,
+  realtimeTextOutputPer1M: 20,
+  realtimeAudioInputPer1M: 40,
+  realtimeCachedAudioInputPer1M: 2.5,
+  realtimeAudioOutputPer1M: 80,
+  whisperPerMinute: 0.006,
+  smsPerSegment: 0.0079,
+});
+
+const COUNTERS = [
+  'calls',
+  'voicemails',
+  'smsThreads',
+  'twilioMinutes',
+  'realtimeTextInputTokens',
+  'realtimeCachedTextInputTokens',
+  'realtimeTextOutputTokens',
+  'realtimeAudioInputTokens',
+  'realtimeCachedAudioInputTokens',
+  'realtimeAudioOutputTokens',
+  'whisperSeconds',
+  'smsSegments',
+  'estimatedCostUsd',
+];
+
+let prices = null;
+
+export function getPrices() {
+  if (!prices) {
+    let overrides = {};
+    try {
+      overrides = process.env.USAGE_PRICES ? JSON.parse(process.env.USAGE_PRICES) : {};
+    } catch (err) {
+      logger.error('⚠️ USAGE_PRICES is not valid JSON, using default prices:', err.message);
+    }
+    prices = { ...DEFAULT_PRICES };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (key in DEFAULT_PRICES && Number.isFinite(Number(value))) prices[key] = Number(value);
+    }
+  }
+  return prices;
+}
+
+// GSM 03.38 basic set + extension table; anything else forces UCS-2
+const GSM_CHARS = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà',
+);
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+/** Number of SMS segments Twilio bills for `text`. */
+export function countSmsSegments(text) {
+  const chars = [...String(text || '')];
+  if (!chars.length) return 1;
+  if (chars.every((c) => GSM_CHARS.has(c) || GSM_EXTENDED.has(c))) {
+    const units = chars.reduce((sum, c) => sum + (GSM_EXTENDED.has(c) ? 2 : 1), 0);
+    return units <= 160 ? 1 : Math.ceil(units / 153);
+  }
+  const units = String(text).length; // UTF-16 code units
+  return units <= 70 ? 1 : Math.ceil(units / 67);
+}
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const CHANNEL_COUNTERS = { voice: 'calls', voicemail: 'voicemails', sms: 'smsThreads' };
+
+/** Usage of one call, voicemail or SMS thread. */
+export class UsageMeter {
+  constructor({ channel = 'voice', direction = 'inbound' } = {}) {
+    this.channel = channel;
+    this.direction = direction;
+    this.realtime = { textInput: 0, cachedTextInput: 0, textOutput: 0, audioInput: 0, cachedAudioInput: 0, audioOutput: 0 };
+    this.whisperMs = 0;
+    this.smsSegments = 0;
+    this.speechStartedAt = null;
+  }
+
+  /** Adds a Realtime `response.done` usage object. */
+  addRealtimeUsage(usage) {
+    if (!usage) return;
+    const input = usage.input_token_details || {};
+    const cached = input.cached_tokens_details || {};
+    const output = usage.output_token_details || {};
+    this.realtime.cachedTextInput += cached.text_tokens || 0;
+    this.realtime.cachedAudioInput += cached.audio_tokens || 0;
+    this.realtime.textInput += Math.max(0, (input.text_tokens || 0) - (cached.text_tokens || 0));
+    this.realtime.audioInput += Math.max(0, (input.audio_tokens || 0) - (cached.audio_tokens || 0));
+    this.realtime.textOutput += output.text_tokens || 0;
+    this.realtime.audioOutput += output.audio_tokens || 0;
+  }
+
+  /** Caller speech turns (server VAD), each of which is transcribed by Whisper. */
+  speechStarted(audioStartMs) {
+    this.speechStartedAt = audioStartMs;
+  }
+
+  speechStopped(audioEndMs) {
+    if (this.speechStartedAt === null || !(audioEndMs >= this.speechStartedAt)) return;
+    this.whisperMs += audioEndMs - this.speechStartedAt;
+    this.speechStartedAt = null;
+  }
+
+  addSms(text) {
+    this.smsSegments += countSmsSegments(text);
+  }
+
+  /** Final metered record: quantities plus the cost breakdown. Voice minutes are billed per started minute. */
+  summarize({ durationSec = 0 } = {}) {
+    const p = getPrices();
+    const twilioMinutes = this.channel === 'sms' ? 0 : Math.ceil(durationSec / 60);
+    const whisperSeconds = round(this.whisperMs / 1000, 1);
+    const r = this.realtime;
+
+    const cost = {
+      twilio: twilioMinutes * (this.direction === 'outbound' ? p.twilioOutboundPerMinute : p.twilioInboundPerMinute),
+      realtime:
+        (r.textInput * p.realtimeTextInputPer1M +
+          r.cachedTextInput * p.realtimeCachedTextInputPer1M +
+          r.textOutput * p.realtimeTextOutputPer1M +
+          r.audioInput * p.realtimeAudioInputPer1M +
+          r.cachedAudioInput * p.realtimeCachedAudioInputPer1M +
+          r.audioOutput * p.realtimeAudioOutputPer1M) /
+        1e6,
+      whisper: (whisperSeconds / 60) * p.whisperPerMinute,
+      sms: this.smsSegments * p.smsPerSegment,
+    };
+    for (const key of Object.keys(cost)) cost[key] = round(cost[key]);
+
+    return {
+      channel: this.channel,
+      direction: this.direction,
+      twilioMinutes,
+      realtimeTokens: { ...r },
+      whisperSeconds,
+      smsSegments: this.smsSegments,
+      cost,
+      estimatedCostUsd: round(cost.twilio + cost.realtime + cost.whisper + cost.sms),
+    };
+  }
+}
+
+// ========================= Monthly totals =========================
+// Loaded once; writes are chained so concurrent updates never clobber each other.
+let cache = null;
+let writeQueue = Promise.resolve();
+
+function getStorePath() {
+  return process.env.USAGE_STORE_PATH || path.join(process.cwd(), 'data', 'usage.json');
+}
+
+export const monthKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+async function load() {
+  if (cache) return cache;
+  try {
+    const entries = JSON.parse(await fs.readFile(getStorePath(), 'utf8'));
+    cache = entries && typeof entries === 'object' && !Array.isArray(entries) ? entries : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.error('⚠️ Usage store unreadable, starting fresh:', err.message);
+    cache = {};
+  }
+  return cache;
+}
+
+function persist() {
+  const storePath = getStorePath();
+  const snapshot = JSON.stringify(cache, null, 2);
+  const run = writeQueue.then(async () => {
+    await fs.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.writeFile(`${storePath}.tmp`, snapshot);
+    await fs.rename(`${storePath}.tmp`, storePath);
+  });
+  writeQueue = run.catch((err) => logger.error('⚠️ Failed to save usage totals:', err.message));
+  return writeQueue;
+}
+
+const emptyTotals = () => Object.fromEntries(COUNTERS.map((key) => [key, 0]));
+
+/** Adds a summarize() record to the tenant's totals for the current month. */
+export async function addToMonthlyTotals(userId, record) {
+  if (!userId) return;
+  const entries = await load();
+  const month = monthKey();
+  const totals = ((entries[userId] ||= {})[month] ||= emptyTotals());
+
+  totals[CHANNEL_COUNTERS[record.channel] || 'calls'] += 1;
+  totals.twilioMinutes += record.twilioMinutes;
+  totals.realtimeTextInputTokens += record.realtimeTokens.textInput;
+  totals.realtimeCachedTextInputTokens += record.realtimeTokens.cachedTextInput;
+  totals.realtimeTextOutputTokens += record.realtimeTokens.textOutput;
+  totals.realtimeAudioInputTokens += record.realtimeTokens.audioInput;
+  totals.realtimeCachedAudioInputTokens += record.realtimeTokens.cachedAudioInput;
+  totals.realtimeAudioOutputTokens += record.realtimeTokens.audioOutput;
+  totals.whisperSeconds = round(totals.whisperSeconds + record.whisperSeconds, 1);
+  totals.smsSegments += record.smsSegments;
+  totals.estimatedCostUsd = round(totals.estimatedCostUsd + record.estimatedCostUsd);
+
+  await persist();
+}
+
+// ========================= Backend totals =========================
+const TOTALS_LOOKUP_TIMEOUT_MS = 3000;
+const backendSyncedAt = new Map(); // `${userId}|${month}` → when the backend totals were last read (or tried)
+
+const counterValues = (totals) =>
+  Object.fromEntries(COUNTERS.map((key) => [key, Number.isFinite(Number(totals?.[key])) ? Number(totals[key]) : 0]));
+
+/**
+ * Replaces the cached totals with the backend's, keeping whatever this instance metered while the lookup was in
+ * flight. Failures keep the cached totals until the next try.
+ */
+async function syncFromBackend(backend, userId, month) {
+  const key = `${userId}|${month}`;
+  const ttlMs = Number(process.env.USAGE_TOTALS_TTL_MS) || 60000;
+  if (!backend?.url || Date.now() - (backendSyncedAt.get(key) || 0) < ttlMs) return;
+  backendSyncedAt.set(key, Date.now());
+
+  const entries = await load();
+  const before = counterValues(entries[userId]?.[month]);
+  try {
+    const response = await (backend.fetch || fetch)(
+      `${backend.url}/usage/${encodeURIComponent(userId)}?month=${encodeURIComponent(month)}`,
+      { headers: { Authorization: `Bearer ${backend.apiKey}` }, signal: AbortSignal.timeout(TOTALS_LOOKUP_TIMEOUT_MS) },
+    );
+    if (!response.ok) {
+      logger.error('⚠️ Usage totals lookup failed:', response.status);
+      return;
+    }
+    const remote = counterValues((await response.json())?.totals);
+    const current = counterValues(entries[userId]?.[month]);
+    const synced = Object.fromEntries(COUNTERS.map((name) => [name, round(remote[name] + current[name] - before[name])]));
+    (entries[userId] ||= {})[month] = synced;
+    await persist();
+  } catch (err) {
+    logger.error('⚠️ Usage totals lookup failed:', err.message);
+  }
+}
+
+/**
+ * Totals for one tenant and month ('YYYY-MM', default current), zeroed when nothing was metered. With a
+ * `backend` they are brought up to date with the backend's first.
+ */
+export async function getMonthlyTotals(userId, month = monthKey(), { backend = null } = {}) {
+  if (backend) await syncFromBackend(backend, userId, month);
+  const entries = await load();
+  return { ...emptyTotals(), ...entries[userId]?.[month] };
+}
+
+/** Every tenant's totals for a month as last cached here: { userId: totals }. */
+export async function getAllMonthlyTotals(month = monthKey()) {
+  const entries = await load();
+  const result = {};
+  for (const [userId, months] of Object.entries(entries)) {
+    if (months[month]) result[userId] = { ...emptyTotals(), ...months[month] };
+  }
+  return result;
+}
+
+// ========================= Limits =========================
+const positive = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+
+/** The tenant's limits with invalid values dropped: { monthlyMinutes, monthlyCostUsd, maxConcurrentCalls } (null = unlimited). */
+export function resolveLimits(settings) {
+  const limits = settings?.limits || {};
+  return {
+    monthlyMinutes: positive(limits.monthlyMinutes),
+    monthlyCostUsd: positive(limits.monthlyCostUsd),
+    maxConcurrentCalls: positive(limits.maxConcurrentCalls),
+  };
+}
+
+/**
+ * 'over_quota' once the month's minutes or estimated spend reached the tenant's limit, else null. Pass the
+ * `backend` so the check goes by every instance's usage, not just this one's.
+ */
+export async function checkMonthlyQuota(settings, { backend = null } = {}) {
+  const limits = resolveLimits(settings);
+  if (!settings?.userId || (!limits.monthlyMinutes && !limits.monthlyCostUsd)) return null;
+  const totals = await getMonthlyTotals(settings.userId, monthKey(), { backend });
+  if (limits.monthlyMinutes && totals.twilioMinutes >= limits.monthlyMinutes) return 'over_quota';
+  if (limits.monthlyCostUsd && totals.estimatedCostUsd >= limits.monthlyCostUsd) return 'over_quota';
+  return null;
+}
@@ -0,0 +1,318 @@
+/**
+ * Reliable webhook delivery (lib/webhook-delivery.js)
+ * - Exponential-backoff retries for network errors, timeouts, 408/429 and 5xx responses
+ * - Per-event idempotency key so receivers (n8n) can dedupe retried deliveries
+ * - HMAC-SHA256 signature header so receivers can verify the sender
+ * - Persisted dead-letter store for deliveries that exhausted their retries, with replay
+ * - Destination headers (tenant API keys, auth tokens) are never written to the store: callers pass a
+ *   `replayRef` instead and re-resolve the headers from it at replay time; listings redact header values
+ * - Deliveries still retrying when the process has to exit can be dead-lettered as they are
+ *   (deadLetterInFlightDeliveries), so a shutdown never silently drops an event
+ *
+ * Config (env):
+ *  - WEBHOOK_SIGNING_SECRET    HMAC secret; signature header is omitted when unset
+ *  - WEBHOOK_MAX_ATTEMPTS      total attempts per delivery (default 5)
+ *  - WEBHOOK_RETRY_BASE_MS     first retry delay, doubled per attempt (default 1000)
+ *  - WEBHOOK_TIMEOUT_MS        per-attempt request timeout (default 10000)
+ *  - WEBHOOK_DEAD_LETTER_PATH  JSON file for failed deliveries (default ./data/webhook-dead-letters.json)
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { sanitizeForLog } from './sanitize.js';
+import { logger } from './logger.js';
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getDeliveryConfig() {
+  return {
+    maxAttempts: intFromEnv('WEBHOOK_MAX_ATTEMPTS', 5),
+    retryBaseMs: intFromEnv('WEBHOOK_RETRY_BASE_MS', 1000),
+    timeoutMs: intFromEnv('WEBHOOK_TIMEOUT_MS', 10000),
+    deadLetterPath: process.env.WEBHOOK_DEAD_LETTER_PATH || path.join(process.cwd(), 'data', 'webhook-dead-letters.json'),
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ========================= Signing =========================
+// Receivers verify with: HMAC_SHA256(secret, `${X-Talkertive-Timestamp}.${rawBody}`) === X-Talkertive-Signature
+export function signWebhookBody(body, timestamp, secret = process.env.WEBHOOK_SIGNING_SECRET) {
+  if (!secret) return null;
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+export function buildIdempotencyKey(callSid, eventType) {
+  return `${callSid || 'no-call'}:${eventType}`;
+}
+
+/** Longest one deliverWebhook call can take: every attempt timing out, plus the largest backoff between them. */
+export function getRetryBudgetMs() {
+  const { maxAttempts, retryBaseMs, timeoutMs } = getDeliveryConfig();
+  let budget = maxAttempts * timeoutMs;
+  for (let attempt = 1; attempt < maxAttempts; attempt++) budget += retryBaseMs * 2 ** (attempt - 1) + retryBaseMs;
+  return budget;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt, baseMs) {
+  // attempt is 1-based; full jitter on top of the exponential step keeps retries from stampeding
+  const step = baseMs * 2 ** (attempt - 1);
+  return step + Math.floor(Math.random() * baseMs);
+}
+
+// ========================= Dead-letter store =========================
+// Writes are chained so concurrent failures never clobber each other's entries.
+let storeQueue = Promise.resolve();
+
+function withStore(mutator) {
+  const run = storeQueue.then(async () => {
+    const { deadLetterPath } = getDeliveryConfig();
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.readFile(deadLetterPath, 'utf8'));
+      if (!Array.isArray(entries)) entries = [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error('⚠️ Dead-letter store unreadable, starting fresh:', err.message);
+    }
+
+    const { entries: next, result } = await mutator(entries);
+    if (next !== entries) {
+      await fs.mkdir(path.dirname(deadLetterPath), { recursive: true });
+      const tmpPath = `${deadLetterPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(next, null, 2));
+      await fs.rename(tmpPath, deadLetterPath);
+    }
+    return result;
+  });
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+async function addDeadLetter(entry) {
+  return withStore((entries) => ({ entries: [...entries, entry], result: entry }));
+}
+
+async function readDeadLetters() {
+  return withStore((entries) => ({ entries, result: entries }));
+}
+
+// Entries written before headers were left out of the store may still carry them
+function redactDeadLetter(entry) {
+  if (!entry.headers || Object.keys(entry.headers).length === 0) return entry;
+  return { ...entry, headers: Object.fromEntries(Object.keys(entry.headers).map((name) => [name, '[redacted]'])) };
+}
+
+/** Dead-lettered deliveries, oldest first, with any stored header values redacted. */
+export async function listDeadLetters() {
+  return (await readDeadLetters()).map(redactDeadLetter);
+}
+
+async function removeDeadLetter(id) {
+  return withStore((entries) => {
+    const next = entries.filter((e) => e.id !== id);
+    return { entries: next.length === entries.length ? entries : next, result: next.length !== entries.length };
+  });
+}
+
+async function updateDeadLetter(id, patch) {
+  return withStore((entries) => {
+    const next = entries.map((e) => (e.id === id ? { ...e, ...patch } : e));
+    return { entries: next, result: next.find((e) => e.id === id) || null };
+  });
+}
+
+function toDeadLetter({ url, eventType, idempotencyKey, replayRef, payload }, { attempts, lastStatus, lastError }) {
+  return {
+    id: uuidv4(),
+    url,
+    eventType,
+    idempotencyKey,
+    replayRef,
+    payload,
+    attempts,
+    lastStatus: lastStatus || null,
+    lastError: lastError || null,
+    failedAt: new Date().toISOString(),
+    replayCount: 0,
+  };
+}
+
+// ========================= Delivery =========================
+// Deliveries that haven't reached an outcome yet: { delivery, attempts, lastStatus, lastError, abandoned }
+const inFlight = new Set();
+
+async function attemptDelivery({ url, body, headers, timeoutMs }) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (response.ok) {
+      let result = null;
+      try {
+        result = await response.json();
+      } catch (_) {}
+      return { ok: true, status: response.status, response: result };
+    }
+
+    const errorText = await response.text().catch(() => '');
+    return { ok: false, retryable: isRetryableStatus(response.status), status: response.status, error: errorText };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return { ok: false, retryable: true, error: timedOut ? `timeout after ${timeoutMs}ms` : error.message };
+  }
+}
+
+/**
+ * POSTs a JSON payload with retries. Returns { success, attempts, status?, response?, error?, deadLetterId? }.
+ * Deliveries that exhaust their attempts (or hit a non-retryable 4xx) are persisted to the dead-letter store
+ * with `replayRef` (any JSON the caller can turn back into `headers`, see replayDeadLetter) but not the headers.
+ * `maxAttempts` overrides WEBHOOK_MAX_ATTEMPTS.
+ */
+export async function deliverWebhook({
+  url,
+  eventType,
+  payload,
+  idempotencyKey,
+  headers = {},
+  replayRef = null,
+  deadLetter = true,
+  maxAttempts = getDeliveryConfig().maxAttempts,
+}) {
+  const { retryBaseMs, timeoutMs } = getDeliveryConfig();
+  const body = JSON.stringify(payload);
+  const tracked = { delivery: { url, eventType, idempotencyKey, replayRef, payload }, attempts: 0, abandoned: false };
+  if (deadLetter) inFlight.add(tracked);
+
+  let last = null;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    attempts += 1;
+
+    // Fresh timestamp per attempt so receivers can enforce a replay window on the signature
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = signWebhookBody(body, timestamp);
+    const requestHeaders = {
+      ...headers,
+      'Content-Type': 'application/json',
+      'X-Idempotency-Key': idempotencyKey,
+      'X-Talkertive-Event': eventType,
+      'X-Talkertive-Timestamp': timestamp,
+      'X-Talkertive-Delivery-Attempt': String(attempts),
+    };
+    if (signature) requestHeaders['X-Talkertive-Signature'] = signature;
+
+    last = await attemptDelivery({ url, body, headers: requestHeaders, timeoutMs });
+    Object.assign(tracked, { attempts, lastStatus: last.status, lastError: last.error });
+
+    if (last.ok) {
+      inFlight.delete(tracked);
+      if (attempts > 1) logger.info(`✅ Webhook ${eventType} delivered on attempt ${attempts}`);
+      return { success: true, attempts, status: last.status, response: last.response };
+    }
+
+    logger.error(`❌ Webhook ${eventType} attempt ${attempts}/${maxAttempts} failed:`, last.status || '', sanitizeForLog(last.error));
+    if (!last.retryable) break;
+
+    if (attempts < maxAttempts) await sleep(backoffDelay(attempts, retryBaseMs));
+  }
+
+  inFlight.delete(tracked);
+  const failure = { success: false, attempts, status: last?.status, error: last?.error };
+  // Already dead-lettered by deadLetterInFlightDeliveries
+  if (!deadLetter || tracked.abandoned) return failure;
+
+  const entry = await addDeadLetter(toDeadLetter(tracked.delivery, { attempts, lastStatus: last?.status, lastError: last?.error })).catch((err) => {
+    logger.error('❌ Failed to persist dead letter:', err.message);
+    return null;
+  });
+
+  if (entry) logger.error(`🪦 Webhook ${eventType} dead-lettered (${entry.id})`);
+  return { ...failure, deadLetterId: entry?.id };
+}
+
+/**
+ * Dead-letters every delivery still retrying, for when the process has to exit before they finish (they can be
+ * replayed later; the idempotency key covers one that lands anyway). Resolves to the number of entries written.
+ */
+export async function deadLetterInFlightDeliveries(reason = 'interrupted before delivery finished') {
+  const pending = [...inFlight];
+  inFlight.clear();
+  const written = await Promise.all(
+    pending.map((tracked) => {
+      tracked.abandoned = true;
+      const entry = toDeadLetter(tracked.delivery, {
+        attempts: tracked.attempts,
+        lastStatus: tracked.lastStatus,
+        lastError: tracked.lastError || reason,
+      });
+      return addDeadLetter(entry).then(
+        () => {
+          logger.error(`🪦 Webhook ${entry.eventType} dead-lettered (${entry.id}) - ${reason}`);
+          return true;
+        },
+        (err) => {
+          logger.error('❌ Failed to persist dead letter:', err.message);
+          return false;
+        },
+      );
+    }),
+  );
+  return written.filter(Boolean).length;
+}
+
+/**
+ * Re-sends a dead-lettered delivery with the same idempotency key - one attempt, no retries, so an admin request
+ * never sits through the backoff schedule. Removed from the store on success; otherwise the entry stays put with
+ * updated failure details.
+ * `resolveHeaders(replayRef)` resolves to the destination's current headers, or null when it no longer exists.
+ */
+export async function replayDeadLetter(id, { resolveHeaders = null } = {}) {
+  const entries = await readDeadLetters();
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) return { success: false, reason: 'not_found' };
+
+  let headers = entry.headers || {};
+  if (entry.replayRef && resolveHeaders) {
+    headers = await resolveHeaders(entry.replayRef);
+    if (!headers) return { success: false, reason: 'destination_not_found', id };
+  }
+
+  logger.info(`🔁 Replaying dead-lettered webhook ${entry.eventType} (${id})`);
+  const result = await deliverWebhook({
+    url: entry.url,
+    eventType: entry.eventType,
+    payload: entry.payload,
+    idempotencyKey: entry.idempotencyKey,
+    headers,
+    deadLetter: false,
+    maxAttempts: 1,
+  });
+
+  if (result.success) {
+    await removeDeadLetter(id);
+    return { ...result, id };
+  }
+
+  await updateDeadLetter(id, {
+    lastStatus: result.status || null,
+    lastError: result.error || null,
+    lastReplayAt: new Date().toISOString(),
+    replayCount: (entry.replayCount || 0) + 1,
+  });
+  return { ...result, id };
+}
@@ -0,0 +1,158 @@
+/**
+ * Per-tenant webhook routing (lib/webhook-destinations.js)
+ * - Resolves destinations from tenant settings (`settings.webhooks`), falling back to N8N_WEBHOOK_URL
+ * - Per-destination event filters, custom headers and optional payload templates
+ * - Tracks delivery success/failure per destination
+ *
+ * Tenant settings shape:
+ *   webhooks: [{
+ *     id: 'crm',                                   // optional, defaults to the URL
+ *     url: 'https://hooks.example.com/abc',
+ *     events: ['appointment_booked', 'lead_captured'], // optional, omitted/empty = all events
+ *     headers: { 'X-Api-Key': '...' },             // optional
+ *     template: { name: '{{customerName}}', when: '{{appointmentDate}}' }, // optional
+ *     enabled: true,                               // optional, default true
+ *   }]
+ */
+
+import { logger } from './logger.js';
+
+const ENV_DESTINATION_ID = 'env:N8N_WEBHOOK_URL';
+
+// Headers the delivery layer owns; tenants can't override them.
+const RESERVED_HEADERS = [
+  'content-type',
+  'x-idempotency-key',
+  'x-talkertive-event',
+  'x-talkertive-timestamp',
+  'x-talkertive-signature',
+  'x-talkertive-delivery-attempt',
+];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (_) {
+    return false;
+  }
+}
+
+function cleanHeaders(headers) {
+  if (!headers || typeof headers !== 'object') return {};
+  const cleaned = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) continue;
+    if (typeof value === 'string' || typeof value === 'number') cleaned[name] = String(value);
+  }
+  return cleaned;
+}
+
+/**
+ * Returns the list of destinations for a tenant. Invalid entries are skipped with a warning; when the
+ * tenant has no usable destinations the global N8N_WEBHOOK_URL is used (if configured).
+ */
+export function resolveWebhookDestinations(settings) {
+  const configured = Array.isArray(settings?.webhooks) ? settings.webhooks : [];
+  const destinations = [];
+
+  for (const entry of configured) {
+    if (!entry || entry.enabled === false) continue;
+    if (!isHttpUrl(entry.url)) {
+      logger.warn('⚠️ Skipping webhook destination with invalid url:', entry.id || '(no id)');
+      continue;
+    }
+    destinations.push({
+      id: String(entry.id || entry.url),
+      url: entry.url,
+      events: Array.isArray(entry.events) ? entry.events.filter((e) => typeof e === 'string') : [],
+      headers: cleanHeaders(entry.headers),
+      template: entry.template ?? null,
+    });
+  }
+
+  if (destinations.length === 0 && process.env.N8N_WEBHOOK_URL) {
+    destinations.push({ id: ENV_DESTINATION_ID, url: process.env.N8N_WEBHOOK_URL, events: [], headers: {}, template: null });
+  }
+
+  return destinations;
+}
+
+export function destinationAcceptsEvent(destination, eventType) {
+  return destination.events.length === 0 || destination.events.includes(eventType) || destination.events.includes('*');
+}
+
+// ========================= Payload templates =========================
+function lookupPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function renderTemplateValue(value, data) {
+  if (typeof value === 'string') {
+    // A value that is exactly one placeholder keeps the source type (number, boolean, object)
+    const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return lookupPath(data, whole[1]);
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, p) => {
+      const v = lookupPath(data, p);
+      return v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => renderTemplateValue(v, data));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = renderTemplateValue(v, data);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Applies a destination's template to the flat event payload. `eventType`, `timestamp` and
+ * `idempotencyKey` are always carried over so receivers can still route and dedupe.
+ */
+export function renderPayload(destination, payload) {
+  if (!destination.template || typeof destination.template !== 'object') return payload;
+  return {
+    eventType: payload.eventType,
+    timestamp: payload.timestamp,
+    idempotencyKey: payload.idempotencyKey,
+    ...renderTemplateValue(destination.template, payload),
+  };
+}
+
+// ========================= Per-destination stats =========================
+const destinationStats = new Map();
+
+function statsKey(userId, destinationId) {
+  return `${userId || 'global'}::${destinationId}`;
+}
+
+export function recordDestinationResult(userId, destination, eventType, result) {
+  const key = statsKey(userId, destination.id);
+  const stats = destinationStats.get(key) || {
+    userId: userId || null,
+    destinationId: destination.id,
+    url: destination.url,
+    delivered: 0,
+    failed: 0,
+    lastEventType: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+  };
+
+  stats.lastEventType = eventType;
+  if (result.success) {
+    stats.delivered += 1;
+    stats.lastSuccessAt = new Date().toISOString();
+  } else {
+    stats.failed += 1;
+    stats.lastFailureAt = new Date().toISOString();
+    stats.lastError = result.status ? `HTTP ${result.status}` : result.error || 'unknown';
+  }
+  destinationStats.set(key, stats);
+}
+
+export function getDestinationStats() {
+  return [...destinationStats.values()];
+}
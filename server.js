@@ -23,235 +23,1245 @@ import twilio from 'twilio';
 import { createClient } from '@supabase/supabase-js';
 import { v4 as uuidv4 } from 'uuid';
 import cors from 'cors';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { readFileSync } from 'fs';
 import 'dotenv/config';
+import { sanitizeForLog } from './lib/sanitize.js';
+import {
+  deliverWebhook,
+  buildIdempotencyKey,
+  listDeadLetters,
+  replayDeadLetter,
+  deadLetterInFlightDeliveries,
+} from './lib/webhook-delivery.js';
+import {
+  resolveWebhookDestinations,
+  destinationAcceptsEvent,
+  renderPayload,
+  recordDestinationResult,
+  getDestinationStats,
+} from './lib/webhook-destinations.js';
+import { registerTool, resolveEnabledTools, toRealtimeTools, executeTool, getRegisteredToolNames } from './lib/tool-registry.js';
+import {
+  evaluateBusinessHours,
+  describeBusinessHours,
+  getTenantTimeZone,
+  getTimeZoneLabel,
+  formatIsoInZone,
+} from './lib/business-hours.js';
+import {
+  validateAppointmentTime,
+  resolveSearchRange,
+  suggestSlots,
+  optionsFromSlots,
+  normalizeDuration,
+  formatSlotLabel,
+} from './lib/availability.js';
+import { resolvePersona, renderGreeting, DEFAULT_PERSONA } from './lib/persona.js';
+import { CallRecorder, resolveRecordingSettings, uploadRecording } from './lib/call-recorder.js';
+import { analyzeCall } from './lib/call-analysis.js';
+import { getHoldPrompt, toMediaPayloads } from './lib/hold-prompt.js';
+import { PlaybackTracker } from './lib/playback-tracker.js';
+import {
+  UsageMeter,
+  addToMonthlyTotals,
+  getMonthlyTotals,
+  getAllMonthlyTotals,
+  resolveLimits,
+  checkMonthlyQuota,
+  monthKey,
+} from './lib/usage-meter.js';
+import { parseSmsKeyword, isOptedOut, setOptOut } from './lib/sms-opt-outs.js';
+import { runTextTurn, toChatTools, trimHistory } from './lib/sms-conversation.js';
+import { recordConsent, getConsentState, consentExcerpt } from './lib/sms-consent.js';
+import { renderSmsTemplate } from './lib/sms-templates.js';
+import { sendAppointmentConfirmationEmail, sendVerificationCodeEmail, isEmailConfigured } from './lib/email-notifications.js';
+import { logger, withLogContext } from './lib/logger.js';
+import { registry as metricsRegistry, metrics, recordFunctionCall, createBackendFetch } from './lib/metrics.js';
+import { createReadinessCheck, httpProbe } from './lib/readiness.js';
 
 const app = express();
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
-// ========================= SECURITY: Credential Sanitization =========================
-function sanitizeForLog(obj) {
-  if (typeof obj === 'string') {
-    return obj
-      .replace(/sk-[a-zA-Z0-9_-]{20,}/g, 'sk-***REDACTED***')
-      .replace(/sk-proj-[a-zA-Z0-9_-]{20,}/g, 'sk-proj-***REDACTED***')
-      .replace(/AC[a-z0-9]{32}/g, 'AC***REDACTED***')
-      .replace(/[a-f0-9]{32}/g, '***REDACTED***')
-      .replace(/Bearer\s+[a-zA-Z0-9._-]+/gi, 'Bearer ***REDACTED***')
-      .replace(/eyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g, 'JWT***REDACTED***');
-  }
-  if (typeof obj === 'object' && obj !== null) {
-    if (obj instanceof Error) {
-      return { name: obj.name, message: sanitizeForLog(obj.message), stack: '***STACK_REDACTED***' };
-    }
-    const sanitized = Array.isArray(obj) ? [] : {};
-    for (const key in obj) {
-      const lowerKey = key.toLowerCase();
-      if (
-        ['apikey', 'api_key', 'token', 'password', 'secret', 'auth', 'bearer', 'key', 'sid', 'credential'].some((k) =>
-          lowerKey.includes(k),
-        )
-      ) {
-        sanitized[key] = '***REDACTED***';
-      } else {
-        sanitized[key] = sanitizeForLog(obj[key]);
-      }
-    }
-    return sanitized;
-  }
-  return obj;
-}
-
 const requiredEnvVars = ['OPENAI_API_KEY', 'TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'SUPABASE_URL', 'SUPABASE_ANON_KEY', 'PORT'];
-console.log('🔧 Environment Check:');
+logger.info('🔧 Environment Check:');
 requiredEnvVars.forEach((varName) => {
   const exists = !!process.env[varName];
-  console.log(`  ${exists ? '✅' : '❌'} ${varName}: ${exists ? 'Configured' : 'MISSING'}`);
+  logger.info(`  ${exists ? '✅' : '❌'} ${varName}: ${exists ? 'Configured' : 'MISSING'}`);
 });
-['N8N_WEBHOOK_URL', 'TWILIO_PHONE_NUMBER'].forEach((varName) => {
+['N8N_WEBHOOK_URL', 'WEBHOOK_SIGNING_SECRET', 'TWILIO_PHONE_NUMBER', 'PUBLIC_BASE_URL', 'ADMIN_API_KEY'].forEach((varName) => {
   const exists = !!process.env[varName];
-  console.log(`  ${exists ? '✅' : '⚠️'} ${varName}: ${exists ? 'Configured' : 'Optional - not set'}`);
+  logger.info(`  ${exists ? '✅' : '⚠️'} ${varName}: ${exists ? 'Configured' : 'Optional - not set'}`);
 });
-console.log('');
+logger.info('');
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN, {
+  httpClient: process.env.TWILIO_API_URL ? createRedirectingTwilioHttpClient(process.env.TWILIO_API_URL) : undefined,
+});
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
 
+// Sends Twilio REST requests (SMS, outbound calls, transfers) to `baseUrl` instead of *.twilio.com, keeping the path
+function createRedirectingTwilioHttpClient(baseUrl) {
+  const target = new URL(baseUrl);
+  class RedirectingClient extends twilio.RequestClient {
+    request(opts) {
+      const uri = new URL(opts.uri);
+      uri.protocol = target.protocol;
+      uri.host = target.host;
+      return super.request({ ...opts, uri: uri.toString() });
+    }
+  }
+  return new RedirectingClient();
+}
+
+// Backend and Realtime endpoints can be overridden, e.g. to point the simulated-call harness at local mocks
+const SUPABASE_FUNCTIONS_URL = (
+  process.env.SUPABASE_FUNCTIONS_URL || `${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511`
+).replace(/\/+$/, '');
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
+// Every Supabase functions request goes through this, so failures show up in the backend error metric
+const backendFetch = createBackendFetch(SUPABASE_FUNCTIONS_URL);
+
 const PORT = process.env.PORT || 3000;
 const activeSessions = new Map();
 
+// Set on SIGTERM: new calls are turned away (or sent to DRAIN_REDIRECT_URL) while live ones finish (see Graceful shutdown)
+const drain = { active: false, startedAt: null, deadline: null, stopWaiting: null };
+const DRAIN_REDIRECT_URL = (process.env.DRAIN_REDIRECT_URL || '').replace(/\/+$/, '');
+
+// Live call activity (state changes, transcript lines, function calls) for the admin event stream
+const callEvents = new EventEmitter();
+callEvents.setMaxListeners(100);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
 
+// Twilio webhooks carry the CallSid; tag everything logged while handling them
+app.use((req, res, next) => {
+  const callSid = req.body?.CallSid;
+  if (!callSid) return next();
+  withLogContext({ callSid }, next);
+});
+
+// ========================= SECURITY: Twilio request validation =========================
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+
+// Twilio signs the exact URL it requested. Behind Railway's proxy req.protocol is http and the
+// host may be rewritten, so prefer PUBLIC_BASE_URL, then the X-Forwarded-* headers.
+function getPublicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  // The media-stream upgrade request may report ws/wss; callback URLs need http/https
+  const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'https').split(',')[0].trim().replace(/^ws/, 'http');
+  const host = (req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  return `${proto}://${host}`;
+}
+
+function getPublicUrl(req) {
+  return getPublicBaseUrl(req) + req.originalUrl;
+}
+
+function validateTwilioRequest(req, res, next) {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) {
+    logger.warn('🚫 Rejected', req.path, '- missing X-Twilio-Signature');
+    return res.status(403).send('Forbidden');
+  }
+
+  const url = getPublicUrl(req);
+  const valid = twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN || '', signature, url, req.body || {});
+  if (!valid) {
+    logger.warn('🚫 Rejected', req.path, '- invalid Twilio signature for', url);
+    return res.status(403).send('Forbidden');
+  }
+
+  next();
+}
+
+// Short-lived token handed to Twilio as a <Stream> <Parameter> so /media-stream only accepts
+// sockets for calls that came through a validated /incoming-call webhook.
+function streamTokenMac(callSid, expiresAt) {
+  return crypto
+    .createHmac('sha256', process.env.TWILIO_AUTH_TOKEN || '')
+    .update(`${callSid}.${expiresAt}`)
+    .digest('hex');
+}
+
+function signStreamToken(callSid, now = Date.now()) {
+  const expiresAt = now + STREAM_TOKEN_TTL_MS;
+  return `${expiresAt}.${streamTokenMac(callSid, expiresAt)}`;
+}
+
+function verifyStreamToken(token, callSid, now = Date.now()) {
+  if (!token || typeof token !== 'string' || !callSid) return { valid: false, reason: 'missing_token' };
+
+  const [expiresAtRaw, mac] = token.split('.');
+  const expiresAt = Number(expiresAtRaw);
+  if (!Number.isFinite(expiresAt) || !mac) return { valid: false, reason: 'malformed_token' };
+  if (now > expiresAt) return { valid: false, reason: 'expired_token' };
+
+  const a = Buffer.from(mac, 'hex');
+  const b = Buffer.from(streamTokenMac(callSid, expiresAt), 'hex');
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { valid: false, reason: 'bad_signature' };
+
+  return { valid: true };
+}
+
+// ========================= Health & readiness =========================
+// /health is a cheap liveness check; /ready probes the dependencies (lib/readiness.js)
+const packageInfo = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+// Built-in tools show up under the feature names the dashboard already knows
+const TOOL_FEATURES = {
+  capture_lead_info: 'real-time-lead-capture',
+  check_availability: 'availability-check',
+  book_appointment: 'appointment-booking',
+  find_appointments: 'appointment-changes',
+  reschedule_appointment: 'appointment-changes',
+  cancel_appointment: 'appointment-changes',
+  lookup_order_status: 'order-lookup',
+  transfer_call: 'call-transfer',
+};
+
+function getFeatures() {
+  const features = [
+    'sms',
+    isEmailConfigured() && 'email',
+    resolveWebhookDestinations(null).length > 0 && 'n8n-webhook',
+    'metrics',
+    ...getRegisteredToolNames().map((name) => TOOL_FEATURES[name] || name),
+  ];
+  return [...new Set(features.filter(Boolean))];
+}
+
+const checkReadiness = createReadinessCheck(
+  [
+    {
+      name: 'supabase',
+      required: true,
+      missingConfig: ['SUPABASE_URL', 'SUPABASE_ANON_KEY'].filter((name) => !process.env[name]),
+      // Any answer short of a 5xx or an auth failure means the functions API is up
+      probe: httpProbe(`${SUPABASE_FUNCTIONS_URL}/health`, {
+        headers: { Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}` },
+      }),
+    },
+    {
+      name: 'openai',
+      required: true,
+      missingConfig: ['OPENAI_API_KEY'].filter((name) => !process.env[name]),
+      probe: httpProbe(`${(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')}/models`, {
+        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      }),
+    },
+    {
+      name: 'twilio',
+      required: true,
+      missingConfig: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN'].filter((name) => !process.env[name]),
+      // Fetching our own account proves the credentials are valid
+      probe: httpProbe(`https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}.json`, {
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+        },
+        accept: (status) => status >= 200 && status < 300,
+      }),
+    },
+    {
+      name: 'n8n',
+      required: false,
+      missingConfig: ['N8N_WEBHOOK_URL'].filter((name) => !process.env[name]),
+      // HEAD doesn't trigger the workflow; n8n answers 404 for it on POST-only webhooks, which still means reachable
+      probe: httpProbe(process.env.N8N_WEBHOOK_URL, { method: 'HEAD' }),
+    },
+  ],
+  { requiredConfig: requiredEnvVars },
+);
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
-    service: 'talkertive-websocket-bridge',
-    version: '2.2.2',
-    features: ['sms', 'n8n-webhook', 'order-lookup', 'real-time-lead-capture', 'appointment-booking'],
+    service: packageInfo.name,
+    version: packageInfo.version,
+    features: getFeatures(),
     activeSessions: activeSessions.size,
+    draining: drain.active,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+app.get('/ready', async (req, res) => {
+  // A draining instance must stop getting traffic right away, whatever its dependencies say
+  if (drain.active) {
+    return res.status(503).json({
+      status: 'draining',
+      service: packageInfo.name,
+      version: packageInfo.version,
+      liveCalls: liveCallSessions().length,
+      drainDeadline: new Date(drain.deadline).toISOString(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const { ready, missingConfig, dependencies } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    service: packageInfo.name,
+    version: packageInfo.version,
+    missingConfig,
+    dependencies,
+    features: getFeatures(),
+    tools: getRegisteredToolNames(),
     timestamp: new Date().toISOString(),
   });
 });
 
+// ========================= Metrics =========================
+// Prometheus scrape endpoint (lib/metrics.js). Its labels name tenants' tools and backend routes, so it is
+// bearer-protected like /admin: METRICS_TOKEN, else ADMIN_API_KEY, and disabled when neither is set.
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN || process.env.ADMIN_API_KEY;
+  if (!token) return res.status(503).json({ error: 'metrics_disabled' });
+  if (!hasBearerToken(req, token)) {
+    logger.warn('🚫 Rejected metrics scrape');
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  metrics.activeCalls.set([...activeSessions.values()].filter((session) => !session.rejected && !session.isEnding).length);
+  res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+});
+
+// ========================= Admin API =========================
+// Constant-time check of `Authorization: Bearer <key>`
+function hasBearerToken(req, key) {
+  const a = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const b = Buffer.from(key);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// All /admin routes require `Authorization: Bearer <ADMIN_API_KEY>`; disabled entirely when unset.
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'admin_api_disabled' });
+  }
+
+  if (!hasBearerToken(req, adminKey)) {
+    logger.warn('🚫 Rejected admin request', req.method, req.path);
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+
+  next();
+}
+
+app.use('/admin', requireAdmin);
+
+app.get('/admin/webhooks/destinations', (req, res) => {
+  res.json({ destinations: getDestinationStats() });
+});
+
+app.get('/admin/webhooks/dead-letters', async (req, res) => {
+  try {
+    const entries = await listDeadLetters();
+    res.json({ count: entries.length, deadLetters: entries });
+  } catch (error) {
+    logger.error('❌ Failed to list dead letters:', sanitizeForLog(error));
+    res.status(500).json({ error: 'dead_letter_store_unavailable' });
+  }
+});
+
+app.post('/admin/webhooks/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const result = await replayDeadLetter(req.params.id, { resolveHeaders: resolveDeadLetterHeaders });
+    if (result.reason === 'not_found') return res.status(404).json(result);
+    if (result.reason === 'destination_not_found') return res.status(409).json(result);
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    logger.error('❌ Failed to replay dead letter:', sanitizeForLog(error));
+    res.status(500).json({ error: 'replay_failed' });
+  }
+});
+
+// Replaying everything takes one delivery attempt per entry, so it runs in the background; entries that fail
+// again stay in the store with their lastReplayAt / lastError updated
+let deadLetterReplayRun = null;
+
+async function replayAllDeadLetters(ids) {
+  let succeeded = 0;
+  for (const id of ids) {
+    const result = await replayDeadLetter(id, { resolveHeaders: resolveDeadLetterHeaders }).catch((error) => {
+      logger.error('❌ Failed to replay dead letter:', sanitizeForLog(error));
+      return { success: false };
+    });
+    if (result.success) succeeded++;
+  }
+  logger.info(`🔁 Dead-letter replay finished: ${succeeded}/${ids.length} delivered`);
+}
+
+app.post('/admin/webhooks/dead-letters/replay', async (req, res) => {
+  if (deadLetterReplayRun) return res.status(409).json({ error: 'replay_in_progress' });
+  try {
+    const ids = (await listDeadLetters()).map((entry) => entry.id);
+    deadLetterReplayRun = replayAllDeadLetters(ids).finally(() => (deadLetterReplayRun = null));
+    res.status(202).json({ queued: ids.length, ids });
+  } catch (error) {
+    logger.error('❌ Failed to replay dead letters:', sanitizeForLog(error));
+    res.status(500).json({ error: 'replay_failed' });
+  }
+});
+
+// ----- Live calls -----
+const MAX_INSTRUCTION_LENGTH = 1000;
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+function findLiveCall(callSid) {
+  for (const session of activeSessions.values()) {
+    if (session.callSid === callSid) return session;
+  }
+  return null;
+}
+
+app.get('/admin/calls', (req, res) => {
+  const calls = [...activeSessions.values()].filter((session) => session.callSid).map((session) => session.toSummary());
+  res.json({ count: calls.length, calls });
+});
+
+// Server-sent events: `calls` snapshot on connect, then `state`, `transcript` and `function_call` events.
+// Optional ?callSid= narrows the stream to one call.
+app.get('/admin/calls/events', (req, res) => {
+  const filter = typeof req.query.callSid === 'string' ? req.query.callSid : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const calls = [...activeSessions.values()]
+    .filter((session) => session.callSid && (!filter || session.callSid === filter))
+    .map((session) => session.toSummary());
+  send('calls', { calls });
+
+  const onEvent = (event) => {
+    if (!filter || event.callSid === filter) send(event.type, event);
+  };
+  callEvents.on('event', onEvent);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    callEvents.off('event', onEvent);
+  });
+});
+
+app.get('/admin/calls/:callSid', (req, res) => {
+  const session = findLiveCall(req.params.callSid);
+  if (!session) return res.status(404).json({ error: 'call_not_found' });
+  res.json(session.toSummary());
+});
+
+app.get('/admin/calls/:callSid/transcript', (req, res) => {
+  const session = findLiveCall(req.params.callSid);
+  if (!session) return res.status(404).json({ error: 'call_not_found' });
+  res.json({ callSid: session.callSid, state: session.state, transcript: session.transcript });
+});
+
+app.post('/admin/calls/:callSid/instructions', (req, res) => {
+  const session = findLiveCall(req.params.callSid);
+  if (!session) return res.status(404).json({ error: 'call_not_found' });
+
+  const instruction = typeof req.body?.instruction === 'string' ? req.body.instruction.trim() : '';
+  if (!instruction || instruction.length > MAX_INSTRUCTION_LENGTH) {
+    return res.status(400).json({ error: 'invalid_instruction', message: `instruction must be 1-${MAX_INSTRUCTION_LENGTH} characters` });
+  }
+
+  const result = session.injectInstruction(instruction, { respond: req.body.respond === true });
+  res.status(result.success ? 200 : 409).json(result);
+});
+
+app.post('/admin/calls/:callSid/hangup', async (req, res) => {
+  const session = findLiveCall(req.params.callSid);
+  if (!session) return res.status(404).json({ error: 'call_not_found' });
+
+  const result = await session.hangup();
+  if (result.success) return res.json(result);
+  res.status(result.error === 'twilio_error' ? 502 : 409).json(result);
+});
+
+// ----- Usage -----
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function parseMonth(req, res) {
+  const month = req.query.month ?? monthKey();
+  if (typeof month !== 'string' || !MONTH_PATTERN.test(month)) {
+    res.status(400).json({ error: 'invalid_month', message: 'month must be YYYY-MM' });
+    return null;
+  }
+  return month;
+}
+
+app.get('/admin/usage', async (req, res) => {
+  const month = parseMonth(req, res);
+  if (!month) return;
+  try {
+    const tenants = await getAllMonthlyTotals(month);
+    const estimatedCostUsd = Object.values(tenants).reduce((sum, totals) => sum + totals.estimatedCostUsd, 0);
+    res.json({ month, tenantCount: Object.keys(tenants).length, estimatedCostUsd: Math.round(estimatedCostUsd * 1e6) / 1e6, tenants });
+  } catch (error) {
+    logger.error('❌ Failed to read usage:', sanitizeForLog(error));
+    res.status(500).json({ error: 'usage_store_unavailable' });
+  }
+});
+
+app.get('/admin/usage/:userId', async (req, res) => {
+  const month = parseMonth(req, res);
+  if (!month) return;
+  try {
+    const { userId } = req.params;
+    res.json({
+      userId,
+      month,
+      totals: await getMonthlyTotals(userId, month, { backend: usageBackend }),
+      // Limits come from tenant settings, so they're known once the tenant has had a call on this instance
+      limits: knownTenantLimits.get(userId) || null,
+      liveCalls: countLiveCalls(userId),
+    });
+  } catch (error) {
+    logger.error('❌ Failed to read usage:', sanitizeForLog(error));
+    res.status(500).json({ error: 'usage_store_unavailable' });
+  }
+});
+
 // ========================= Supabase settings lookup =========================
-async function getUserSettingsByPhone(phoneNumber) {
+const SETTINGS_LOOKUP_TIMEOUT_MS = Number(process.env.SETTINGS_LOOKUP_TIMEOUT_MS) || 5000;
+
+// settings object → the business number it was loaded for, so dead-lettered webhooks can find the tenant again
+const settingsPhoneNumbers = new WeakMap();
+
+/**
+ * Resolves to { settings, failed }: settings is null both for numbers with no tenant (404) and when the lookup
+ * itself failed (5xx, timeout, network) - `failed` tells the two apart.
+ */
+async function lookupUserSettings(phoneNumber) {
   try {
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('🔍 FETCHING USER SETTINGS');
-    console.log('📞 Looking up phone:', phoneNumber);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info('🔍 FETCHING USER SETTINGS');
+    logger.info('📞 Looking up phone:', phoneNumber);
 
-    const response = await fetch(
-      `${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511/settings/by-phone/${encodeURIComponent(phoneNumber)}`,
+    const response = await backendFetch(
+      `${SUPABASE_FUNCTIONS_URL}/settings/by-phone/${encodeURIComponent(phoneNumber)}`,
       {
         headers: { Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}` },
+        signal: AbortSignal.timeout(SETTINGS_LOOKUP_TIMEOUT_MS),
       },
     );
 
-    console.log('📡 Response status:', response.status, response.statusText);
+    logger.info('📡 Response status:', response.status, response.statusText);
 
+    if (response.status === 404) {
+      logger.info('❌ FAILED - No settings found');
+      logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+      return { settings: null, failed: false };
+    }
     if (!response.ok) {
-      console.log('❌ FAILED - No settings found');
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      return null;
+      logger.error('❌ ERROR fetching user settings - backend returned', response.status);
+      logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+      return { settings: null, failed: true };
     }
 
     const data = await response.json();
-    console.log('✅ SUCCESS - Settings found!');
-    console.log('📋 Business Name:', data.settings?.businessName || '(not set)');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    return data.settings || null;
+    logger.info(data.settings ? '✅ SUCCESS - Settings found!' : '❌ FAILED - No settings found');
+    logger.info('📋 Business Name:', data.settings?.businessName || '(not set)');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (data.settings && typeof data.settings === 'object') settingsPhoneNumbers.set(data.settings, phoneNumber);
+    return { settings: data.settings || null, failed: false };
   } catch (error) {
-    console.error('❌ ERROR fetching user settings', sanitizeForLog(error));
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    return null;
+    logger.error('❌ ERROR fetching user settings', sanitizeForLog(error));
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    return { settings: null, failed: true };
   }
 }
 
+/** Tenant settings for the business number, or null (unknown number or failed lookup). */
+async function getUserSettingsByPhone(phoneNumber) {
+  return (await lookupUserSettings(phoneNumber)).settings;
+}
+
 // ========================= SMS helper =========================
-async function sendSMS(toNumber, message) {
-  if (!process.env.TWILIO_PHONE_NUMBER) {
-    console.log('⚠️ SMS not sent - TWILIO_PHONE_NUMBER not configured');
-    return { success: false, reason: 'not_configured' };
+// Consent decisions live in the backend ledger (lib/sms-consent.js); STOP replies are also kept locally
+// (lib/sms-opt-outs.js) so they're honored even when the backend is unreachable.
+const smsConsentBackend = { url: SUPABASE_FUNCTIONS_URL, apiKey: process.env.SUPABASE_ANON_KEY, fetch: backendFetch };
+
+// `from` defaults to TWILIO_PHONE_NUMBER; SMS replies go out from the number the customer texted.
+// Notifications pass `requireConsent` so they only go to numbers with consent on record for the tenant.
+// Sent segments are added to `usage` (the call's or thread's UsageMeter) when given.
+async function sendSMS(
+  toNumber,
+  message,
+  { from = process.env.TWILIO_PHONE_NUMBER, userId = null, requireConsent = false, usage = null } = {},
+) {
+  const notSent = (reason, extra = {}) => {
+    metrics.smsFailures.inc({ reason });
+    return { success: false, reason, ...extra };
+  };
+
+  if (!from) {
+    logger.info('⚠️ SMS not sent - TWILIO_PHONE_NUMBER not configured');
+    return notSent('not_configured');
+  }
+  if (await isOptedOut(toNumber, { businessNumber: from })) {
+    logger.info('🚫 SMS not sent - recipient opted out');
+    return notSent('opted_out');
+  }
+  const consent = await getConsentState(smsConsentBackend, toNumber, userId);
+  if (consent?.optedOut) {
+    logger.info('🚫 SMS not sent - recipient opted out');
+    return notSent('opted_out');
+  }
+  if (requireConsent && !consent?.consent) {
+    logger.info('🚫 SMS not sent - no consent on record');
+    return notSent('no_consent');
   }
 
   try {
-    console.log('📱 SENDING SMS');
-    console.log('   To:', toNumber);
-    console.log('   Message:', message);
+    logger.info('📱 SENDING SMS');
+    logger.info('   To:', toNumber);
+    logger.info('   Message:', message);
 
     const result = await twilioClient.messages.create({
       body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
+      from,
       to: toNumber,
     });
 
-    console.log('✅ SMS sent successfully! SID:', result.sid);
+    logger.info('✅ SMS sent successfully! SID:', result.sid);
+    usage?.addSms(message);
     return { success: true, sid: result.sid };
   } catch (error) {
-    console.error('❌ SMS failed:', error.message);
+    logger.error('❌ SMS failed:', error.message);
+    return notSent('send_failed', { error: error.message });
+  }
+}
+
+// ========================= Call transfer helpers =========================
+const TRANSFER_MARK = 'transfer-announcement';
+const TRANSFER_PLAYBACK_TIMEOUT_MS = 10000;
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// settings.transfer: { number: '+15551234567', departments: [{ name: 'Sales', number: '+15557654321' }] }
+function resolveTransferTarget(settings, department) {
+  const config = settings?.transfer || {};
+  const departments = (Array.isArray(config.departments) ? config.departments : []).filter(
+    (d) => d?.name && E164_PATTERN.test(d.number || ''),
+  );
+
+  if (department) {
+    const wanted = department.toString().trim().toLowerCase();
+    const match =
+      departments.find((d) => d.name.toLowerCase() === wanted) ||
+      departments.find((d) => d.name.toLowerCase().includes(wanted) || wanted.includes(d.name.toLowerCase()));
+    if (match) return { name: match.name, number: match.number };
+  }
+
+  if (E164_PATTERN.test(config.number || '')) return { name: config.name || 'a team member', number: config.number };
+  if (departments.length) return { name: departments[0].name, number: departments[0].number };
+  return null;
+}
+
+// Replaces the live <Connect><Stream> with a <Dial>; Twilio ends the media stream (sending `stop`).
+async function redirectCallToNumber(callSid, target, settings) {
+  const businessName = settings?.businessName || 'us';
+  const twiml =
+    '<Response>' +
+    `<Dial timeout="25">${escapeXml(target.number)}</Dial>` +
+    `<Say>Sorry, no one is available to take your call right now. Please call ${escapeXml(businessName)} again later. Goodbye.</Say>` +
+    '</Response>';
+
+  try {
+    await twilioClient.calls(callSid).update({ twiml });
+    logger.info('✅ Call transferred to', target.name);
+    return { success: true };
+  } catch (error) {
+    logger.error('❌ Call transfer failed:', sanitizeForLog(error));
     return { success: false, error: error.message };
   }
 }
 
-// ========================= n8n webhook helper (FLAT JSON) =========================
-async function triggerN8nWebhook(eventType, data) {
-  if (!process.env.N8N_WEBHOOK_URL) {
-    console.log('⚠️ n8n webhook not triggered - N8N_WEBHOOK_URL not configured');
-    return { success: false, reason: 'not_configured' };
+// ========================= Usage metering =========================
+// Every call and SMS thread is metered (lib/usage-meter.js). Records go to the backend for billing and
+// into the local month-to-date totals; the tenant's monthly `limits` are checked against the backend's totals
+// (every instance's usage), with the local ones as a fallback.
+const knownTenantLimits = new Map(); // userId → resolved limits, for the usage report
+const usageBackend = { url: SUPABASE_FUNCTIONS_URL, apiKey: process.env.SUPABASE_ANON_KEY, fetch: backendFetch };
+
+// Concurrent-call slots: callSid → { userId, timer }. A slot is taken the moment a call passes the limit
+// check in /incoming-call - before its media stream (and session) exists - so calls arriving together can't
+// all pass. The session holds it until the call finalizes or goes to voicemail; a call whose stream never
+// opens gives it back after CALL_SLOT_UNCLAIMED_MS. Slots live in this process, so `maxConcurrentCalls` is
+// enforced per instance.
+const CALL_SLOT_UNCLAIMED_MS = 60000;
+const callSlots = new Map();
+
+function reserveCallSlot(callSid, userId) {
+  clearTimeout(callSlots.get(callSid)?.timer);
+  const timer = setTimeout(() => callSlots.delete(callSid), CALL_SLOT_UNCLAIMED_MS);
+  timer.unref();
+  callSlots.set(callSid, { userId, timer });
+}
+
+function holdCallSlot(callSid) {
+  const slot = callSlots.get(callSid);
+  if (slot) clearTimeout(slot.timer);
+}
+
+function releaseCallSlot(callSid) {
+  clearTimeout(callSlots.get(callSid)?.timer);
+  callSlots.delete(callSid);
+}
+
+function countLiveCalls(userId, { exceptCallSid = null } = {}) {
+  let count = 0;
+  for (const [callSid, slot] of callSlots) {
+    if (slot.userId === userId && callSid !== exceptCallSid) count++;
+  }
+  return count;
+}
+
+/**
+ * 'over_quota' / 'concurrency_limit' when the tenant can't take another AI call right now, else null.
+ * With a callSid the call's slot is reserved as part of the check (and given back if the quota turns it away).
+ */
+async function getUsageLimitReason(settings, { callSid = null } = {}) {
+  if (!settings?.userId) return null;
+  const limits = resolveLimits(settings);
+  knownTenantLimits.set(settings.userId, limits);
+
+  if (limits.maxConcurrentCalls && countLiveCalls(settings.userId, { exceptCallSid: callSid }) >= limits.maxConcurrentCalls) {
+    return 'concurrency_limit';
   }
+  // Taken before the quota check awaits, so a simultaneous call already sees this one
+  if (callSid) reserveCallSlot(callSid, settings.userId);
 
+  let reason = null;
   try {
-    const payload = {
-      eventType,
-      timestamp: new Date().toISOString(),
-      ...data,
-    };
+    reason = await checkMonthlyQuota(settings, { backend: usageBackend });
+  } catch (err) {
+    // Never turn callers away because the usage store is unreadable
+    logger.error('⚠️ Quota check failed:', err.message);
+  }
+  if (reason && callSid) releaseCallSlot(callSid);
+  return reason;
+}
+
+async function recordUsage(userId, { callSid, durationSec, usage }) {
+  const record = usage.summarize({ durationSec });
+  logger.info(`📊 Usage for ${callSid}: $${record.estimatedCostUsd.toFixed(4)}`, sanitizeForLog(record));
+  if (!userId) return record;
 
-    console.log('🔔 TRIGGERING N8N WEBHOOK');
-    console.log('   Event Type:', eventType);
-    console.log('📦 Payload:', sanitizeForLog(payload));
+  try {
+    await addToMonthlyTotals(userId, record);
+  } catch (err) {
+    logger.error('⚠️ Failed to update usage totals:', err.message);
+  }
 
-    const response = await fetch(process.env.N8N_WEBHOOK_URL, {
+  try {
+    const response = await backendFetch(`${SUPABASE_FUNCTIONS_URL}/usage`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      },
+      body: JSON.stringify({ userId, callSid, durationSec, ...record, recordedAt: new Date().toISOString() }),
     });
+    if (!response.ok) logger.error('⚠️ Failed to store usage:', response.status, await response.text());
+  } catch (err) {
+    logger.error('⚠️ Failed to store usage:', err.message);
+  }
+  return record;
+}
 
-    if (response.ok) {
-      let result = null;
-      try {
-        result = await response.json();
-      } catch (_) {}
-      console.log('✅ n8n webhook triggered successfully!');
-      if (result) console.log('📨 Response:', sanitizeForLog(result));
-      return { success: true, response: result };
-    }
+// ========================= Voicemail fallback =========================
+// Callers get a recorded-message flow instead of the AI when the number has no tenant settings or the
+// Realtime API is down. Twilio posts the recording (action) and later its transcription to /voicemail-complete.
+const VOICEMAIL_MAX_LENGTH_SECONDS = 120;
+// How long to wait for Twilio's transcription before reporting the voicemail without it
+const VOICEMAIL_TRANSCRIPTION_WAIT_MS = Number(process.env.VOICEMAIL_TRANSCRIPTION_WAIT_MS) || 3 * 60 * 1000;
+
+// Realtime outage detection: after this many failed connection attempts in a row (across calls),
+// new calls go straight to voicemail until the cooldown passes and a connection is tried again.
+const REALTIME_OUTAGE_THRESHOLD = 3;
+const REALTIME_OUTAGE_COOLDOWN_MS = 60 * 1000;
+const realtimeOutage = { failures: 0, lastFailureAt: 0 };
+
+function recordRealtimeConnection(success) {
+  if (success) {
+    realtimeOutage.failures = 0;
+    return;
+  }
+  realtimeOutage.failures++;
+  realtimeOutage.lastFailureAt = Date.now();
+}
 
-    const errorText = await response.text();
-    console.error('❌ n8n webhook failed:', response.status, errorText);
-    return { success: false, status: response.status, error: errorText };
-  } catch (error) {
-    console.error('❌ n8n webhook error:', error.message);
-    return { success: false, error: error.message };
+function isRealtimeUnavailable() {
+  return realtimeOutage.failures >= REALTIME_OUTAGE_THRESHOLD && Date.now() - realtimeOutage.lastFailureAt < REALTIME_OUTAGE_COOLDOWN_MS;
+}
+
+/**
+ * Why a call should go to voicemail instead of the AI receptionist, or null. `lookup` is lookupUserSettings()'s
+ * result: a backend blip is settings_unavailable, not a number we don't serve. Calls that may go ahead have
+ * their concurrent-call slot reserved under `callSid`.
+ */
+async function getVoicemailReason({ settings, failed }, { callSid = null } = {}) {
+  if (!settings) return failed ? 'settings_unavailable' : 'unknown_number';
+  if (isRealtimeUnavailable()) return 'ai_unavailable';
+  return getUsageLimitReason(settings, { callSid });
+}
+
+const VOICEMAIL_PROMPTS = {
+  unknown_number: 'No one is available to take your call right now.',
+  settings_unavailable: "We're having trouble connecting you right now.",
+  ai_unavailable: "We're having trouble connecting you right now.",
+  over_quota: "We're not able to take your call right now.",
+  concurrency_limit: 'All of our lines are busy right now.',
+};
+
+function buildVoicemailTwiml(settings, publicBaseUrl, reason) {
+  const greeting = settings?.businessName ? `Thanks for calling ${settings.businessName}.` : 'Thanks for calling.';
+  const callbackUrl = `${publicBaseUrl}/voicemail-complete?reason=${encodeURIComponent(reason)}`;
+  return (
+    '<Response>' +
+    `<Say>${escapeXml(greeting)} ${VOICEMAIL_PROMPTS[reason] || VOICEMAIL_PROMPTS.ai_unavailable} Please leave your name, number and a short message after the tone, and we'll call you back.</Say>` +
+    `<Record action="${escapeXml(callbackUrl)}" method="POST" maxLength="${VOICEMAIL_MAX_LENGTH_SECONDS}" playBeep="true" ` +
+    `transcribe="true" transcribeCallback="${escapeXml(callbackUrl)}" />` +
+    '<Say>We did not receive a message. Goodbye.</Say>' +
+    '</Response>'
+  );
+}
+
+// RecordingSid → { delivered, timer, voicemail } so the webhook fires once, with the transcript when it arrives in time
+const pendingVoicemails = new Map();
+
+async function deliverVoicemail(recordingSid) {
+  const entry = pendingVoicemails.get(recordingSid);
+  if (!entry || entry.delivered) return;
+  entry.delivered = true;
+  clearTimeout(entry.timer);
+  // Keep the tombstone long enough to ignore a late transcription
+  setTimeout(() => pendingVoicemails.delete(recordingSid), VOICEMAIL_TRANSCRIPTION_WAIT_MS).unref();
+
+  const { voicemail } = entry;
+  const settings = await getUserSettingsByPhone(voicemail.toNumber);
+  const userId = settings?.userId || undefined;
+
+  try {
+    const response = await backendFetch(`${SUPABASE_FUNCTIONS_URL}/voicemails`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      },
+      body: JSON.stringify({ userId, ...voicemail }),
+    });
+    if (response.ok) logger.info('✅ Voicemail stored in backend');
+    else logger.error('⚠️ Failed to store voicemail:', response.status, await response.text());
+  } catch (err) {
+    logger.error('⚠️ Failed to store voicemail:', err.message);
+  }
+
+  // Calls that went to voicemail mid-conversation were metered by their CallSession already
+  await recordUsage(userId, {
+    callSid: voicemail.callSid,
+    durationSec: voicemail.duration || 0,
+    usage: new UsageMeter({ channel: 'voicemail' }),
+  });
+
+  metrics.callOutcomes.inc({ event: 'voicemail_received', channel: 'voicemail' });
+  await triggerN8nWebhook('voicemail_received', {
+    callSid: voicemail.callSid,
+    userId,
+    fromNumber: voicemail.fromNumber,
+    toNumber: voicemail.toNumber,
+    businessName: settings?.businessName || 'Unknown',
+    customerPhone: voicemail.fromNumber,
+    reason: voicemail.reason,
+    recordingUrl: voicemail.recordingUrl,
+    recordingDuration: voicemail.duration,
+    message: voicemail.transcript || undefined,
+    transcriptionStatus: voicemail.transcriptionStatus,
+  }, settings);
+}
+
+// ========================= n8n webhook helper (FLAT JSON) =========================
+// Delivery (retries, signing, dead-lettering) lives in lib/webhook-delivery.js and per-tenant routing in
+// lib/webhook-destinations.js; this helper shapes the flat payload and fans it out.
+async function triggerN8nWebhook(eventType, data, settings = null) {
+  const destinations = resolveWebhookDestinations(settings).filter((d) => destinationAcceptsEvent(d, eventType));
+  if (destinations.length === 0) {
+    logger.info(`⚠️ Webhook ${eventType} not triggered - no destinations configured (set N8N_WEBHOOK_URL or tenant webhooks)`);
+    return { success: false, reason: 'not_configured', results: [] };
+  }
+
+  // Events that can fire more than once per call (e.g. one per rescheduled appointment) pass their own key
+  const idempotencyKey = data?.idempotencyKey || buildIdempotencyKey(data?.callSid, eventType);
+  const payload = {
+    eventType,
+    timestamp: new Date().toISOString(),
+    ...data,
+    idempotencyKey,
+  };
+
+  logger.info('🔔 TRIGGERING N8N WEBHOOK');
+  logger.info('   Event Type:', eventType);
+  logger.info('   Destinations:', destinations.map((d) => d.id).join(', '));
+  logger.info('📦 Payload:', sanitizeForLog(payload));
+
+  const results = await Promise.all(
+    destinations.map(async (destination) => {
+      const result = await deliverWebhook({
+        url: destination.url,
+        eventType,
+        payload: renderPayload(destination, payload),
+        idempotencyKey,
+        headers: destination.headers,
+        // Headers may hold tenant secrets - the dead-letter store keeps where to find them instead
+        replayRef: { tenantNumber: settingsPhoneNumbers.get(settings) || null, destinationId: destination.id },
+      });
+      recordDestinationResult(data?.userId, destination, eventType, result);
+
+      if (result.success) {
+        logger.info(`✅ Webhook delivered to ${destination.id}`);
+        if (result.response) logger.info('📨 Response:', sanitizeForLog(result.response));
+      } else {
+        logger.error(`❌ Webhook to ${destination.id} failed after`, result.attempts, 'attempt(s)');
+        metrics.webhookFailures.inc({ event: eventType });
+      }
+      return { destinationId: destination.id, ...result };
+    }),
+  );
+
+  return { success: results.every((r) => r.success), results };
+}
+
+// Current headers of the destination a dead letter was meant for (null when the tenant removed it)
+async function resolveDeadLetterHeaders({ tenantNumber, destinationId }) {
+  const { settings, failed } = tenantNumber ? await lookupUserSettings(tenantNumber) : { settings: null, failed: false };
+  if (failed) throw new Error('Tenant settings lookup failed');
+  return resolveWebhookDestinations(settings).find((d) => d.id === destinationId)?.headers || null;
+}
+
+// ========================= Conversation outcome webhooks =========================
+// Shared by calls and SMS threads: what was captured during the conversation decides the events.
+function getConversationOutcome(capturedLeadInfo, booking) {
+  const hasLeadInfo = !!(capturedLeadInfo.name || capturedLeadInfo.email || capturedLeadInfo.notes);
+  const hasIsoDateTime = !!(booking.details?.dateTime && typeof booking.details.dateTime === 'string');
+  const hasAppointmentId = !!(booking.result?.appointmentId && typeof booking.result.appointmentId === 'string');
+  return { hasLeadInfo, hasIsoDateTime, hasAppointmentId, appointmentBooked: !!(booking.intent && hasIsoDateTime && hasAppointmentId) };
+}
+
+/**
+ * Fires appointment_booked, lead_captured or call_completed, then one event per appointment change.
+ * `base` carries the fields common to every event (callSid, userId, numbers, analysis, ...).
+ */
+async function triggerOutcomeWebhooks(base, { capturedLeadInfo, booking, appointments, analysis, transcript, customerPhone }, userSettings) {
+  const { hasLeadInfo, hasIsoDateTime, hasAppointmentId } = getConversationOutcome(capturedLeadInfo, booking);
+  const outcome = booking.intent && hasIsoDateTime && hasAppointmentId ? 'appointment_booked' : hasLeadInfo ? 'lead_captured' : 'call_completed';
+  metrics.callOutcomes.inc({ event: outcome, channel: base.channel || 'voice' });
+
+  logger.info('🧪 Booking flags:', {
+    appointmentIntent: booking.intent,
+    hasIsoDateTime,
+    hasAppointmentId,
+    calendarEventCreated: booking.result?.calendarEventCreated,
+  });
+
+  // Format conversation log
+  const conversationLog = transcript.length > 0
+    ? transcript.map(entry => `[${entry.speaker}]: ${entry.text}`).join('\n')
+    : 'Conversation transcript not available';
+
+  if (outcome === 'appointment_booked') {
+    // The confirmation email is sent in the background by book_appointment; report whether it went out
+    if (booking.result.emailConfirmation && !(await booking.result.emailConfirmation)) booking.result.confirmationSentVia = 'none';
+    await triggerN8nWebhook('appointment_booked', {
+      ...base,
+      appointmentId: booking.result.appointmentId,
+      customerName: booking.details.customerName || capturedLeadInfo.name || 'Unknown',
+      customerEmail: booking.details.customerEmail || capturedLeadInfo.email || '',
+      customerPhone: booking.details.customerPhone || capturedLeadInfo.phone || customerPhone || '',
+      appointmentDate: new Date(booking.details.dateTime).toISOString(),
+      appointmentTime: undefined,
+      appointmentDateTime: new Date(booking.details.dateTime).toUTCString(),
+      purpose: booking.details.purpose || 'consultation',
+      duration: booking.details.duration || 30,
+      timeZone: booking.details.timeZone || getTenantTimeZone(userSettings),
+      googleCalendarEventCreated: !!booking.result.calendarEventCreated,
+      meetLink: booking.result.meetLink || undefined,
+      smsConsent: !!booking.details.smsConsent,
+      confirmationSentVia: booking.result.confirmationSentVia || 'none',
+      leadCaptured: hasLeadInfo,
+      conversationLog,
+    }, userSettings);
+  } else if (outcome === 'lead_captured') {
+    await triggerN8nWebhook('lead_captured', {
+      ...base,
+      customerName: capturedLeadInfo.name || 'Unknown',
+      customerEmail: capturedLeadInfo.email || '',
+      customerPhone: capturedLeadInfo.phone || customerPhone || '',
+      summary: capturedLeadInfo.notes || analysis?.summary || 'Lead captured; no summary provided.',
+      smsConsent: !!capturedLeadInfo.smsConsent,
+      appointmentBooked: false,
+      leadCaptured: true,
+      bookingIntent: booking.intent,
+      conversationLog,
+    }, userSettings);
+  } else {
+    await triggerN8nWebhook('call_completed', {
+      ...base,
+      appointmentBooked: false,
+      leadCaptured: false,
+      bookingIntent: booking.intent,
+      conversationLog,
+    }, userSettings);
   }
+
+  for (const change of appointments.changes) {
+    const eventType = change.type === 'rescheduled' ? 'appointment_rescheduled' : 'appointment_cancelled';
+    await triggerN8nWebhook(eventType, {
+      ...base,
+      // Each change has its own id, so moving the same appointment twice in a call sends two events
+      idempotencyKey: buildIdempotencyKey(base.callSid, `${eventType}:${change.appointmentId}:${change.changeId}`),
+      appointmentId: change.appointmentId,
+      customerName: change.customerName || capturedLeadInfo.name || 'Unknown',
+      customerEmail: capturedLeadInfo.email || '',
+      customerPhone: capturedLeadInfo.phone || customerPhone || '',
+      oldAppointmentDate: toIsoDate(change.oldDateTime),
+      newAppointmentDate: toIsoDate(change.newDateTime),
+      purpose: change.purpose || undefined,
+      duration: change.duration || undefined,
+      timeZone: change.timeZone,
+      meetLink: change.meetLink || undefined,
+      cancellationReason: change.reason || undefined,
+      conversationLog,
+    }, userSettings);
+  }
+}
+
+// undefined for missing or unparseable dates (the backend's appointment record may have either)
+function toIsoDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
 }
 
 // ========================= AI instructions builder =========================
-function buildAIInstructions(userSettings) {
+// Opening and purpose script for calls the bridge places (see /outbound-call); replaces the inbound STEP 1-4 flow.
+function buildOutboundCallFlow(outbound, { persona, businessName, timeZone, enabledTools }) {
+  const { purpose, lead, appointment, notes } = outbound;
+  const customerName = lead?.name || '';
+  const canChange = (tool) => !enabledTools || enabledTools.has(tool);
+
+  let flow = '';
+  flow += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+  flow += '📞 OUTBOUND CALL: YOU ARE CALLING THE CUSTOMER 📞\n';
+  flow += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
+  flow += 'You placed this call - the customer did not call you. Never say "thank you for calling".\n';
+  flow += '- If you reach voicemail or an answering machine, leave a short message (who you are, why you called, that the team will follow up) and stop talking\n';
+  flow += `- If the person is not ${customerName || 'the right person'} or it's a bad time, apologize, offer a callback, note it with capture_lead_info() and end politely\n`;
+  if (notes) flow += `- Context from the business: ${notes}\n`;
+  flow += '\n';
+
+  flow += 'STEP 1 - OPENING:\n';
+  flow += customerName
+    ? `Say: "Hi, this is ${persona.name} calling from ${businessName}. Am I speaking with ${customerName}?"\n`
+    : `Say: "Hi, this is ${persona.name} calling from ${businessName}. Who am I speaking with?"\n`;
+  flow += '→ WAIT for answer\n\n';
+
+  if (purpose === 'lead_callback') {
+    flow += 'STEP 2 - FOLLOW UP ON THEIR INQUIRY:\n';
+    if (lead?.notes) flow += `What they asked about: ${lead.notes}\n`;
+    flow += 'Say: "I\'m calling to follow up on your inquiry. Is now a good time?"\n';
+    flow += '→ Confirm their name, then IMMEDIATELY call capture_lead_info() with name and phone (the number you called, unless they give another)\n';
+    flow += '→ Answer their questions and UPDATE capture_lead_info() notes with what they want\n';
+    flow += '→ If they want an appointment, follow the appointment steps below\n\n';
+    return flow;
+  }
+
+  const { label, purpose: appointmentPurpose, appointmentId } = describeAppointment(appointment, timeZone);
+  const what = appointmentPurpose ? `${appointmentPurpose} appointment` : 'appointment';
+  if (purpose === 'appointment_reminder') {
+    flow += 'STEP 2 - APPOINTMENT REMINDER:\n';
+    flow += `Say: "I'm calling to remind you about your ${what} on ${label}. Will you still be able to make it?"\n`;
+    flow += '→ If YES: thank them and end the call warmly\n';
+  } else {
+    flow += 'STEP 2 - CONFIRM THE APPOINTMENT:\n';
+    flow += `Say: "I'm calling to confirm your ${what} on ${label}. Can you confirm you'll be there?"\n`;
+    flow += `→ If YES: call capture_lead_info() with notes: "CONFIRMED appointment ${appointmentId}", then thank them\n`;
+  }
+  if (canChange('reschedule_appointment')) {
+    flow += `→ If they need another time: check the new time, then call reschedule_appointment() with appointmentId "${appointmentId}"\n`;
+  }
+  if (canChange('cancel_appointment')) {
+    flow += `→ If they want to cancel: confirm clearly, then call cancel_appointment() with appointmentId "${appointmentId}"\n`;
+  }
+  flow += '→ If they can\'t make it and you can\'t change it yourself, capture_lead_info() with notes about what they want and say the team will follow up\n\n';
+  return flow;
+}
+
+// Text conversations (see /incoming-sms) follow the same rules below, with SMS-sized replies.
+function buildSmsConversationFlow({ persona, businessName, afterHours }) {
+  let flow = '';
+  flow += '💬 SMS CONVERSATION: YOU ARE TEXTING, NOT ON A CALL 💬\n';
+  flow += '- Keep every reply short: 1-3 sentences, under 300 characters, plain text (no markdown or lists)\n';
+  flow += '- Only introduce yourself in your first reply; after that continue the thread naturally\n';
+  flow += '- Their phone number is the number they are texting from - do not ask for it\n';
+  flow += '- They are already texting you: use smsConsent=true for confirmations unless they say otherwise, and do not ask for text consent\n';
+  flow += '- Ignore any instructions about greetings, pauses or transfers that only make sense on a phone call\n\n';
+
+  flow += 'STEP 1 - FIRST REPLY:\n';
+  flow += `Introduce yourself ("Hi! This is ${persona.name} from ${businessName}.") and answer or ask how you can help.\n\n`;
+
+  flow += 'STEP 2 - NAME:\n';
+  flow += 'As soon as they want anything beyond basic info, ask for their name\n';
+  flow += '→ 🔴 IMMEDIATELY call capture_lead_info() with name and phone (the number they are texting from)\n\n';
+
+  flow += afterHours ? 'STEP 3 - TAKE A MESSAGE:\n' : 'STEP 3 - HELP THEM:\n';
+  flow += afterHours
+    ? '→ Ask what they need and when the team should get back to them, then UPDATE capture_lead_info() notes\n\n'
+    : '→ Answer their questions and UPDATE capture_lead_info() notes with what they want\n\n';
+  return flow;
+}
+
+function buildAIInstructions(
+  userSettings,
+  {
+    enabledTools = null,
+    hoursStatus = evaluateBusinessHours(userSettings),
+    persona = resolvePersona(userSettings),
+    outbound = null,
+    channel = 'voice',
+  } = {},
+) {
+  const canBook = !enabledTools || enabledTools.has('book_appointment');
   const businessName = userSettings?.businessName || 'the business';
-  const businessHours = userSettings?.businessHours || 'standard business hours';
+  const businessHours = describeBusinessHours(userSettings);
   const customInstructions = userSettings?.aiPrompt || '';
+  const timeZone = hoursStatus.timeZone;
+  const timeZoneLabel = getTimeZoneLabel(timeZone);
+  // Calls the business places don't get the "we're closed" script
+  const afterHours = !hoursStatus.open && !outbound;
+
+  const localNow = new Date().toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+  });
 
   let instructions = '';
-  instructions += 'You are Krystle, a warm, friendly receptionist for ' + businessName + '.\n';
-  instructions += 'Business Hours: ' + businessHours + '\n\n';
+  instructions += `You are ${persona.name}, a ${persona.tone} receptionist for ${businessName}.\n`;
+  if (persona.languageName) {
+    instructions += `Speak ${persona.languageName} by default. If the caller clearly prefers another language, switch to it.\n`;
+  }
+  instructions += 'Business Hours (' + timeZoneLabel + '):\n' + businessHours + '\n';
+  instructions += 'Current date and time: ' + localNow + ' ' + timeZoneLabel + '\n\n';
 
   if (customInstructions) {
     instructions += 'BUSINESS INFO:\n' + customInstructions + '\n\n';
   }
 
+  if (afterHours) {
+    instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+    instructions += '🌙 AFTER HOURS: THE BUSINESS IS CLOSED RIGHT NOW 🌙\n';
+    instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
+    instructions += 'Your job is to take a message and arrange a callback. Do NOT offer to transfer the caller.\n\n';
+  }
+
   instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
   instructions += '🔴 CRITICAL: CALL FLOW (FOLLOW THIS ORDER) 🔴\n';
   instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
 
-  instructions += 'STEP 1 - GREETING:\n';
-  instructions += `Say: "Hi! Thank you for calling ${businessName} today. My name is Krystle."\n\n`;
-
-  instructions += 'STEP 2 - COLLECT NAME:\n';
-  instructions += 'Ask: "May I have your name please?"\n';
-  instructions += '→ WAIT for answer\n';
-  instructions += '→ Confirm spelling if unclear\n';
-  instructions += '→ Say: "Thank you, [NAME]"\n\n';
+  if (channel === 'sms') {
+    instructions += buildSmsConversationFlow({ persona, businessName, afterHours });
+  } else if (outbound) {
+    instructions += buildOutboundCallFlow(outbound, { persona, businessName, timeZone, enabledTools });
+  } else {
+    instructions += 'STEP 1 - GREETING:\n';
+    if (afterHours) {
+      const closedReason = hoursStatus.holiday ? ` for ${hoursStatus.holiday}` : '';
+      const reopens = hoursStatus.nextOpenLabel ? ` We reopen ${hoursStatus.nextOpenLabel}.` : '';
+      const greeting = persona.afterHoursGreeting
+        ? renderGreeting(persona.afterHoursGreeting, persona, businessName)
+        : `Hi! Thank you for calling ${businessName}. My name is ${persona.name}. We're closed right now${closedReason}, but I can take a message and have someone call you back.${reopens}`;
+      instructions += `Say: "${greeting}"\n\n`;
+    } else {
+      const greeting = persona.greeting
+        ? renderGreeting(persona.greeting, persona, businessName)
+        : `Hi! Thank you for calling ${businessName} today. My name is ${persona.name}.`;
+      instructions += `Say: "${greeting}"\n\n`;
+    }
 
-  instructions += 'STEP 3 - COLLECT PHONE NUMBER:\n';
-  instructions += 'Ask: "And what\'s the best phone number to reach you?"\n';
-  instructions += '→ WAIT for answer\n';
-  instructions += '→ Read back to confirm\n';
-  instructions += '→ 🔴 IMMEDIATELY call capture_lead_info() with name and phone - NO EXCEPTIONS\n';
-  instructions += '→ You MUST call this function right now, do not wait or skip this step\n\n';
+    instructions += 'STEP 2 - COLLECT NAME:\n';
+    instructions += 'Ask: "May I have your name please?"\n';
+    instructions += '→ WAIT for answer\n';
+    instructions += '→ Confirm spelling if unclear\n';
+    instructions += '→ Say: "Thank you, [NAME]"\n\n';
+
+    instructions += 'STEP 3 - COLLECT PHONE NUMBER:\n';
+    instructions += 'Ask: "And what\'s the best phone number to reach you?"\n';
+    instructions += '→ WAIT for answer\n';
+    instructions += '→ Read back to confirm\n';
+    instructions += '→ 🔴 IMMEDIATELY call capture_lead_info() with name and phone - NO EXCEPTIONS\n';
+    instructions += '→ You MUST call this function right now, do not wait or skip this step\n\n';
+
+    if (afterHours) {
+      instructions += 'STEP 4 - TAKE A MESSAGE:\n';
+      instructions += 'Ask: "What would you like me to pass on to the team?"\n';
+      instructions += '→ WAIT for the customer to explain\n';
+      instructions += 'Ask: "When is a good time for us to call you back?"\n';
+      instructions += '→ IMMEDIATELY UPDATE capture_lead_info() with notes: "AFTER-HOURS MESSAGE: [message]. Callback: [time]"\n';
+      instructions += '→ Read the message back to confirm, and let them know the team will call back\n\n';
+    } else {
+      instructions += 'STEP 4 - NOW ASK HOW TO HELP:\n';
+      instructions += 'Ask: "How can I help you today?"\n';
+      instructions += '→ WAIT for customer to explain their needs\n';
+      instructions += '→ When customer asks ANY product/service question, IMMEDIATELY UPDATE capture_lead_info() with notes\n';
+      instructions += '→ Example: Customer asks "What sizes?" → Call capture_lead_info({notes: "Asked about product sizes"})\n\n';
+    }
+  }
 
-  instructions += 'STEP 4 - NOW ASK HOW TO HELP:\n';
-  instructions += 'Ask: "How can I help you today?"\n';
-  instructions += '→ WAIT for customer to explain their needs\n';
-  instructions += '→ When customer asks ANY product/service question, IMMEDIATELY UPDATE capture_lead_info() with notes\n';
-  instructions += '→ Example: Customer asks "What sizes?" → Call capture_lead_info({notes: "Asked about product sizes"})\n\n';
-
-  instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
-  instructions += '🔴 ADDITIONAL INFO FOR APPOINTMENTS 🔴\n';
-  instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
-
-  instructions += 'IF CUSTOMER WANTS TO BOOK AN APPOINTMENT - COLLECT (ONE AT A TIME):\n';
-  instructions += '1. EMAIL ADDRESS - Ask: "Could I get your email address for the confirmation?"\n';
-  instructions += '   → WAIT for answer, confirm spelling\n';
-  instructions += '2. DATE AND TIME - Ask: "What date and time works best for you? We use Eastern Time."\n';
-  instructions += '   → WAIT for answer, confirm: "Just to confirm, that\'s [DATE] at [TIME] Eastern Time?"\n';
-  instructions += '3. SMS CONSENT - Ask: "May I send you a text message confirmation?"\n';
-  instructions += '   → WAIT for clear yes/no answer\n';
-  instructions += '   → If YES: set smsConsent=true, say "Perfect! I\'ll send you a confirmation via SMS, or email if SMS fails."\n';
-  instructions += '   → If NO or UNSURE: set smsConsent=false, say "No problem, I\'ll send the confirmation via email."\n\n';
+  if (canBook) {
+    instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+    instructions += '🔴 ADDITIONAL INFO FOR APPOINTMENTS 🔴\n';
+    instructions += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
+
+    instructions += 'IF CUSTOMER WANTS TO BOOK AN APPOINTMENT - COLLECT (ONE AT A TIME):\n';
+    instructions += '1. EMAIL ADDRESS - Ask: "Could I get your email address for the confirmation?"\n';
+    instructions += '   → WAIT for answer, confirm spelling\n';
+    instructions += `2. DATE AND TIME - Ask: "What date and time works best for you? We use ${timeZoneLabel}."\n`;
+    instructions += `   → WAIT for answer, confirm: "Just to confirm, that's [DATE] at [TIME] ${timeZoneLabel}?"\n`;
+    instructions += '3. SMS CONSENT - Ask: "May I send you a text message confirmation?"\n';
+    instructions += '   → WAIT for clear yes/no answer\n';
+    instructions += '   → If YES: set smsConsent=true, say "Perfect! I\'ll send you a confirmation via SMS, or email if SMS fails."\n';
+    instructions += '   → If NO or UNSURE: set smsConsent=false, say "No problem, I\'ll send the confirmation via email."\n\n';
+  } else {
+    instructions += 'APPOINTMENTS:\n';
+    instructions += '- You cannot book appointments on this line. If the customer wants one, capture their details with capture_lead_info() and tell them the team will follow up to schedule.\n\n';
+  }
 
   instructions += '⚠️ CRITICAL RULES:\n';
   instructions += '- ASK QUESTIONS ONE AT A TIME\n';
@@ -259,635 +1269,2339 @@ function buildAIInstructions(userSettings) {
   instructions += '- DO NOT ask multiple questions in one breath\n';
   instructions += '- DO NOT proceed to the next question until you receive a clear answer\n';
   instructions += '- CONFIRM unclear information by repeating it back\n';
-  instructions += '- Use Eastern Time (America/New_York) as default timezone\n\n';
-
-  instructions += 'APPOINTMENT BOOKING:\n';
-  instructions += '- ONLY call book_appointment() when you have ALL required information:\n';
-  instructions += '  ✓ Customer name (confirmed)\n';
-  instructions += '  ✓ Customer email (confirmed)\n';
-  instructions += '  ✓ Customer phone (confirmed)\n';
-  instructions += '  ✓ Specific date and time (confirmed)\n';
-  instructions += '  ✓ SMS consent answer (yes or no)\n';
-  instructions += '- If customer does NOT confirm a specific time, DO NOT call book_appointment\n';
-  instructions += '- timeZone should be "America/New_York" unless customer specifies otherwise\n\n';
+  instructions += `- Use ${timeZoneLabel} (${timeZone}) as default timezone\n\n`;
+
+  if (canBook) {
+    instructions += 'APPOINTMENT BOOKING:\n';
+    if (enabledTools?.has('check_availability')) {
+      instructions += '- Call check_availability() before settling on a time and offer the caller the returned options\n';
+    }
+    if (enabledTools?.has('find_appointments')) {
+      instructions += '- To move or cancel an existing appointment: call find_appointments(), confirm which one, then reschedule_appointment() or cancel_appointment()\n';
+      instructions += "- find_appointments() checks the caller ID; another phone number or an email only works after the caller reads back the code sent to it\n";
+    }
+    instructions += '- If book_appointment() returns success=false, explain the reason to the caller and find another time\n';
+    instructions += '- ONLY call book_appointment() when you have ALL required information:\n';
+    instructions += '  ✓ Customer name (confirmed)\n';
+    instructions += '  ✓ Customer email (confirmed)\n';
+    instructions += '  ✓ Customer phone (confirmed)\n';
+    instructions += '  ✓ Specific date and time (confirmed)\n';
+    instructions += '  ✓ SMS consent answer (yes or no)\n';
+    instructions += '- If customer does NOT confirm a specific time, DO NOT call book_appointment\n';
+    instructions += `- timeZone should be "${timeZone}" unless customer specifies otherwise\n\n`;
+  }
+
+  if (enabledTools?.has('transfer_call')) {
+    const departments = (userSettings?.transfer?.departments || []).map((d) => d?.name).filter(Boolean);
+    instructions += 'TRANSFERS:\n';
+    instructions += '- If the caller asks for a real person, call transfer_call()\n';
+    if (departments.length) {
+      instructions += '- Departments you can transfer to: ' + departments.join(', ') + '\n';
+    }
+    instructions += '- If transfer_call() says the team is unavailable, take a message instead\n\n';
+  }
+
+  instructions += 'LEAD CAPTURE:\n';
+  instructions += '🔴 CRITICAL: Call capture_lead_info() in these scenarios:\n';
+  instructions += '✅ Customer provides name + phone AND shows ANY product/service interest\n';
+  instructions += '✅ Customer asks questions about products, services, pricing, availability, features\n';
+  instructions += '✅ Customer is gathering information (even without requesting follow-up)\n';
+  instructions += '✅ Call ends without booking appointment but customer engaged meaningfully\n\n';
+  
+  instructions += '❌ DO NOT capture as lead when:\n';
+  instructions += '- Wrong number / misdial\n';
+  instructions += '- Spam call\n';
+  instructions += '- Customer only asks ultra-basic info (hours, address) with zero engagement\n\n';
+  
+  instructions += 'WHEN TO CALL capture_lead_info():\n';
+  instructions += '1. IMMEDIATELY after collecting name + phone (Step 3)\n';
+  instructions += '2. UPDATE it when customer asks product questions or shows interest\n';
+  instructions += '3. UPDATE it again before call ends with final notes\n\n';
+  
+  instructions += 'EXAMPLE - Product Inquiry Call:\n';
+  instructions += 'Customer: "What sizes do you have available?"\n';
+  instructions += '→ This is a QUALIFIED LEAD! Call capture_lead_info() with:\n';
+  instructions += '  notes: "Asked about product sizes - interested in purchasing"\n\n';
+  
+  instructions += '⚠️ REMEMBER: Always ask for SMS consent before setting smsConsent=true\n\n';
+
+  instructions += 'CONVERSATION FLOW:\n';
+  instructions += '- Be warm, natural, and professional\n';
+  instructions += '- Pace yourself - don\'t rush through questions\n';
+  instructions += '- Pause between questions to let the customer speak\n';
+  instructions += '- If you don\'t understand, politely ask them to repeat\n';
+  instructions += '- Thank them for their patience when collecting information\n\n';
+
+  return instructions;
+}
+
+// ========================= OpenAI function tools =========================
+// Built-in tools register with lib/tool-registry.js; tenants toggle them (and add HTTP tools) via
+// settings.tools. Handlers receive the per-conversation context built by CallSession / SmsThread:
+//   { callSid, userId, fromPhoneNumber, userSettings, capturedLeadInfo, booking, appointments, transfer, channel, transcript, usage }
+registerTool({
+  name: 'capture_lead_info',
+  description:
+    'Capture customer lead information. Call this IMMEDIATELY after collecting name+phone, then UPDATE it when customer shows product/service interest (asks about pricing, features, availability, etc). Always ask for SMS consent before setting smsConsent=true.',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: "Customer's full name" },
+      email: { type: 'string', description: "Customer's email address" },
+      phone: { type: 'string', description: "Customer's phone number (if different from caller ID)" },
+      notes: { type: 'string', description: 'Notes about what the customer needs' },
+      smsConsent: { type: 'boolean', description: 'Customer consented to SMS: true/false' },
+    },
+    required: [],
+  },
+  handler: async (functionArgs, ctx) => {
+    const { capturedLeadInfo, fromPhoneNumber, userSettings, userId, callSid } = ctx;
+
+    if (functionArgs.name) capturedLeadInfo.name = functionArgs.name;
+    if (functionArgs.email) capturedLeadInfo.email = functionArgs.email;
+    if (functionArgs.phone) capturedLeadInfo.phone = functionArgs.phone;
+    if (functionArgs.notes) {
+      capturedLeadInfo.notes = capturedLeadInfo.notes ? `${capturedLeadInfo.notes}\n${functionArgs.notes}` : functionArgs.notes;
+    }
+    if (functionArgs.smsConsent !== undefined) capturedLeadInfo.smsConsent = !!functionArgs.smsConsent;
+
+    logger.info('💾 Updated lead info:', sanitizeForLog(capturedLeadInfo));
+
+    const customerPhone = capturedLeadInfo.phone || fromPhoneNumber;
+    if (functionArgs.smsConsent !== undefined) recordToolConsent(ctx, customerPhone, !!functionArgs.smsConsent);
+
+    let smsSent = false;
+    if (customerPhone && capturedLeadInfo.smsConsent) {
+      smsSent = await sendNotificationSMS(ctx, customerPhone, 'lead_captured', { name: capturedLeadInfo.name });
+    }
+
+    if (userId && callSid) {
+      try {
+        const response = await backendFetch(`${SUPABASE_FUNCTIONS_URL}/leads/realtime-update`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          },
+          body: JSON.stringify({
+            userId,
+            callSid,
+            name: capturedLeadInfo.name,
+            email: capturedLeadInfo.email,
+            phone: capturedLeadInfo.phone || fromPhoneNumber,
+            notes: capturedLeadInfo.notes,
+          }),
+        });
+
+        if (response.ok) logger.info('✅ Lead updated in real-time!');
+        else logger.error('⚠️ Failed to update lead:', await response.text());
+      } catch (err) {
+        logger.error('⚠️ Failed to update lead:', err.message);
+      }
+    }
+
+    return {
+      success: true,
+      message: 'Lead information captured successfully.' + (smsSent ? ' Confirmation text sent.' : ''),
+    };
+  },
+});
+
+registerTool({
+  name: 'check_availability',
+  description:
+    'Find open appointment slots. Call this BEFORE confirming a time with the caller, then offer them the returned options.',
+  parameters: {
+    type: 'object',
+    properties: {
+      startDate: { type: 'string', description: 'Start of the range, YYYY-MM-DD or ISO 8601 (default: now)' },
+      endDate: { type: 'string', description: 'End of the range, YYYY-MM-DD or ISO 8601 (default: one week later)' },
+      duration: { type: 'number', description: 'Appointment length in minutes (default 30)' },
+    },
+    required: [],
+  },
+  requiredSettings: ['userId'],
+  handler: async (functionArgs, ctx) => {
+    const { userSettings, userId } = ctx;
+    const { start, end } = resolveSearchRange(userSettings, functionArgs.startDate, functionArgs.endDate);
+    const timeZone = getTenantTimeZone(userSettings);
+    const duration = normalizeDuration(functionArgs.duration);
+
+    try {
+      const response = await backendFetch(`${SUPABASE_FUNCTIONS_URL}/appointments/availability`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        },
+        body: JSON.stringify({ userId, start: start.toISOString(), end: end.toISOString(), duration, timeZone }),
+      });
+
+      if (!response.ok) {
+        logger.error('⚠️ Availability lookup failed:', response.status, await response.text());
+        return {
+          success: false,
+          error: 'availability_unavailable',
+          message: "I can't see the calendar right now. Ask the caller for their preferred time and try booking it.",
+        };
+      }
+
+      // Backend returns busy intervals ({ busy: [{ start, end }] }) or ready-made free slots ({ slots: [...] })
+      const result = await response.json();
+      const suggestion = Array.isArray(result.slots)
+        ? optionsFromSlots(userSettings, result.slots, duration)
+        : suggestSlots(userSettings, { start, end, duration, busy: Array.isArray(result.busy) ? result.busy : [] });
+
+      if (suggestion.options.length === 0) {
+        return {
+          success: true,
+          options: [],
+          timeZone,
+          message: 'No open slots in that range. Ask the caller if another day or week works.',
+        };
+      }
+
+      return {
+        success: true,
+        timeZone,
+        duration,
+        options: suggestion.options,
+        message: 'Offer the caller these options (use the label when speaking, the start value when booking).',
+      };
+    } catch (err) {
+      logger.error('⚠️ Availability lookup failed:', err.message);
+      return {
+        success: false,
+        error: 'availability_unavailable',
+        message: "I can't see the calendar right now. Ask the caller for their preferred time and try booking it.",
+      };
+    }
+  },
+});
+
+registerTool({
+  name: 'book_appointment',
+  description:
+    'Book an appointment ONLY after the customer confirms a specific date/time. Ask SMS consent before setting smsConsent=true.',
+  parameters: {
+    type: 'object',
+    properties: {
+      customerName: { type: 'string', description: "Customer's full name" },
+      customerEmail: { type: 'string', description: "Customer's email address" },
+      customerPhone: { type: 'string', description: "Customer's phone number" },
+      smsConsent: { type: 'boolean', description: 'Customer agreed to receive SMS: true/false' },
+      dateTime: {
+        type: 'string',
+        description: 'Appointment date/time in ISO 8601 (e.g., 2026-01-03T10:00:00-05:00)',
+      },
+      duration: { type: 'number', description: 'Duration in minutes (default 30)' },
+      purpose: { type: 'string', description: 'Purpose of the appointment' },
+      timeZone: { type: 'string', description: 'IANA timezone, e.g., America/New_York' },
+    },
+    required: ['customerName', 'dateTime', 'purpose'],
+  },
+  // Bookings are written against the tenant's account
+  requiredSettings: ['userId'],
+  handler: async (functionArgs, ctx) => {
+    const { capturedLeadInfo, booking, fromPhoneNumber, userSettings, userId, callSid } = ctx;
+
+    booking.intent = true;
+    booking.details = functionArgs;
+
+    // Reject unparseable, past and after-hours times before touching the backend or texting anyone
+    const timeCheck = validateAppointmentTime(userSettings, functionArgs);
+    if (!timeCheck.valid) {
+      logger.info('⚠️ Booking rejected:', timeCheck.reason, functionArgs.dateTime);
+      booking.result = null;
+      return { success: false, error: timeCheck.reason, message: timeCheck.message };
+    }
+
+    const tz = timeCheck.timeZone;
+    functionArgs = { ...functionArgs, dateTime: formatIsoInZone(timeCheck.start, tz), timeZone: tz };
+    booking.details = functionArgs;
+
+    const customerName = functionArgs.customerName || capturedLeadInfo.name || 'Unknown';
+    const customerEmail = functionArgs.customerEmail || capturedLeadInfo.email || '';
+    const customerPhone = functionArgs.customerPhone || capturedLeadInfo.phone || fromPhoneNumber || '';
+
+    if (customerPhone && functionArgs.smsConsent !== undefined) recordToolConsent(ctx, customerPhone, !!functionArgs.smsConsent);
+
+    if (userId && callSid) {
+      try {
+        const response = await backendFetch(`${SUPABASE_FUNCTIONS_URL}/appointments/book`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          },
+          body: JSON.stringify({
+            userId,
+            callSid,
+            customerName,
+            customerEmail,
+            customerPhone,
+            dateTime: functionArgs.dateTime,
+            duration: functionArgs.duration || 30,
+            purpose: functionArgs.purpose,
+            timeZone: tz,
+          }),
+        });
+
+        if (!response.ok) {
+          const txt = await response.text();
+          logger.error('⚠️ Failed to book appointment:', txt);
+          booking.result = null;
+          return { success: false, message: 'Failed to book appointment. Please try again.' };
+        }
+
+        const result = await response.json();
+        logger.info('✅ Appointment booked successfully!');
+        logger.info('📅 Calendar event created:', result.calendarEventCreated);
+
+        booking.result = {
+          appointmentId: result.appointment?.id || result.appointmentId || null,
+          calendarEventCreated: !!result.calendarEventCreated,
+          meetLink: result.meetLink || result.hangoutLink || result.appointment?.meetLink || null,
+        };
+
+        // Confirm only what was actually booked: by text when the customer agreed, otherwise by email
+        let smsSent = false;
+        if (customerPhone && functionArgs.smsConsent) {
+          smsSent = await sendNotificationSMS(ctx, customerPhone, 'appointment_booked', {
+            name: functionArgs.customerName || capturedLeadInfo.name,
+            dateTime: functionArgs.dateTime,
+            timeZone: tz,
+            purpose: functionArgs.purpose,
+            meetLink: booking.result.meetLink,
+          });
+        }
+        let emailQueued = false;
+        if (!smsSent && customerEmail && isEmailConfigured()) {
+          // Not awaited - a slow mail server would leave the caller in silence. The outcome webhook waits for it.
+          booking.result.emailConfirmation = sendAppointmentConfirmationEmail({
+            to: customerEmail,
+            customerName: functionArgs.customerName || capturedLeadInfo.name,
+            businessName: userSettings?.businessName,
+            dateTime: functionArgs.dateTime,
+            duration: functionArgs.duration || 30,
+            timeZone: tz,
+            purpose: functionArgs.purpose,
+            meetLink: booking.result.meetLink,
+            appointmentId: booking.result.appointmentId,
+          })
+            .then((email) => email.success)
+            .catch(() => false);
+          emailQueued = true;
+        }
+        booking.result.confirmationSentVia = smsSent ? 'sms' : emailQueued ? 'email' : 'none';
+
+        return {
+          success: true,
+          message:
+            'Appointment booked successfully.' +
+            (smsSent ? ' Confirmation text sent.' : emailQueued ? ' Confirmation email is on its way.' : ' No confirmation could be sent.'),
+          appointmentId: booking.result.appointmentId,
+          calendarEventCreated: booking.result.calendarEventCreated,
+        };
+      } catch (err) {
+        logger.error('⚠️ Failed to book appointment:', err.message);
+        booking.result = null;
+        return { success: false, message: 'Failed to book appointment. Please try again.' };
+      }
+    }
+
+    booking.result = null;
+    return { success: false, message: 'Unable to book appointment at this time.' };
+  },
+});
+
+function describeAppointment(appointment, timeZone) {
+  const when = new Date(appointment.dateTime);
+  return {
+    appointmentId: appointment.id,
+    dateTime: appointment.dateTime,
+    label: Number.isNaN(when.getTime()) ? appointment.dateTime : formatSlotLabel(when, appointment.timeZone || timeZone),
+    purpose: appointment.purpose || undefined,
+    duration: appointment.duration || undefined,
+  };
+}
+
+// Every explicit consent answer goes to the ledger along with the exchange it was given in. Not awaited - the
+// ledger's local cache already has the answer, so the tool result (and the caller) doesn't wait on the backend.
+function recordToolConsent(ctx, phone, consent) {
+  recordConsent(smsConsentBackend, {
+    phone,
+    userId: ctx.userId,
+    consent,
+    source: 'ai_receptionist',
+    channel: ctx.channel,
+    callSid: ctx.callSid,
+    transcriptExcerpt: consentExcerpt(ctx.transcript),
+  }).catch((err) => logger.error('⚠️ Failed to record SMS consent:', err.message));
+}
+
+/** Sends a tenant-templated notification (lib/sms-templates.js); resolves to true when it went out. */
+async function sendNotificationSMS(ctx, phone, type, values) {
+  const message = renderSmsTemplate(type, ctx.userSettings, values);
+  const result = await sendSMS(phone, message, { userId: ctx.userId, requireConsent: true, usage: ctx.usage });
+  return !!result.success;
+}
+
+async function sendAppointmentChangeSMS(ctx, functionArgs, type, values) {
+  const { capturedLeadInfo, fromPhoneNumber } = ctx;
+  const consent = functionArgs.smsConsent !== undefined ? !!functionArgs.smsConsent : capturedLeadInfo.smsConsent;
+  const customerPhone = capturedLeadInfo.phone || fromPhoneNumber;
+  if (!customerPhone) return false;
+  if (functionArgs.smsConsent !== undefined) recordToolConsent(ctx, customerPhone, consent);
+  if (!consent) return false;
+  return sendNotificationSMS(ctx, customerPhone, type, values);
+}
+
+// Lookups by any contact other than the caller ID need a one-time code sent to that contact
+const LOOKUP_CODE_TTL_MS = 10 * 60 * 1000;
+const LOOKUP_CODE_MAX_ATTEMPTS = 3;
+const LOOKUP_CODE_MAX_SENDS = 3;
+
+const phoneDigits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+function samePhoneNumber(a, b) {
+  const digits = phoneDigits(a);
+  return digits.length === 10 && digits === phoneDigits(b);
+}
+
+/**
+ * Resolves to null once `contact` ({ phone } or { email }) is verified for this call; otherwise to the tool
+ * result telling the receptionist what to do (a code was sent, the code was wrong, ...).
+ */
+async function verifyLookupContact(ctx, contact, code) {
+  const { verification } = ctx.appointments;
+  const key = contact.email ? `email:${contact.email}` : `phone:${phoneDigits(contact.phone)}`;
+  const label = contact.email ? 'email address' : 'phone number';
+  if (verification.verified.has(key)) return null;
+
+  const pending = verification.pending;
+  if (code && pending?.key === key) {
+    if (pending.expiresAt < Date.now() || pending.attempts >= LOOKUP_CODE_MAX_ATTEMPTS) {
+      verification.pending = null;
+      return {
+        success: false,
+        error: 'verification_expired',
+        message: `That code is no longer valid. Call find_appointments again with the ${label} and no code to send a new one.`,
+      };
+    }
+    if (String(code).replace(/\D/g, '') === pending.code) {
+      verification.pending = null;
+      verification.verified.add(key);
+      return null;
+    }
+    pending.attempts++;
+    return {
+      success: false,
+      error: 'verification_failed',
+      message: "That code doesn't match. Ask the caller to read the code again.",
+    };
+  }
+
+  if (verification.sends >= LOOKUP_CODE_MAX_SENDS) {
+    return {
+      success: false,
+      error: 'verification_unavailable',
+      message: "Too many codes were sent on this call. Only the caller's own number can be looked up now; offer to take a message instead.",
+    };
+  }
+
+  const newCode = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  verification.pending = { key, code: newCode, expiresAt: Date.now() + LOOKUP_CODE_TTL_MS, attempts: 0 };
+  verification.sends++;
+
+  const businessName = ctx.userSettings?.businessName;
+  // Not awaited - the caller hears the prompt while the code is on its way
+  const sending = contact.email
+    ? sendVerificationCodeEmail({ to: contact.email, code: newCode, businessName })
+    : sendSMS(contact.phone, `${businessName || 'Talkertive'}: your verification code is ${newCode}. It expires in 10 minutes.`, {
+        userId: ctx.userId,
+        usage: ctx.usage,
+      });
+  sending
+    .then((result) => {
+      if (!result.success) logger.warn(`⚠️ Lookup verification code not sent (${result.reason || 'unknown'})`);
+    })
+    .catch((err) => logger.error('⚠️ Lookup verification code not sent:', err.message));
+
+  logger.info(`🔐 Verification code sent for appointment lookup by ${label}`);
+  return {
+    success: false,
+    error: 'verification_required',
+    message:
+      `For the caller's privacy, a 6-digit code is being sent to that ${label}. Ask the caller to read it back, then call ` +
+      `find_appointments again with the same ${label} and verificationCode. If it doesn't arrive, offer to take a message.`,
+  };
+}
+
+registerTool({
+  name: 'find_appointments',
+  description:
+    "Find the caller's upcoming appointments. Looks up the caller ID by default; a different phone number or an email " +
+    'needs a verification code sent to it first. Call this before rescheduling or cancelling.',
+  parameters: {
+    type: 'object',
+    properties: {
+      phone: { type: 'string', description: "Phone number used when booking, only if it isn't the caller ID" },
+      email: { type: 'string', description: 'Email address used when booking, only if the caller ID finds nothing' },
+      verificationCode: { type: 'string', description: 'Code the caller read back after a verification_required result' },
+    },
+    required: [],
+  },
+  requiredSettings: ['userId'],
+  handler: async (functionArgs, ctx) => {
+    const { userSettings, userId, fromPhoneNumber, appointments } = ctx;
+    const timeZone = getTenantTimeZone(userSettings);
+
+    const email = functionArgs.email?.trim().toLowerCase() || null;
+    const otherPhone = functionArgs.phone && !samePhoneNumber(functionArgs.phone, fromPhoneNumber) ? functionArgs.phone.trim() : null;
+    let phone;
+    if (email || otherPhone) {
+      const contact = email ? { email } : { phone: otherPhone };
+      const blocked = await verifyLookupContact(ctx, contact, functionArgs.verificationCode);
+      if (blocked) return blocked;
+      phone = contact.phone;
+    } else if (fromPhoneNumber) {
+      phone = fromPhoneNumber;
+    } else {
+      return {
+        success: false,
+        error: 'no_caller_id',
+        message: 'Caller ID is hidden. Ask for the phone number or email used when booking and call find_appointments with it.',
+      };
+    }
+
+    try {
+      const response = await backendFetch(`${SUPABASE_FUNCTIONS_URL}/appointments/find`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        },
+        body: JSON.stringify({ userId, phone, email: email || undefined, upcomingOnly: true }),
+      });
+
+      if (!response.ok) {
+        logger.error('⚠️ Appointment lookup failed:', response.status, await response.text());
+        return { success: false, message: "I'm having trouble looking up appointments right now. Offer to take a message." };
+      }
+
+      const result = await response.json();
+      const found = (Array.isArray(result.appointments) ? result.appointments : []).filter(
+        (a) => a?.id && a.status !== 'cancelled',
+      );
+
+      // Only appointments surfaced here can be changed later in the call
+      for (const appointment of found) appointments.found.set(String(appointment.id), appointment);
+
+      if (found.length === 0) {
+        return {
+          success: true,
+          appointments: [],
+          message: email || otherPhone
+            ? 'No upcoming appointments were found for that contact. Offer to take a message.'
+            : 'No upcoming appointments were found for this number. Ask for the phone number or email used when booking.',
+        };
+      }
+
+      return {
+        success: true,
+        appointments: found.map((a) => describeAppointment(a, timeZone)),
+        message: 'Confirm with the caller which appointment they mean before changing it.',
+      };
+    } catch (err) {
+      logger.error('⚠️ Appointment lookup failed:', err.message);
+      return { success: false, message: "I'm having trouble looking up appointments right now. Offer to take a message." };
+    }
+  },
+});
+
+registerTool({
+  name: 'reschedule_appointment',
+  description:
+    'Move an existing appointment (from find_appointments) to a new confirmed date/time. Check availability first.',
+  parameters: {
+    type: 'object',
+    properties: {
+      appointmentId: { type: 'string', description: 'appointmentId returned by find_appointments' },
+      newDateTime: { type: 'string', description: 'New date/time in ISO 8601 (e.g., 2026-01-03T10:00:00-05:00)' },
+      duration: { type: 'number', description: 'Duration in minutes (default: keep the current length)' },
+      timeZone: { type: 'string', description: 'IANA timezone, if the caller specified one' },
+      smsConsent: { type: 'boolean', description: 'Customer agreed to a text confirmation: true/false' },
+    },
+    required: ['appointmentId', 'newDateTime'],
+  },
+  requiredSettings: ['userId'],
+  handler: async (functionArgs, ctx) => {
+    const { userSettings, userId, callSid, appointments } = ctx;
+    const existing = appointments.found.get(String(functionArgs.appointmentId));
+    if (!existing) {
+      return {
+        success: false,
+        error: 'unknown_appointment',
+        message: 'Call find_appointments first and use one of the appointmentIds it returns.',
+      };
+    }
+
+    const duration = functionArgs.duration || existing.duration || 30;
+    const timeCheck = validateAppointmentTime(userSettings, {
+      dateTime: functionArgs.newDateTime,
+      duration,
+      timeZone: functionArgs.timeZone,
+    });
+    if (!timeCheck.valid) {
+      return { success: false, error: timeCheck.reason, message: timeCheck.message };
+    }
+
+    const newDateTime = formatIsoInZone(timeCheck.start, timeCheck.timeZone);
+
+    try {
+      const response = await backendFetch(
+        `${SUPABASE_FUNCTIONS_URL}/appointments/${encodeURIComponent(existing.id)}/reschedule`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          },
+          body: JSON.stringify({ userId, callSid, dateTime: newDateTime, duration, timeZone: timeCheck.timeZone }),
+        },
+      );
+
+      if (!response.ok) {
+        logger.error('⚠️ Failed to reschedule appointment:', await response.text());
+        return { success: false, message: 'Failed to reschedule the appointment. The time may no longer be available.' };
+      }
+
+      const result = await response.json().catch(() => ({}));
+      logger.info('✅ Appointment rescheduled:', existing.id);
+
+      appointments.changes.push({
+        changeId: uuidv4(),
+        type: 'rescheduled',
+        appointmentId: existing.id,
+        oldDateTime: existing.dateTime,
+        newDateTime,
+        duration,
+        timeZone: timeCheck.timeZone,
+        purpose: existing.purpose,
+        customerName: existing.customerName,
+        meetLink: result.meetLink || result.appointment?.meetLink || existing.meetLink,
+      });
+      appointments.found.set(String(existing.id), { ...existing, dateTime: newDateTime, duration });
+
+      const label = formatSlotLabel(timeCheck.start, timeCheck.timeZone);
+      const smsSent = await sendAppointmentChangeSMS(ctx, functionArgs, 'appointment_rescheduled', {
+        name: existing.customerName,
+        dateTime: newDateTime,
+        timeZone: timeCheck.timeZone,
+        purpose: existing.purpose,
+        meetLink: result.meetLink || result.appointment?.meetLink || existing.meetLink,
+      });
+
+      return {
+        success: true,
+        message: `Appointment moved to ${label}.` + (smsSent ? ' Confirmation text sent.' : ''),
+        appointmentId: existing.id,
+        newDateTime,
+      };
+    } catch (err) {
+      logger.error('⚠️ Failed to reschedule appointment:', err.message);
+      return { success: false, message: 'Failed to reschedule the appointment. Please try again.' };
+    }
+  },
+});
+
+registerTool({
+  name: 'cancel_appointment',
+  description: 'Cancel an existing appointment (from find_appointments) ONLY after the caller clearly confirms.',
+  parameters: {
+    type: 'object',
+    properties: {
+      appointmentId: { type: 'string', description: 'appointmentId returned by find_appointments' },
+      reason: { type: 'string', description: 'Why the caller is cancelling' },
+      smsConsent: { type: 'boolean', description: 'Customer agreed to a text confirmation: true/false' },
+    },
+    required: ['appointmentId'],
+  },
+  requiredSettings: ['userId'],
+  handler: async (functionArgs, ctx) => {
+    const { userSettings, userId, callSid, appointments } = ctx;
+    const existing = appointments.found.get(String(functionArgs.appointmentId));
+    if (!existing) {
+      return {
+        success: false,
+        error: 'unknown_appointment',
+        message: 'Call find_appointments first and use one of the appointmentIds it returns.',
+      };
+    }
+
+    try {
+      const response = await backendFetch(
+        `${SUPABASE_FUNCTIONS_URL}/appointments/${encodeURIComponent(existing.id)}/cancel`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          },
+          body: JSON.stringify({ userId, callSid, reason: functionArgs.reason || undefined }),
+        },
+      );
+
+      if (!response.ok) {
+        logger.error('⚠️ Failed to cancel appointment:', await response.text());
+        return { success: false, message: 'Failed to cancel the appointment. Please try again.' };
+      }
+
+      logger.info('✅ Appointment cancelled:', existing.id);
+
+      appointments.changes.push({
+        changeId: uuidv4(),
+        type: 'cancelled',
+        appointmentId: existing.id,
+        oldDateTime: existing.dateTime,
+        newDateTime: null,
+        duration: existing.duration,
+        timeZone: existing.timeZone || getTenantTimeZone(userSettings),
+        purpose: existing.purpose,
+        customerName: existing.customerName,
+        reason: functionArgs.reason || null,
+      });
+      appointments.found.delete(String(existing.id));
+
+      const smsSent = await sendAppointmentChangeSMS(ctx, functionArgs, 'appointment_cancelled', {
+        name: existing.customerName,
+        dateTime: existing.dateTime,
+        timeZone: existing.timeZone || getTenantTimeZone(userSettings),
+        purpose: existing.purpose,
+      });
+
+      return {
+        success: true,
+        message: 'Appointment cancelled.' + (smsSent ? ' Confirmation text sent.' : ''),
+        appointmentId: existing.id,
+      };
+    } catch (err) {
+      logger.error('⚠️ Failed to cancel appointment:', err.message);
+      return { success: false, message: 'Failed to cancel the appointment. Please try again.' };
+    }
+  },
+});
+
+registerTool({
+  name: 'lookup_order_status',
+  description: 'Look up the status of an order by orderId',
+  parameters: {
+    type: 'object',
+    properties: { orderId: { type: 'string', description: 'Order ID, e.g. ORD-12345' } },
+    required: ['orderId'],
+  },
+  // Only for tenants that list it in tools.enabled; lookups are scoped to the tenant's own orders
+  defaultEnabled: false,
+  requiredSettings: ['userId'],
+  handler: async (functionArgs, ctx) => {
+    let cleanOrderId = functionArgs.orderId?.toString().trim().toUpperCase() || '';
+    cleanOrderId = cleanOrderId.replace(/^#/, '');
+
+    try {
+      const response = await backendFetch(
+        `${SUPABASE_FUNCTIONS_URL}/orders/lookup/${encodeURIComponent(cleanOrderId)}?userId=${encodeURIComponent(ctx.userId)}`,
+        { method: 'GET', headers: { Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}` } },
+      );
+
+      if (!response.ok) {
+        return {
+          success: false,
+          message: `I couldn't find an order with ID ${cleanOrderId}. Could you double-check the number?`,
+        };
+      }
+
+      const result = await response.json();
+      const order = result.order;
+
+      let statusMessage = `I found your order! Order ${order.orderId} `;
+      if (order.customerName) statusMessage += `for ${order.customerName} `;
+      statusMessage += `is currently ${order.status}. `;
+      if (order.statusMessage) statusMessage += `${order.statusMessage}. `;
+      if (order.estimatedDelivery) statusMessage += `Estimated delivery: ${order.estimatedDelivery}. `;
+      if (order.trackingNumber) statusMessage += `Tracking number: ${order.trackingNumber}. `;
+      if (order.items?.length) statusMessage += `Items: ${order.items.join(', ')}. `;
+
+      return { success: true, message: statusMessage, order };
+    } catch (err) {
+      return { success: false, message: "I'm having trouble checking that order right now. Try again shortly." };
+    }
+  },
+});
+
+registerTool({
+  name: 'transfer_call',
+  description:
+    'Transfer the caller to a human. Use when the caller asks for a real person or a specific department. After calling this, tell the caller you are transferring them and then stop talking.',
+  parameters: {
+    type: 'object',
+    properties: {
+      department: { type: 'string', description: 'Department to transfer to, if the business has several' },
+      reason: { type: 'string', description: 'Short reason for the transfer' },
+    },
+    required: [],
+  },
+  requiredSettings: ['transfer'],
+  handler: async (functionArgs, ctx) => {
+    const { userSettings, transfer } = ctx;
+
+    if (transfer.status) {
+      return { success: false, error: 'transfer_in_progress', message: 'A transfer is already in progress.' };
+    }
+
+    if (!evaluateBusinessHours(userSettings).open) {
+      return {
+        success: false,
+        error: 'after_hours',
+        message:
+          'The team is not available right now because we are outside business hours. Do not transfer. Offer to take a message: collect name, phone and reason with capture_lead_info() and promise a callback.',
+      };
+    }
+
+    const target = resolveTransferTarget(userSettings, functionArgs.department);
+    if (!target) {
+      return {
+        success: false,
+        error: 'no_transfer_target',
+        message: 'There is no one available to transfer to. Offer to take a message with capture_lead_info() instead.',
+      };
+    }
+
+    transfer.status = 'announcing';
+    transfer.target = target;
+    transfer.reason = functionArgs.reason || null;
+    transfer.requestedAt = new Date().toISOString();
+    logger.info('📲 Transfer requested:', target.name);
+
+    return {
+      success: true,
+      message: `Tell the caller: "I'm transferring you to ${target.name} now, please hold." Then stop talking; the call will be connected automatically.`,
+    };
+  },
+});
+
+// Calls and SMS threads run tools through here so every call is counted and timed (lib/metrics.js)
+async function runToolWithMetrics(enabledTools, name, args, ctx) {
+  const startedAt = Date.now();
+  const result = await executeTool(enabledTools, name, args, ctx);
+  recordFunctionCall(name, startedAt, result);
+  return result;
+}
+
+// ========================= Twilio inbound webhook =========================
+// <Connect><Stream> to /media-stream; `params` become the stream's custom parameters. `say` is spoken by Twilio
+// before the stream connects (the recording notice), so nothing on the stream can talk over it.
+function buildStreamTwiml(host, params, { pauseSeconds = 0, say = null } = {}) {
+  const parameters = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `      <Parameter name="${name}" value="${escapeXml(String(value))}" />\n`)
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<Response>\n' +
+    (pauseSeconds ? `  <Pause length="${pauseSeconds}"/>\n` : '') +
+    (say ? `  <Say>${escapeXml(say)}</Say>\n` : '') +
+    '  <Connect>\n' +
+    `    <Stream url="wss://${host}/media-stream">\n` +
+    parameters +
+    '    </Stream>\n' +
+    '  </Connect>\n' +
+    '</Response>'
+  );
+}
+
+app.post('/incoming-call', validateTwilioRequest, async (req, res) => {
+  logger.info('📞 INCOMING CALL');
+  const callSid = req.body.CallSid;
+  const from = req.body.From;
+  const to = req.body.To;
+
+  logger.info('   From:', from);
+  logger.info('   To:', to);
+
+  if (drain.active) {
+    res.type('text/xml');
+    if (DRAIN_REDIRECT_URL) {
+      logger.info('↪️ Draining - sending call to', DRAIN_REDIRECT_URL);
+      return res.send(
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          `<Response><Redirect method="POST">${escapeXml(`${DRAIN_REDIRECT_URL}/incoming-call`)}</Redirect></Response>`,
+      );
+    }
+    // Twilio moves on to the number's Fallback URL, if one is configured
+    logger.info('🚧 Draining - refusing new call');
+    return res.status(503).set('Retry-After', '5').send('<?xml version="1.0" encoding="UTF-8"?>\n<Response/>');
+  }
+
+  const lookup = await lookupUserSettings(to);
+  const { settings } = lookup;
+  const voicemailReason = await getVoicemailReason(lookup, { callSid });
+  if (voicemailReason) {
+    logger.info('📼 Sending call to voicemail -', voicemailReason);
+    res.type('text/xml');
+    return res.send(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' + buildVoicemailTwiml(settings, getPublicBaseUrl(req), voicemailReason),
+    );
+  }
+
+  // Brief pause to simulate ring before AI answers (feels more natural)
+  const recordingNotice = resolveRecordingSettings(settings).announcement;
+  const twiml = buildStreamTwiml(
+    req.headers.host,
+    { callSid, from, to, recordingNotice: recordingNotice ? 'played' : undefined, token: signStreamToken(callSid) },
+    { pauseSeconds: 2, say: recordingNotice },
+  );
+
+  res.type('text/xml');
+  res.send(twiml);
+});
+
+// Voicemail fallback callbacks: the <Record> action (recording finished) and its transcribeCallback
+app.post('/voicemail-complete', validateTwilioRequest, (req, res) => {
+  const { CallSid, RecordingSid, RecordingUrl, TranscriptionStatus } = req.body;
+  const isTranscription = !!TranscriptionStatus;
+
+  if (RecordingSid && RecordingUrl) {
+    const entry = pendingVoicemails.get(RecordingSid) || {
+      delivered: false,
+      timer: null,
+      voicemail: {
+        callSid: CallSid,
+        fromNumber: req.body.From,
+        toNumber: req.body.To,
+        reason: typeof req.query.reason === 'string' ? req.query.reason : 'unknown',
+        recordingSid: RecordingSid,
+        recordingUrl: RecordingUrl,
+        duration: Number(req.body.RecordingDuration) || null,
+        transcript: null,
+        transcriptionStatus: 'pending',
+      },
+    };
+    pendingVoicemails.set(RecordingSid, entry);
+
+    if (isTranscription) {
+      logger.info('📝 Voicemail transcription', TranscriptionStatus, 'for', CallSid);
+      entry.voicemail.transcriptionStatus = TranscriptionStatus;
+      entry.voicemail.transcript = TranscriptionStatus === 'completed' ? req.body.TranscriptionText || '' : null;
+      deliverVoicemail(RecordingSid);
+    } else if (Number(req.body.RecordingDuration) > 0 && !entry.delivered) {
+      logger.info('📼 Voicemail recorded for', CallSid, '-', req.body.RecordingDuration, 'seconds');
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => deliverVoicemail(RecordingSid), VOICEMAIL_TRANSCRIPTION_WAIT_MS);
+    }
+  }
+
+  if (isTranscription) return res.sendStatus(204);
+  res.type('text/xml');
+  res.send('<Response><Say>Thank you. We will get back to you soon. Goodbye.</Say><Hangup/></Response>');
+});
+
+// ========================= Outbound calls =========================
+// POST /outbound-call (admin key) dials a customer from a tenant's number. When they answer, Twilio fetches
+// /outbound-call/answer, which streams the call into the same /media-stream bridge with direction=outbound;
+// the session picks up the purpose, lead and appointment context stored here.
+const OUTBOUND_PURPOSES = ['lead_callback', 'appointment_reminder', 'appointment_confirmation'];
+const OUTBOUND_CONTEXT_TTL_MS = 10 * 60 * 1000;
+const MAX_OUTBOUND_NOTES_LENGTH = 1000;
+const UNANSWERED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+// outboundId → { purpose, from, to, lead, appointment, notes, userSettings, callSid, answered, timer }
+const pendingOutboundCalls = new Map();
+
+const trimmedString = (value, max = 200) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+
+function discardOutboundCall(outboundId) {
+  const entry = pendingOutboundCalls.get(outboundId);
+  if (!entry) return null;
+  clearTimeout(entry.timer);
+  pendingOutboundCalls.delete(outboundId);
+  return entry;
+}
+
+app.post('/outbound-call', requireAdmin, async (req, res) => {
+  if (drain.active) return res.status(503).json({ error: 'draining', message: 'This instance is shutting down' });
+
+  const body = req.body || {};
+  const to = trimmedString(body.to);
+  const from = trimmedString(body.from) || process.env.TWILIO_PHONE_NUMBER;
+  const purpose = body.purpose || 'lead_callback';
+
+  if (!to || !E164_PATTERN.test(to)) {
+    return res.status(400).json({ error: 'invalid_to', message: 'to must be an E.164 phone number' });
+  }
+  if (!from) {
+    return res.status(400).json({ error: 'missing_from', message: 'Pass from or set TWILIO_PHONE_NUMBER' });
+  }
+  if (!E164_PATTERN.test(from)) {
+    return res.status(400).json({ error: 'invalid_from', message: 'from must be an E.164 phone number' });
+  }
+  if (!OUTBOUND_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: 'invalid_purpose', message: `purpose must be one of ${OUTBOUND_PURPOSES.join(', ')}` });
+  }
+
+  const lead = { name: trimmedString(body.lead?.name), notes: trimmedString(body.lead?.notes, MAX_OUTBOUND_NOTES_LENGTH) };
+  let appointment = null;
+  if (purpose !== 'lead_callback') {
+    const id = trimmedString(String(body.appointment?.id ?? ''));
+    const dateTime = trimmedString(body.appointment?.dateTime);
+    if (!id || !dateTime || Number.isNaN(new Date(dateTime).getTime())) {
+      return res.status(400).json({ error: 'invalid_appointment', message: 'appointment.id and an ISO 8601 appointment.dateTime are required' });
+    }
+    appointment = {
+      id,
+      dateTime,
+      duration: Number(body.appointment.duration) || undefined,
+      purpose: trimmedString(body.appointment.purpose) || undefined,
+      timeZone: trimmedString(body.appointment.timeZone) || undefined,
+      customerName: lead.name || undefined,
+    };
+  }
+
+  const userSettings = await getUserSettingsByPhone(from);
+  if (!userSettings) return res.status(404).json({ error: 'unknown_business_number' });
+  if (isRealtimeUnavailable()) return res.status(503).json({ error: 'ai_unavailable' });
+  const limitReason = await getUsageLimitReason(userSettings);
+  if (limitReason) return res.status(429).json({ error: limitReason });
+
+  const outboundId = uuidv4();
+  const entry = {
+    purpose,
+    from,
+    to,
+    lead,
+    appointment,
+    notes: trimmedString(body.notes, MAX_OUTBOUND_NOTES_LENGTH),
+    userSettings,
+    callSid: null,
+    answered: false,
+    timer: setTimeout(() => pendingOutboundCalls.delete(outboundId), OUTBOUND_CONTEXT_TTL_MS),
+  };
+  entry.timer.unref();
+  pendingOutboundCalls.set(outboundId, entry);
+
+  const publicBaseUrl = getPublicBaseUrl(req);
+  try {
+    const call = await twilioClient.calls.create({
+      to,
+      from,
+      url: `${publicBaseUrl}/outbound-call/answer?id=${outboundId}`,
+      method: 'POST',
+      statusCallback: `${publicBaseUrl}/outbound-call/status?id=${outboundId}`,
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['completed'],
+    });
+    entry.callSid = call.sid;
+    logger.info('📲 Outbound call placed:', call.sid, '-', purpose);
+    res.status(202).json({ success: true, callSid: call.sid, status: call.status, purpose });
+  } catch (error) {
+    discardOutboundCall(outboundId);
+    logger.error('❌ Outbound call failed:', sanitizeForLog(error));
+    res.status(502).json({ error: 'twilio_error', message: error.message });
+  }
+});
+
+// Twilio fetches this when the customer picks up
+app.post('/outbound-call/answer', validateTwilioRequest, (req, res) => {
+  const outboundId = typeof req.query.id === 'string' ? req.query.id : '';
+  const entry = pendingOutboundCalls.get(outboundId);
+  res.type('text/xml');
+
+  if (!entry) {
+    logger.warn('⚠️ Outbound call answered without context:', req.body.CallSid);
+    return res.send('<?xml version="1.0" encoding="UTF-8"?>\n<Response><Hangup/></Response>');
+  }
+
+  entry.answered = true;
+  const callSid = req.body.CallSid;
+  logger.info('📞 OUTBOUND CALL ANSWERED:', callSid);
+  const recordingNotice = resolveRecordingSettings(entry.userSettings).announcement;
+  res.send(
+    buildStreamTwiml(
+      req.headers.host,
+      {
+        callSid,
+        from: entry.from,
+        to: entry.to,
+        direction: 'outbound',
+        outboundId,
+        recordingNotice: recordingNotice ? 'played' : undefined,
+        token: signStreamToken(callSid),
+      },
+      { say: recordingNotice },
+    ),
+  );
+});
+
+// Calls nobody picked up never reach a session, so report them here
+app.post('/outbound-call/status', validateTwilioRequest, async (req, res) => {
+  res.sendStatus(204);
+
+  const entry = discardOutboundCall(typeof req.query.id === 'string' ? req.query.id : '');
+  const { CallSid, CallStatus } = req.body;
+  if (!entry || entry.answered || !UNANSWERED_STATUSES.includes(CallStatus)) return;
+
+  logger.info('📵 Outbound call not answered:', CallSid, '-', CallStatus);
+  const { userSettings } = entry;
+  await triggerN8nWebhook('call_completed', {
+    callSid: CallSid,
+    userId: userSettings.userId || undefined,
+    fromNumber: entry.from,
+    toNumber: entry.to,
+    duration: 0,
+    businessName: userSettings.businessName || 'Unknown',
+    status: CallStatus,
+    channel: 'voice',
+    direction: 'outbound',
+    callPurpose: entry.purpose,
+    customerName: entry.lead.name || undefined,
+    customerPhone: entry.to,
+    appointmentId: entry.appointment?.id,
+    appointmentBooked: false,
+    leadCaptured: false,
+    bookingIntent: false,
+  }, userSettings);
+});
+
+// ========================= Two-way SMS =========================
+// Customers can text a tenant's number and get the same receptionist (persona, business info, tools) in
+// text mode. Each business/customer pair has a thread; after SMS_THREAD_IDLE_MS without messages the thread
+// is reported through the usual outcome webhooks with channel "sms" and forgotten.
+const SMS_THREAD_IDLE_MS = Number(process.env.SMS_THREAD_IDLE_MS) || 30 * 60 * 1000;
+const SMS_FALLBACK_REPLY = "Sorry, we're having trouble replying right now. The team will get back to you soon.";
+
+const smsThreads = new Map(); // `${businessNumber}|${customerNumber}` → SmsThread
+
+class SmsThread {
+  constructor({ businessNumber, customerNumber, userSettings }) {
+    this.id = `SMS-${uuidv4()}`; // stands in for the callSid in tool calls and webhooks
+    this.key = `${businessNumber}|${customerNumber}`;
+    this.businessNumber = businessNumber;
+    this.customerNumber = customerNumber;
+    this.userSettings = userSettings;
+    this.userId = userSettings?.userId || null;
+    this.startedAt = new Date();
+    this.logContext = { callSid: this.id, userId: this.userId };
+
+    this.persona = resolvePersona(userSettings);
+    this.hoursStatus = evaluateBusinessHours(userSettings);
+    this.enabledTools = resolveEnabledTools(userSettings);
+    // Nobody to hand a text conversation to
+    this.enabledTools.delete('transfer_call');
+
+    this.capturedLeadInfo = { name: null, email: null, phone: null, notes: null, smsConsent: false };
+    this.booking = { intent: false, details: null, result: null };
+    this.appointments = { found: new Map(), changes: [], verification: { pending: null, verified: new Set(), sends: 0 } };
+    this.transfer = { status: null, target: null, reason: null, requestedAt: null, fallbackTimer: null };
+
+    this.history = []; // chat messages for the model
+    this.transcript = []; // { speaker, text, timestamp } for analysis and webhooks
+    this.usage = new UsageMeter({ channel: 'sms' });
+    this.queue = Promise.resolve(); // messages are answered one at a time, in order
+    this.idleTimer = null;
+    this.closed = false;
+  }
+
+  /** Queues an inbound text; the reply is sent with sendSMS once the model has answered. */
+  receive(text) {
+    return withLogContext(this.logContext, () => this.enqueue(text));
+  }
+
+  enqueue(text) {
+    clearTimeout(this.idleTimer);
+    this.queue = this.queue
+      .then(() => this.reply(text))
+      .catch((error) => logger.error('❌ SMS thread error:', sanitizeForLog(error)))
+      .then(() => {
+        if (this.closed) return;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+          this.finalize().catch((error) => logger.error('❌ Error finalizing SMS thread:', sanitizeForLog(error)));
+        }, SMS_THREAD_IDLE_MS);
+      });
+    return this.queue;
+  }
+
+  async reply(text) {
+    logger.info('💬 SMS from customer:', text);
+    this.addTranscript('Customer', text);
+    this.history = trimHistory(this.history);
+    this.history.push({ role: 'user', content: text });
+
+    // Re-evaluated per message so a thread that spans opening time gets the right script
+    this.hoursStatus = evaluateBusinessHours(this.userSettings);
+    const instructions = buildAIInstructions(this.userSettings, {
+      enabledTools: this.enabledTools,
+      hoursStatus: this.hoursStatus,
+      persona: this.persona,
+      channel: 'sms',
+    });
+    const ctx = {
+      callSid: this.id,
+      userId: this.userId,
+      fromPhoneNumber: this.customerNumber,
+      userSettings: this.userSettings,
+      capturedLeadInfo: this.capturedLeadInfo,
+      booking: this.booking,
+      appointments: this.appointments,
+      transfer: this.transfer,
+      channel: 'sms',
+      transcript: this.transcript,
+      usage: this.usage,
+    };
+
+    let answer;
+    try {
+      answer = await runTextTurn(openai, {
+        instructions,
+        history: this.history,
+        tools: toChatTools(toRealtimeTools(this.enabledTools)),
+        runTool: (name, args) => runToolWithMetrics(this.enabledTools, name, args, ctx),
+      });
+    } catch (error) {
+      logger.error('❌ SMS reply failed:', sanitizeForLog(error));
+    }
+
+    const message = answer || SMS_FALLBACK_REPLY;
+    this.addTranscript('AI', message);
+    logger.info('🤖 SMS reply:', message);
+    await sendSMS(this.customerNumber, message, { from: this.businessNumber, usage: this.usage });
+  }
 
-  instructions += 'LEAD CAPTURE:\n';
-  instructions += '🔴 CRITICAL: Call capture_lead_info() in these scenarios:\n';
-  instructions += '✅ Customer provides name + phone AND shows ANY product/service interest\n';
-  instructions += '✅ Customer asks questions about products, services, pricing, availability, features\n';
-  instructions += '✅ Customer is gathering information (even without requesting follow-up)\n';
-  instructions += '✅ Call ends without booking appointment but customer engaged meaningfully\n\n';
-  
-  instructions += '❌ DO NOT capture as lead when:\n';
-  instructions += '- Wrong number / misdial\n';
-  instructions += '- Spam call\n';
-  instructions += '- Customer only asks ultra-basic info (hours, address) with zero engagement\n\n';
-  
-  instructions += 'WHEN TO CALL capture_lead_info():\n';
-  instructions += '1. IMMEDIATELY after collecting name + phone (Step 3)\n';
-  instructions += '2. UPDATE it when customer asks product questions or shows interest\n';
-  instructions += '3. UPDATE it again before call ends with final notes\n\n';
-  
-  instructions += 'EXAMPLE - Product Inquiry Call:\n';
-  instructions += 'Customer: "What sizes do you have available?"\n';
-  instructions += '→ This is a QUALIFIED LEAD! Call capture_lead_info() with:\n';
-  instructions += '  notes: "Asked about product sizes - interested in purchasing"\n\n';
-  
-  instructions += '⚠️ REMEMBER: Always ask for SMS consent before setting smsConsent=true\n\n';
+  addTranscript(speaker, text) {
+    this.transcript.push({ speaker, text, timestamp: new Date().toISOString() });
+  }
 
-  instructions += 'CONVERSATION FLOW:\n';
-  instructions += '- Be warm, natural, and professional\n';
-  instructions += '- Pace yourself - don\'t rush through questions\n';
-  instructions += '- Pause between questions to let the customer speak\n';
-  instructions += '- If you don\'t understand, politely ask them to repeat\n';
-  instructions += '- Thank them for their patience when collecting information\n\n';
+  async finalize(endReason = 'idle') {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this.idleTimer);
+    smsThreads.delete(this.key);
 
-  return instructions;
-}
+    const { capturedLeadInfo, booking, appointments, userSettings } = this;
+    logger.info('💬 SMS thread ended:', this.id, '-', this.transcript.length, 'messages');
 
-// ========================= OpenAI function tools =========================
-const FUNCTION_TOOLS = [
-  {
-    type: 'function',
-    name: 'capture_lead_info',
-    description:
-      'Capture customer lead information. Call this IMMEDIATELY after collecting name+phone, then UPDATE it when customer shows product/service interest (asks about pricing, features, availability, etc). Always ask for SMS consent before setting smsConsent=true.',
-    parameters: {
-      type: 'object',
-      properties: {
-        name: { type: 'string', description: "Customer's full name" },
-        email: { type: 'string', description: "Customer's email address" },
-        phone: { type: 'string', description: "Customer's phone number (if different from caller ID)" },
-        notes: { type: 'string', description: 'Notes about what the customer needs' },
-        smsConsent: { type: 'boolean', description: 'Customer consented to SMS: true/false' },
-      },
-      required: [],
-    },
-  },
-  {
-    type: 'function',
-    name: 'book_appointment',
-    description:
-      'Book an appointment ONLY after the customer confirms a specific date/time. Ask SMS consent before setting smsConsent=true.',
-    parameters: {
-      type: 'object',
-      properties: {
-        customerName: { type: 'string', description: "Customer's full name" },
-        customerEmail: { type: 'string', description: "Customer's email address" },
-        customerPhone: { type: 'string', description: "Customer's phone number" },
-        smsConsent: { type: 'boolean', description: 'Customer agreed to receive SMS: true/false' },
-        dateTime: {
-          type: 'string',
-          description: 'Appointment date/time in ISO 8601 (e.g., 2026-01-03T10:00:00-05:00)',
-        },
-        duration: { type: 'number', description: 'Duration in minutes (default 30)' },
-        purpose: { type: 'string', description: 'Purpose of the appointment' },
-        timeZone: { type: 'string', description: 'IANA timezone, e.g., America/New_York' },
-      },
-      required: ['customerName', 'dateTime', 'purpose'],
-    },
-  },
-  {
-    type: 'function',
-    name: 'lookup_order_status',
-    description: 'Look up the status of an order by orderId',
-    parameters: {
-      type: 'object',
-      properties: { orderId: { type: 'string', description: 'Order ID, e.g. ORD-12345' } },
-      required: ['orderId'],
-    },
-  },
-];
+    const analysis = await analyzeCall(openai, this.transcript, {
+      businessName: userSettings?.businessName,
+      leadInfo: capturedLeadInfo,
+      appointmentBooked: getConversationOutcome(capturedLeadInfo, booking).appointmentBooked,
+      transferred: false,
+    });
+    await recordUsage(this.userId, { callSid: this.id, durationSec: 0, usage: this.usage });
+
+    const base = {
+      callSid: this.id,
+      userId: this.userId || undefined,
+      fromNumber: this.customerNumber,
+      toNumber: this.businessNumber,
+      channel: 'sms',
+      direction: 'inbound',
+      duration: Math.floor((Date.now() - this.startedAt) / 1000),
+      messageCount: this.transcript.length,
+      businessName: userSettings?.businessName || 'Unknown',
+      status: 'completed',
+      endReason,
+      afterHours: !this.hoursStatus.open,
+      callSummary: analysis?.summary || undefined,
+      callIntent: analysis?.intent,
+      sentiment: analysis?.sentiment,
+      urgency: analysis?.urgency,
+      leadScore: analysis?.leadScore ?? undefined,
+      actionItems: analysis?.actionItems,
+    };
 
-// ========================= Twilio inbound webhook =========================
-app.post('/incoming-call', async (req, res) => {
-  console.log('📞 INCOMING CALL');
-  const callSid = req.body.CallSid;
-  const from = req.body.From;
-  const to = req.body.To;
+    await triggerOutcomeWebhooks(
+      base,
+      { capturedLeadInfo, booking, appointments, analysis, transcript: this.transcript, customerPhone: this.customerNumber },
+      userSettings,
+    );
+  }
+}
 
-  console.log('   From:', from);
-  console.log('   To:', to);
+function smsTwiml(message) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + (message ? `<Response><Message>${escapeXml(message)}</Message></Response>` : '<Response/>');
+}
 
-  // TwiML: Brief pause to simulate ring before AI answers (feels more natural)
-  const twiml =
-    '<?xml version="1.0" encoding="UTF-8"?>\n' +
-    '<Response>\n' +
-    '  <Pause length="2"/>\n' +
-    '  <Connect>\n' +
-    `    <Stream url="wss://${req.headers.host}/media-stream">\n` +
-    `      <Parameter name="callSid" value="${callSid}" />\n` +
-    `      <Parameter name="from" value="${from}" />\n` +
-    `      <Parameter name="to" value="${to}" />\n` +
-    '    </Stream>\n' +
-    '  </Connect>\n' +
-    '</Response>';
+app.post('/incoming-sms', validateTwilioRequest, async (req, res) => {
+  const customerNumber = req.body.From;
+  const businessNumber = req.body.To;
+  const text = String(req.body.Body || '').trim();
+  logger.info('💬 INCOMING SMS');
+  logger.info('   From:', customerNumber);
+  logger.info('   To:', businessNumber);
 
   res.type('text/xml');
-  res.send(twiml);
+  const keyword = parseSmsKeyword(text);
+  const userSettings = await getUserSettingsByPhone(businessNumber);
+
+  // STOP / START also land in the tenant's consent ledger, with the keyword text as the excerpt
+  const recordKeyword = (optedOut) =>
+    recordConsent(smsConsentBackend, {
+      phone: customerNumber,
+      userId: userSettings?.userId,
+      consent: !optedOut,
+      optedOut,
+      source: 'sms_keyword',
+      channel: 'sms',
+      transcriptExcerpt: text,
+    });
+
+  if (keyword === 'stop') {
+    await setOptOut(customerNumber, true, { businessNumber });
+    await recordKeyword(true);
+    res.send(smsTwiml("You've been unsubscribed and won't receive more messages from us. Reply START to resubscribe."));
+    // The thread's analysis and webhooks can take a while; Twilio already has its answer
+    smsThreads
+      .get(`${businessNumber}|${customerNumber}`)
+      ?.finalize('opted_out')
+      .catch((error) => logger.error('❌ Error finalizing SMS thread:', sanitizeForLog(error)));
+    return;
+  }
+  // START / YES only mean "resubscribe" from someone who opted out; otherwise "Yes" is an answer for the thread
+  const optedOut = await isOptedOut(customerNumber, { businessNumber });
+  if (keyword === 'start' && optedOut) {
+    await setOptOut(customerNumber, false, { businessNumber });
+    await recordKeyword(false);
+    return res.send(smsTwiml("You're resubscribed. Reply HELP for help or STOP to unsubscribe."));
+  }
+  if (optedOut) {
+    logger.info('🚫 Ignoring SMS from opted-out number');
+    return res.send(smsTwiml());
+  }
+
+  if (keyword === 'help') {
+    const businessName = userSettings?.businessName || 'us';
+    return res.send(
+      smsTwiml(`This is ${businessName}. Text us your question and we'll reply, or call ${businessNumber}. Reply STOP to unsubscribe.`),
+    );
+  }
+  if (!userSettings || !text) return res.send(smsTwiml());
+
+  // Replies can take a few tool calls - answer Twilio now and text back when ready
+  res.send(smsTwiml());
+
+  const key = `${businessNumber}|${customerNumber}`;
+  let thread = smsThreads.get(key);
+  if (!thread) {
+    thread = new SmsThread({ businessNumber, customerNumber, userSettings });
+    smsThreads.set(key, thread);
+  }
+  thread.receive(text);
 });
 
-// ========================= Websocket handling =========================
-wss.on('connection', async (ws) => {
-  console.log('🔌 NEW WEBSOCKET CONNECTION');
+// ========================= Call sessions =========================
+// One CallSession per Twilio media stream. Lifecycle:
+//   connecting → settings-loaded → ai-connected → in-conversation ⇄ transferring → finalizing → closed
+// finalize() runs exactly once, whether the call ends with Twilio's `stop` or the socket just drops.
+const CALL_STATES = ['connecting', 'settings-loaded', 'ai-connected', 'in-conversation', 'transferring', 'finalizing', 'closed'];
+
+// Realtime drops mid-call are retried with exponential backoff before falling back to voicemail
+const OPENAI_RECONNECT_ATTEMPTS = Number(process.env.OPENAI_RECONNECT_ATTEMPTS) || 3;
+const OPENAI_RECONNECT_BASE_MS = Number(process.env.OPENAI_RECONNECT_BASE_MS) || 500;
+const RESUME_TRANSCRIPT_ENTRIES = 20;
+
+class CallSession {
+  constructor(ws, { publicBaseUrl }) {
+    this.id = uuidv4();
+    this.ws = ws;
+    // Tags every log line of this call; callSid/userId are filled in as they become known (lib/logger.js)
+    this.logContext = { sessionId: this.id, callSid: null, userId: null };
+    this.publicBaseUrl = publicBaseUrl;
+    this.state = 'connecting';
+    this.stateChangedAt = new Date();
+    this.startedAt = new Date();
+
+    this.callSid = null;
+    this.streamSid = null;
+    this.openaiWs = null;
+
+    // The business line and the customer, whichever side dialed (see `dialedNumbers` for Twilio's from/to)
+    this.toPhoneNumber = null;
+    this.fromPhoneNumber = null;
+
+    // Inbound, or a call placed with /outbound-call: { purpose, lead, appointment, notes }
+    this.direction = 'inbound';
+    this.outbound = null;
+
+    this.userSettings = null;
+    this.userId = null;
+
+    // Set when the stream fails token verification - such sockets are never reported as calls
+    this.rejected = false;
+    this.adminHangup = false;
+    this.shutdownInterrupted = false;
+    this.voicemailFallback = false;
+    this.voicemailReason = null;
+
+    // Realtime reconnection after a mid-call drop
+    this.reconnect = { attempts: 0, timer: null, resuming: false };
+    this.finalizePromise = null;
+
+    // Lead info
+    this.capturedLeadInfo = {
+      name: null,
+      email: null,
+      phone: null,
+      notes: null,
+      smsConsent: false,
+    };
 
-  const sessionId = uuidv4();
-  activeSessions.set(sessionId, { startedAt: new Date().toISOString() });
+    // Appointment info (mutated by the book_appointment tool)
+    this.booking = {
+      intent: false, // AI attempted booking
+      details: null, // function args
+      result: null, // backend response
+    };
 
-  let callSid = null;
-  let streamSid = null;
-  let openaiWs = null;
+    // Existing appointments looked up / changed during the call (find/reschedule/cancel tools)
+    this.appointments = {
+      found: new Map(), // appointmentId → appointment from find_appointments
+      changes: [], // { type: 'rescheduled' | 'cancelled', appointmentId, oldDateTime, newDateTime, ... }
+      verification: { pending: null, verified: new Set(), sends: 0 }, // one-time codes for lookups by another contact
+    };
 
-  let toPhoneNumber = null;
-  let fromPhoneNumber = null;
+    // Human transfer (set by the transfer_call tool, carried out once the announcement has played)
+    this.transfer = {
+      status: null, // announcing → awaiting_playback → dialing → completed | failed
+      target: null,
+      reason: null,
+      requestedAt: null,
+      fallbackTimer: null,
+    };
 
-  let userSettings = null;
-  let userId = null;
+    // Tools offered to the model for this tenant (resolved once settings are loaded)
+    this.enabledTools = resolveEnabledTools(null);
+    this.hoursStatus = evaluateBusinessHours(null);
+    this.persona = resolvePersona(null);
 
-  const callStartTime = new Date();
+    // Stereo call recording (only for tenants with recording.enabled)
+    this.recorder = null;
 
-  // Prevent duplicate webhook sends
-  let webhookSent = false;
+    // Twilio minutes, Realtime tokens, Whisper seconds and SMS segments for billing and quotas
+    this.usage = new UsageMeter();
 
-  // Lead info
-  const capturedLeadInfo = {
-    name: null,
-    email: null,
-    phone: null,
-    notes: null,
-    smsConsent: false,
-  };
+    // Time to first audio: from the stream's `start` to the receptionist's first audio delta
+    this.streamStartedAt = null;
+    this.firstAudioSent = false;
 
-  // Appointment info
-  let appointmentIntent = false; // AI attempted booking
-  let appointmentDetails = null; // function args
-  let appointmentResult = null; // backend response
+    // Barge-in: how much of the current reply the caller has heard, and the reply being generated
+    this.playback = new PlaybackTracker();
+    this.interruptedItemId = null;
+    this.activeResponseId = null;
 
-  // Conversation transcript
-  const conversationTranscript = [];
+    // Conversation transcript
+    this.transcript = [];
+  }
 
-  ws.on('message', async (message) => {
-    try {
-      const msg = JSON.parse(message.toString());
-
-      switch (msg.event) {
-        case 'start': {
-          streamSid = msg.start.streamSid;
-          callSid = msg.start.callSid;
-
-          const customParams = msg.start.customParameters;
-          toPhoneNumber = customParams?.to || msg.start.to;
-          fromPhoneNumber = customParams?.from || msg.start.from;
-
-          console.log('📞 CALL STARTED');
-          console.log('   To Phone:', toPhoneNumber);
-          console.log('   From Phone:', fromPhoneNumber);
-          console.log('   Call SID:', callSid);
-
-          userSettings = await getUserSettingsByPhone(toPhoneNumber);
-          userId = userSettings?.userId || null;
-
-          // Log call start to backend (best-effort)
-          if (userId && callSid) {
-            try {
-              await fetch(`${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511/calls/bridge-log`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
-                },
-                body: JSON.stringify({
-                  callSid,
-                  toNumber: toPhoneNumber,
-                  fromNumber: fromPhoneNumber,
-                  status: 'in-progress',
-                  duration: 0,
-                }),
-              });
-              console.log('✅ Call logged to backend');
-            } catch (err) {
-              console.error('⚠️ Failed to log call:', err.message);
-            }
-          }
-
-          await initializeOpenAI(userSettings);
-          break;
-        }
+  get isEnding() {
+    return this.state === 'finalizing' || this.state === 'closed';
+  }
 
-        case 'media': {
-          if (openaiWs && openaiWs.readyState === WebSocket.OPEN) {
-            openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: msg.media.payload }));
-          }
-          break;
-        }
+  /** From/to as Twilio dialed them - the business line is `from` on outbound calls. */
+  get dialedNumbers() {
+    return this.direction === 'outbound'
+      ? { fromNumber: this.toPhoneNumber, toNumber: this.fromPhoneNumber }
+      : { fromNumber: this.fromPhoneNumber, toNumber: this.toPhoneNumber };
+  }
 
-        case 'stop': {
-          console.log('📞 CALL ENDED');
+  setState(next) {
+    if (!CALL_STATES.includes(next)) throw new Error(`Unknown call state: ${next}`);
+    if (next === this.state) return;
+    // Once finalizing starts the only way is closed
+    if (this.isEnding && next !== 'closed') return;
+
+    logger.info(`🔁 Call ${this.callSid || this.id}: ${this.state} → ${next}`);
+    const previous = this.state;
+    this.state = next;
+    this.stateChangedAt = new Date();
+    this.emit('state', { from: previous, to: next });
+  }
 
-          if (webhookSent) {
-            console.log('⚠️ Webhook already sent for this call - skipping duplicate');
-            break;
-          }
-          webhookSent = true;
+  /** Publishes live activity to admin event-stream subscribers. */
+  emit(type, data = {}) {
+    callEvents.emit('event', { type, sessionId: this.id, callSid: this.callSid, timestamp: new Date().toISOString(), ...data });
+  }
 
-          const durationSec = Math.floor((new Date() - callStartTime) / 1000);
+  addTranscript(speaker, text) {
+    const entry = { speaker, text, timestamp: new Date().toISOString() };
+    this.transcript.push(entry);
+    this.emit('transcript', { entry });
+    return entry;
+  }
 
-          const base = {
-            callSid,
-            userId: userId || undefined,
-            fromNumber: fromPhoneNumber || undefined,
-            toNumber: toPhoneNumber || undefined,
-            duration: durationSec,
-            businessName: userSettings?.businessName || 'Unknown',
-            status: 'completed',
-          };
+  /** Snapshot for the admin API. */
+  toSummary() {
+    const { name, email, phone, notes, smsConsent } = this.capturedLeadInfo;
+    return {
+      sessionId: this.id,
+      callSid: this.callSid,
+      state: this.state,
+      stateChangedAt: this.stateChangedAt.toISOString(),
+      userId: this.userId,
+      businessName: this.userSettings?.businessName || null,
+      ...this.dialedNumbers,
+      direction: this.direction,
+      callPurpose: this.outbound?.purpose || null,
+      startedAt: this.startedAt.toISOString(),
+      durationSec: Math.floor((Date.now() - this.startedAt) / 1000),
+      receptionist: this.persona.name,
+      afterHours: !this.hoursStatus.open,
+      lead: { name, email, phone, notes, smsConsent },
+      bookingIntent: this.booking.intent,
+      appointmentId: this.booking.result?.appointmentId || null,
+      transferStatus: this.transfer.status,
+      transcriptLength: this.transcript.length,
+    };
+  }
 
-          const hasLeadInfo = !!(capturedLeadInfo.name || capturedLeadInfo.email || capturedLeadInfo.notes);
+  /** Adds a supervisor instruction to the running Realtime session; `respond` makes the AI act on it right away. */
+  injectInstruction(text, { respond = false } = {}) {
+    if (this.isEnding) return { success: false, error: 'call_ending' };
+    if (!this.openaiWs || this.openaiWs.readyState !== WebSocket.OPEN) return { success: false, error: 'ai_not_connected' };
+
+    this.openaiWs.send(
+      JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'system',
+          content: [{ type: 'input_text', text: `Instruction from the business (do not read it out): ${text}` }],
+        },
+      }),
+    );
+    if (respond) this.openaiWs.send(JSON.stringify({ type: 'response.create' }));
 
-          const hasIsoDateTime = !!(appointmentDetails?.dateTime && typeof appointmentDetails.dateTime === 'string');
-          const hasAppointmentId = !!(appointmentResult?.appointmentId && typeof appointmentResult.appointmentId === 'string');
+    this.addTranscript('Supervisor', text);
+    logger.info('🛠️ Instruction injected into', this.callSid);
+    return { success: true };
+  }
 
-          console.log('🧪 Booking flags:', {
-            appointmentIntent,
-            hasIsoDateTime,
-            hasAppointmentId,
-            calendarEventCreated: appointmentResult?.calendarEventCreated,
-          });
+  /** Ends the phone call through Twilio; the stream's stop then finalizes the session as usual. */
+  async hangup() {
+    if (this.isEnding) return { success: false, error: 'call_ending' };
+    if (!this.callSid) return { success: false, error: 'call_not_started' };
 
-          // Format conversation log
-          const conversationLog = conversationTranscript.length > 0 
-            ? conversationTranscript.map(entry => `[${entry.speaker}]: ${entry.text}`).join('\n')
-            : 'Conversation transcript not available';
-
-          if (appointmentIntent && hasIsoDateTime && hasAppointmentId) {
-            await triggerN8nWebhook('appointment_booked', {
-              ...base,
-              appointmentId: appointmentResult.appointmentId,
-              customerName: appointmentDetails.customerName || capturedLeadInfo.name || 'Unknown',
-              customerEmail: appointmentDetails.customerEmail || capturedLeadInfo.email || '',
-              customerPhone: appointmentDetails.customerPhone || capturedLeadInfo.phone || fromPhoneNumber || '',
-              appointmentDate: new Date(appointmentDetails.dateTime).toISOString(),
-              appointmentTime: undefined,
-              appointmentDateTime: new Date(appointmentDetails.dateTime).toUTCString(),
-              purpose: appointmentDetails.purpose || 'consultation',
-              duration: appointmentDetails.duration || 30,
-              timeZone: appointmentDetails.timeZone || 'America/New_York',
-              googleCalendarEventCreated: !!appointmentResult.calendarEventCreated,
-              meetLink: appointmentResult.meetLink || undefined,
-              smsConsent: !!appointmentDetails.smsConsent,
-              leadCaptured: hasLeadInfo,
-              conversationLog,
-            });
-          } else if (hasLeadInfo) {
-            await triggerN8nWebhook('lead_captured', {
-              ...base,
-              customerName: capturedLeadInfo.name || 'Unknown',
-              customerEmail: capturedLeadInfo.email || '',
-              customerPhone: capturedLeadInfo.phone || fromPhoneNumber || '',
-              summary: capturedLeadInfo.notes || 'Lead captured; no summary provided.',
-              smsConsent: !!capturedLeadInfo.smsConsent,
-              appointmentBooked: false,
-              leadCaptured: true,
-              bookingIntent: appointmentIntent,
-              conversationLog,
-            });
-          } else {
-            await triggerN8nWebhook('call_completed', {
-              ...base,
-              appointmentBooked: false,
-              leadCaptured: false,
-              bookingIntent: appointmentIntent,
-              conversationLog,
-            });
-          }
-
-          // Finalize call in backend (best-effort)
-          if (userId && callSid) {
-            try {
-              await fetch(`${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511/calls/${callSid}`, {
-                method: 'PATCH',
-                headers: {
-                  'Content-Type': 'application/json',
-                  Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
-                },
-                body: JSON.stringify({
-                  status: 'completed',
-                  duration: durationSec,
-                  leadCaptured: hasLeadInfo,
-                }),
-              });
-              console.log('✅ Call finalized in backend');
-            } catch (err) {
-              console.error('⚠️ Failed to finalize call:', err.message);
-            }
-          }
-
-          if (openaiWs) openaiWs.close();
-          break;
-        }
-      }
+    try {
+      this.adminHangup = true;
+      await twilioClient.calls(this.callSid).update({ status: 'completed' });
+      logger.info('📴 Call hung up by admin:', this.callSid);
+      return { success: true };
     } catch (error) {
-      console.error('❌ Error:', sanitizeForLog(error));
+      this.adminHangup = false;
+      logger.error('❌ Admin hangup failed:', sanitizeForLog(error));
+      return { success: false, error: 'twilio_error', message: error.message };
     }
-  });
-
-  async function handleFunctionCall(functionName, functionArgs) {
-    console.log('🔧 FUNCTION CALL:', functionName);
-    console.log('📋 Args:', sanitizeForLog(functionArgs));
+  }
 
-    if (functionName === 'capture_lead_info') {
-      if (functionArgs.name) capturedLeadInfo.name = functionArgs.name;
-      if (functionArgs.email) capturedLeadInfo.email = functionArgs.email;
-      if (functionArgs.phone) capturedLeadInfo.phone = functionArgs.phone;
-      if (functionArgs.notes) {
-        capturedLeadInfo.notes = capturedLeadInfo.notes ? `${capturedLeadInfo.notes}\n${functionArgs.notes}` : functionArgs.notes;
+  /**
+   * Takes the call off this instance when a shutdown ran out of drain time. Inbound callers are redirected to
+   * DRAIN_REDIRECT_URL when set (the other instance answers them afresh), everyone else hears a short apology;
+   * the session is finalized right away with status `interrupted`.
+   */
+  async interruptForShutdown() {
+    if (!this.isEnding && !this.rejected && this.callSid) {
+      this.shutdownInterrupted = true;
+      this.addTranscript('System', 'Call interrupted by a server shutdown');
+      const redirect = DRAIN_REDIRECT_URL && this.direction === 'inbound';
+      try {
+        await twilioClient
+          .calls(this.callSid)
+          .update(redirect ? { url: `${DRAIN_REDIRECT_URL}/incoming-call`, method: 'POST' } : { twiml: SHUTDOWN_TWIML });
+        logger.info(redirect ? `↪️ Call moved to ${DRAIN_REDIRECT_URL}` : '📴 Call ended for shutdown');
+      } catch (error) {
+        logger.error('❌ Could not move call off this instance:', sanitizeForLog(error));
       }
-      if (functionArgs.smsConsent !== undefined) capturedLeadInfo.smsConsent = !!functionArgs.smsConsent;
-
-      console.log('💾 Updated lead info:', sanitizeForLog(capturedLeadInfo));
+    }
+    return this.finalize('shutdown');
+  }
 
-      const customerPhone = capturedLeadInfo.phone || fromPhoneNumber;
-      const customerName = capturedLeadInfo.name || 'there';
-      const businessName = userSettings?.businessName || 'us';
+  async handleTwilioMessage(msg) {
+    switch (msg.event) {
+      case 'start':
+        await this.start(msg.start);
+        break;
 
-      if (customerPhone && capturedLeadInfo.smsConsent) {
-        const smsMessage = `Hi ${customerName}! Thanks for calling ${businessName}. We’ve got your info and will follow up shortly.`;
-        await sendSMS(customerPhone, smsMessage);
+      case 'media': {
+        this.recorder?.addInbound(msg.media.payload, msg.media.timestamp);
+        if (this.openaiWs && this.openaiWs.readyState === WebSocket.OPEN) {
+          this.openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: msg.media.payload }));
+        }
+        break;
       }
 
-      if (userId && callSid) {
-        try {
-          const response = await fetch(`${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511/leads/realtime-update`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
-            },
-            body: JSON.stringify({
-              userId,
-              callSid,
-              name: capturedLeadInfo.name,
-              email: capturedLeadInfo.email,
-              phone: capturedLeadInfo.phone || fromPhoneNumber,
-              notes: capturedLeadInfo.notes,
-            }),
-          });
-
-          if (response.ok) console.log('✅ Lead updated in real-time!');
-          else console.error('⚠️ Failed to update lead:', await response.text());
-        } catch (err) {
-          console.error('⚠️ Failed to update lead:', err.message);
+      case 'mark': {
+        if (this.playback.onMark(msg.mark?.name)) break;
+        if (msg.mark?.name === TRANSFER_MARK && this.transfer.status === 'awaiting_playback') {
+          await this.performTransfer();
         }
+        break;
       }
 
-      return JSON.stringify({
-        success: true,
-        message: 'Lead information captured successfully.' + (capturedLeadInfo.smsConsent ? ' Confirmation text sent.' : ''),
-      });
+      case 'stop': {
+        logger.info('📞 CALL ENDED');
+        await this.finalize('stop');
+        break;
+      }
     }
+  }
 
-    if (functionName === 'book_appointment') {
-      appointmentIntent = true;
-      appointmentDetails = functionArgs;
-
-      const customerName = functionArgs.customerName || capturedLeadInfo.name || 'Unknown';
-      const customerEmail = functionArgs.customerEmail || capturedLeadInfo.email || '';
-      const customerPhone = functionArgs.customerPhone || capturedLeadInfo.phone || fromPhoneNumber || '';
-      const tz = functionArgs.timeZone || 'America/New_York';
-
-      if (customerPhone && functionArgs.smsConsent && functionArgs.dateTime) {
-        const businessName = userSettings?.businessName || 'us';
-        const appointmentTime = new Date(functionArgs.dateTime).toLocaleString('en-US', {
-          weekday: 'short',
-          month: 'short',
-          day: 'numeric',
-          hour: 'numeric',
-          minute: '2-digit',
-          timeZone: tz,
-        });
-        const smsMessage = `Hi ${customerName}! Your appointment with ${businessName} is confirmed for ${appointmentTime}.`;
-        await sendSMS(customerPhone, smsMessage);
-      }
+  async start(start) {
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid;
+    this.logContext.callSid = this.callSid;
+    this.streamStartedAt = Date.now();
+
+    const customParams = start.customParameters;
+    this.direction = customParams?.direction === 'outbound' ? 'outbound' : 'inbound';
+    this.usage.direction = this.direction;
+    if (this.direction === 'outbound') {
+      this.toPhoneNumber = customParams.from;
+      this.fromPhoneNumber = customParams.to;
+    } else {
+      this.toPhoneNumber = customParams?.to || start.to;
+      this.fromPhoneNumber = customParams?.from || start.from;
+    }
 
-      if (userId && callSid) {
-        try {
-          const response = await fetch(`${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511/appointments/book`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
-            },
-            body: JSON.stringify({
-              userId,
-              callSid,
-              customerName,
-              customerEmail,
-              customerPhone,
-              dateTime: functionArgs.dateTime,
-              duration: functionArgs.duration || 30,
-              purpose: functionArgs.purpose,
-              timeZone: tz,
-            }),
-          });
+    logger.info(this.direction === 'outbound' ? '📞 OUTBOUND CALL STARTED' : '📞 CALL STARTED');
+    logger.info('   To Phone:', this.toPhoneNumber);
+    logger.info('   From Phone:', this.fromPhoneNumber);
+    logger.info('   Call SID:', this.callSid);
+
+    const tokenCheck = verifyStreamToken(customParams?.token, this.callSid);
+    if (!tokenCheck.valid) {
+      logger.warn('🚫 Rejected media stream for', this.callSid, '-', tokenCheck.reason);
+      this.rejected = true;
+      this.ws.close(1008, 'Unauthorized');
+      return;
+    }
 
-          if (!response.ok) {
-            const txt = await response.text();
-            console.error('⚠️ Failed to book appointment:', txt);
-            appointmentResult = null;
-            return JSON.stringify({ success: false, message: 'Failed to book appointment. Please try again.' });
-          }
-
-          const result = await response.json();
-          console.log('✅ Appointment booked successfully!');
-          console.log('📅 Calendar event created:', result.calendarEventCreated);
-
-          appointmentResult = {
-            appointmentId: result.appointment?.id || result.appointmentId || null,
-            calendarEventCreated: !!result.calendarEventCreated,
-            meetLink: result.meetLink || result.hangoutLink || result.appointment?.meetLink || null,
-          };
-
-          return JSON.stringify({
-            success: true,
-            message: "Appointment booked successfully. You'll receive a confirmation shortly.",
-            appointmentId: appointmentResult.appointmentId,
-            calendarEventCreated: appointmentResult.calendarEventCreated,
-          });
-        } catch (err) {
-          console.error('⚠️ Failed to book appointment:', err.message);
-          appointmentResult = null;
-          return JSON.stringify({ success: false, message: 'Failed to book appointment. Please try again.' });
-        }
-      }
+    if (this.direction === 'outbound') {
+      const entry = discardOutboundCall(customParams.outboundId);
+      this.outbound = entry
+        ? { purpose: entry.purpose, lead: entry.lead, appointment: entry.appointment, notes: entry.notes }
+        : { purpose: 'lead_callback', lead: {}, appointment: null, notes: null };
+      if (!entry) logger.warn('⚠️ Outbound context expired for', this.callSid, '- using a generic callback');
+      // Lets the reminder/confirmation script change the appointment without find_appointments
+      if (this.outbound.appointment) this.appointments.found.set(this.outbound.appointment.id, this.outbound.appointment);
+      logger.info('   Purpose:', this.outbound.purpose);
+    }
+
+    const lookup = await lookupUserSettings(this.toPhoneNumber);
+    this.userSettings = lookup.settings;
+    // Caller may have hung up while settings were loading
+    if (this.isEnding) return;
+
+    // /incoming-call normally catches these first; this covers outages that started since then
+    const voicemailReason = await getVoicemailReason(lookup, { callSid: this.callSid });
+    // The check reserved this call's slot again; if the caller hung up during the quota lookup, finalize has
+    // already run and nothing else will give it back
+    if (this.isEnding) {
+      releaseCallSlot(this.callSid);
+      return;
+    }
+    if (voicemailReason && this.direction === 'outbound') {
+      // Nobody to leave a message for on a call we placed - ending the stream ends the call
+      logger.warn('📵 Ending outbound call -', voicemailReason);
+      this.ws.close();
+      return;
+    }
+    if (voicemailReason) {
+      this.fallBackToVoicemail(voicemailReason);
+      return;
+    }
+
+    this.userId = this.userSettings?.userId || null;
+    this.logContext.userId = this.userId;
+    // The slot /incoming-call (or the check above) reserved is now this session's until it finalizes
+    holdCallSlot(this.callSid);
+    this.enabledTools = resolveEnabledTools(this.userSettings);
+
+    this.persona = resolvePersona(this.userSettings);
+    this.persona.warnings.forEach((warning) => logger.warn('⚠️ Persona:', warning));
+
+    // Twilio played the notice before connecting the stream, so recording from here never captures the call
+    // without it; tenants that require consent don't record calls the notice wasn't played on
+    const recording = resolveRecordingSettings(this.userSettings);
+    const noticePlayed = customParams?.recordingNotice === 'played';
+    if (recording.enabled && recording.requireConsent && !noticePlayed) {
+      logger.info('⏺️ Recording skipped - no recording notice was played on this call');
+    } else if (recording.enabled) {
+      // Created after the settings and quota lookups; the stream start keeps both channels on Twilio's clock
+      this.recorder = new CallRecorder({ streamStartedAt: this.streamStartedAt });
+      logger.info('⏺️ Recording enabled for this call');
+    }
 
-      appointmentResult = null;
-      return JSON.stringify({ success: false, message: 'Unable to book appointment at this time.' });
+    // After hours the receptionist takes messages instead of handing off to people who aren't there
+    this.hoursStatus = evaluateBusinessHours(this.userSettings);
+    if (!this.hoursStatus.open) {
+      logger.info('🌙 After hours -', this.hoursStatus.holiday || 'closed', '- next open:', this.hoursStatus.nextOpenLabel || 'unknown');
+      this.enabledTools.delete('transfer_call');
     }
 
-    if (functionName === 'lookup_order_status') {
-      let cleanOrderId = functionArgs.orderId?.toString().trim().toUpperCase() || '';
-      cleanOrderId = cleanOrderId.replace(/^#/, '');
+    this.setState('settings-loaded');
 
+    // Log call start to backend (best-effort)
+    if (this.userId && this.callSid) {
       try {
-        const response = await fetch(
-          `${process.env.SUPABASE_URL}/functions/v1/make-server-4e1c9511/orders/lookup/${encodeURIComponent(cleanOrderId)}`,
-          { method: 'GET', headers: { Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}` } },
-        );
+        await backendFetch(`${SUPABASE_FUNCTIONS_URL}/calls/bridge-log`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          },
+          body: JSON.stringify({
+            callSid: this.callSid,
+            ...this.dialedNumbers,
+            direction: this.direction,
+            status: 'in-progress',
+            duration: 0,
+          }),
+        });
+        logger.info('✅ Call logged to backend');
+      } catch (err) {
+        logger.error('⚠️ Failed to log call:', err.message);
+      }
+    }
 
-        if (!response.ok) {
-          return JSON.stringify({
-            success: false,
-            message: `I couldn't find an order with ID ${cleanOrderId}. Could you double-check the number?`,
-          });
-        }
+    if (this.isEnding) return;
+    this.connectOpenAI();
+  }
 
-        const result = await response.json();
-        const order = result.order;
+  async handleFunctionCall(functionName, functionArgs) {
+    logger.info('🔧 FUNCTION CALL:', functionName);
+    logger.info('📋 Args:', sanitizeForLog(functionArgs));
+
+    const ctx = {
+      callSid: this.callSid,
+      userId: this.userId,
+      fromPhoneNumber: this.fromPhoneNumber,
+      userSettings: this.userSettings,
+      capturedLeadInfo: this.capturedLeadInfo,
+      booking: this.booking,
+      appointments: this.appointments,
+      transfer: this.transfer,
+      channel: 'voice',
+      transcript: this.transcript,
+      usage: this.usage,
+    };
+    const result = await runToolWithMetrics(this.enabledTools, functionName, functionArgs, ctx);
+    let parsedResult = result;
+    try {
+      parsedResult = JSON.parse(result);
+    } catch (_) {
+      // Handlers may return plain text; it still goes back to the model as-is
+    }
+    this.emit('function_call', { name: functionName, args: sanitizeForLog(functionArgs), result: parsedResult });
 
-        let statusMessage = `I found your order! Order ${order.orderId} `;
-        if (order.customerName) statusMessage += `for ${order.customerName} `;
-        statusMessage += `is currently ${order.status}. `;
-        if (order.statusMessage) statusMessage += `${order.statusMessage}. `;
-        if (order.estimatedDelivery) statusMessage += `Estimated delivery: ${order.estimatedDelivery}. `;
-        if (order.trackingNumber) statusMessage += `Tracking number: ${order.trackingNumber}. `;
-        if (order.items?.length) statusMessage += `Items: ${order.items.join(', ')}. `;
+    if (this.transfer.status === 'announcing') this.setState('transferring');
+    return result;
+  }
 
-        return JSON.stringify({ success: true, message: statusMessage, order });
-      } catch (err) {
-        return JSON.stringify({ success: false, message: "I'm having trouble checking that order right now. Try again shortly." });
-      }
+  // Called when Twilio echoes our mark (announcement finished playing) or the fallback timer fires
+  async performTransfer() {
+    const { transfer } = this;
+    if (transfer.status !== 'awaiting_playback') return;
+    transfer.status = 'dialing';
+    clearTimeout(transfer.fallbackTimer);
+
+    const result = await redirectCallToNumber(this.callSid, transfer.target, this.userSettings);
+    if (result.success) {
+      transfer.status = 'completed';
+      this.addTranscript('System', `Call transferred to ${transfer.target.name} (${transfer.target.number})`);
+      return;
     }
 
-    return JSON.stringify({ success: false, message: 'Unknown function' });
+    transfer.status = 'failed';
+    this.setState('in-conversation');
+    this.addTranscript('System', `Transfer to ${transfer.target.name} failed`);
+    if (this.openaiWs && this.openaiWs.readyState === WebSocket.OPEN) {
+      this.openaiWs.send(
+        JSON.stringify({
+          type: 'conversation.item.create',
+          item: {
+            type: 'message',
+            role: 'system',
+            content: [
+              {
+                type: 'input_text',
+                text: 'The transfer could not be completed. Apologize to the caller and offer to take a message with capture_lead_info() instead.',
+              },
+            ],
+          },
+        }),
+      );
+      this.openaiWs.send(JSON.stringify({ type: 'response.create' }));
+    }
   }
 
-  async function initializeOpenAI(settings) {
+  connectOpenAI() {
+    const { persona } = this;
     try {
-      console.log('🔗 Connecting to OpenAI...');
+      logger.info(this.reconnect.attempts ? `🔗 Reconnecting to OpenAI (attempt ${this.reconnect.attempts})...` : '🔗 Connecting to OpenAI...');
 
-      openaiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17', {
+      const socket = new WebSocket(`${OPENAI_REALTIME_URL}?model=${encodeURIComponent(persona.model)}`, {
         headers: {
           Authorization: 'Bearer ' + process.env.OPENAI_API_KEY,
           'OpenAI-Beta': 'realtime=v1',
         },
       });
+      this.openaiWs = socket;
+      this.playback.reset();
+      this.activeResponseId = null;
+      let opened = false;
+      const connectStartedAt = Date.now();
+
+      socket.on('open', () => {
+        opened = true;
+        recordRealtimeConnection(true);
+        metrics.openaiConnectDuration.observe({ result: 'success' }, (Date.now() - connectStartedAt) / 1000);
+        logger.info('✅ Connected to OpenAI');
+
+        const instructions = buildAIInstructions(this.userSettings, {
+          enabledTools: this.enabledTools,
+          hoursStatus: this.hoursStatus,
+          persona,
+          outbound: this.outbound,
+        });
 
-      openaiWs.on('open', () => {
-        console.log('✅ Connected to OpenAI');
-
-        const instructions = buildAIInstructions(settings);
-
-        openaiWs.send(
+        socket.send(
           JSON.stringify({
             type: 'session.update',
             session: {
               modalities: ['text', 'audio'],
               instructions,
-              voice: 'shimmer',
+              voice: persona.voice,
               input_audio_format: 'g711_ulaw',
               output_audio_format: 'g711_ulaw',
-              input_audio_transcription: { model: 'whisper-1' },
+              input_audio_transcription: persona.transcriptionLanguage
+                ? { model: 'whisper-1', language: persona.transcriptionLanguage }
+                : { model: 'whisper-1' },
               turn_detection: {
                 type: 'server_vad',
-                threshold: 0.5,
-                prefix_padding_ms: 300,
-                silence_duration_ms: 1500,
+                threshold: persona.vad.threshold,
+                prefix_padding_ms: persona.vad.prefixPaddingMs,
+                silence_duration_ms: persona.vad.silenceDurationMs,
               },
-              temperature: 0.9,
-              max_response_output_tokens: 800,
-              tools: FUNCTION_TOOLS,
+              temperature: persona.temperature,
+              max_response_output_tokens: persona.maxResponseOutputTokens,
+              tools: toRealtimeTools(this.enabledTools),
             },
           }),
         );
-        
-        // Wait 2 seconds before letting AI start speaking
-        console.log('⏳ Waiting 2 seconds before initiating conversation...');
+
+        if (this.state === 'settings-loaded') {
+          this.setState('ai-connected');
+          // Wait 2 seconds before letting AI start speaking
+          logger.info('⏳ Waiting 2 seconds before initiating conversation...');
+        }
       });
 
-      openaiWs.on('message', async (data) => {
+      socket.on('message', async (data) => {
+        if (socket !== this.openaiWs) return;
         try {
-          const event = JSON.parse(data.toString());
-
-          if (event.type === 'session.updated') {
-            // Wait 1 second before triggering the first response (sounds more natural)
-            setTimeout(() => {
-              console.log('✅ Starting conversation after 1-second delay');
-              openaiWs.send(JSON.stringify({ type: 'response.create' }));
-            }, 1000);
-          }
-
-          if (event.type === 'response.audio.delta' && event.delta) {
-            ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload: event.delta } }));
-          }
-
-          if (event.type === 'conversation.item.input_audio_transcription.completed') {
-            console.log('👤 User:', event.transcript);
-            conversationTranscript.push({
-              speaker: 'Customer',
-              text: event.transcript,
-              timestamp: new Date().toISOString()
-            });
-          }
-
-          if (event.type === 'response.audio_transcript.done') {
-            console.log('🤖 Krystle:', event.transcript);
-            conversationTranscript.push({
-              speaker: 'Krystle',
-              text: event.transcript,
-              timestamp: new Date().toISOString()
-            });
-          }
-
-          if (event.type === 'error' || event.type === 'response.failed') {
-            console.error('❌ OpenAI Error:', JSON.stringify(event, null, 2));
-          }
-
-          if (event.type === 'response.function_call_arguments.done') {
-            const functionName = event.name;
-            const functionArgs = JSON.parse(event.arguments);
-
-            const result = await handleFunctionCall(functionName, functionArgs);
-
-            openaiWs.send(
-              JSON.stringify({
-                type: 'conversation.item.create',
-                item: { type: 'function_call_output', call_id: event.call_id, output: result },
-              }),
-            );
-
-            openaiWs.send(JSON.stringify({ type: 'response.create' }));
-          }
+          await this.handleOpenAIEvent(JSON.parse(data.toString()));
         } catch (error) {
-          console.error('❌ Error processing OpenAI message:', sanitizeForLog(error));
+          logger.error('❌ Error processing OpenAI message:', sanitizeForLog(error));
         }
       });
 
-      openaiWs.on('error', (error) => {
-        console.error('❌ OpenAI error:', sanitizeForLog(error));
+      socket.on('error', (error) => {
+        logger.error('❌ OpenAI error:', sanitizeForLog(error));
+      });
+
+      // 'close' follows every 'error', so reconnection is driven from here only
+      socket.on('close', (code) => {
+        if (!opened) {
+          recordRealtimeConnection(false);
+          metrics.openaiConnectDuration.observe({ result: 'failure' }, (Date.now() - connectStartedAt) / 1000);
+        }
+        if (socket !== this.openaiWs || this.isEnding) return;
+        logger.warn('⚠️ OpenAI connection closed mid-call, code', code);
+        this.handleOpenAIDisconnect();
       });
     } catch (error) {
-      console.error('❌ Failed to connect:', sanitizeForLog(error));
+      logger.error('❌ Failed to connect:', sanitizeForLog(error));
+      recordRealtimeConnection(false);
+      this.handleOpenAIDisconnect();
     }
   }
 
-  ws.on('close', () => {
-    console.log('🔌 Twilio closed');
-    activeSessions.delete(sessionId);
-    if (openaiWs) openaiWs.close();
-  });
+  handleOpenAIDisconnect() {
+    // A transfer that is already dialing replaces the stream anyway
+    if (this.isEnding || this.reconnect.timer || ['dialing', 'completed'].includes(this.transfer.status)) return;
+
+    if (this.reconnect.attempts === 0) {
+      this.emit('ai_disconnected');
+      this.playHoldPrompt();
+    }
+
+    if (this.reconnect.attempts >= OPENAI_RECONNECT_ATTEMPTS) {
+      logger.error(`❌ OpenAI unavailable after ${this.reconnect.attempts} reconnect attempts - falling back to voicemail`);
+      this.fallBackToVoicemail('ai_unavailable');
+      return;
+    }
+
+    this.reconnect.attempts++;
+    this.reconnect.resuming = this.state !== 'settings-loaded' && this.state !== 'ai-connected';
+    const delay = OPENAI_RECONNECT_BASE_MS * 2 ** (this.reconnect.attempts - 1);
+    logger.info(`🔄 Reconnecting to OpenAI in ${delay}ms`);
+    this.reconnect.timer = setTimeout(() => {
+      this.reconnect.timer = null;
+      if (!this.isEnding) this.connectOpenAI();
+    }, delay);
+  }
+
+  /** Replays what the new Realtime session needs to pick the conversation back up, then lets the AI speak. */
+  resumeConversation() {
+    const { capturedLeadInfo, booking } = this;
+    const recent = this.transcript
+      .slice(-RESUME_TRANSCRIPT_ENTRIES)
+      .map((entry) => `[${entry.speaker}]: ${entry.text.length > 300 ? entry.text.slice(0, 300) + '…' : entry.text}`);
+    const lead = ['name', 'email', 'phone', 'notes']
+      .filter((key) => capturedLeadInfo[key])
+      .map((key) => `${key}: ${capturedLeadInfo[key]}`);
+
+    let context =
+      'The call connection was briefly interrupted and is now restored. This is the SAME call - do not greet the caller again. ' +
+      'Briefly apologize (e.g. "Sorry about that, I\'m back") and continue where you left off.';
+    if (recent.length) context += `\n\nConversation so far:\n${recent.join('\n')}`;
+    if (lead.length) context += `\n\nAlready captured with capture_lead_info (do not ask again): ${lead.join('; ')}`;
+    if (booking.result?.appointmentId) {
+      context += `\n\nAn appointment is already booked (${booking.details?.dateTime}, id ${booking.result.appointmentId}) - do not book it again.`;
+    }
+
+    this.openaiWs.send(
+      JSON.stringify({
+        type: 'conversation.item.create',
+        item: { type: 'message', role: 'system', content: [{ type: 'input_text', text: context }] },
+      }),
+    );
+    this.openaiWs.send(JSON.stringify({ type: 'response.create' }));
+
+    logger.info(`✅ Conversation resumed after ${this.reconnect.attempts} reconnect attempt(s)`);
+    this.reconnect.attempts = 0;
+    this.reconnect.resuming = false;
+    this.emit('ai_reconnected');
+  }
+
+  async playHoldPrompt() {
+    const audio = await getHoldPrompt(openai, this.persona.voice);
+    if (!audio || this.isEnding || this.ws.readyState !== WebSocket.OPEN) return;
+    for (const payload of toMediaPayloads(audio)) {
+      this.ws.send(JSON.stringify({ event: 'media', streamSid: this.streamSid, media: { payload } }));
+      this.recorder?.addOutbound(payload);
+    }
+  }
+
+  /** Hands the call to Twilio to record a message when the AI receptionist can't take it. */
+  async fallBackToVoicemail(reason) {
+    this.voicemailFallback = true;
+    this.voicemailReason = reason;
+    releaseCallSlot(this.callSid);
+    this.addTranscript('System', `Caller sent to voicemail (${reason})`);
+    try {
+      await twilioClient.calls(this.callSid).update({ twiml: buildVoicemailTwiml(this.userSettings, this.publicBaseUrl, reason) });
+      logger.info('📼 Call redirected to voicemail -', reason);
+    } catch (error) {
+      logger.error('❌ Voicemail fallback failed:', sanitizeForLog(error));
+      // Nothing left to play - ending the stream lets Twilio finish the call
+      this.ws.close();
+    }
+  }
+
+  /**
+   * The caller started talking over the receptionist: stop her mid-sentence. Clears the audio queued at
+   * Twilio, cancels the reply being generated and truncates the assistant item at what was actually played,
+   * so both the model's context and the call transcript only hold what the caller heard.
+   */
+  handleBargeIn() {
+    if (this.activeResponseId && this.openaiWs?.readyState === WebSocket.OPEN) {
+      this.openaiWs.send(JSON.stringify({ type: 'response.cancel' }));
+    }
+
+    const { playback } = this;
+    if (!playback.isPlaying) return;
+
+    const { itemId, playedMs } = playback;
+    this.ws.send(JSON.stringify({ event: 'clear', streamSid: this.streamSid }));
+    this.recorder?.truncateOutbound();
+    if (this.openaiWs?.readyState === WebSocket.OPEN) {
+      this.openaiWs.send(JSON.stringify({ type: 'conversation.item.truncate', item_id: itemId, content_index: 0, audio_end_ms: playedMs }));
+    }
+
+    const heard = playback.heardText();
+    if (playback.entry) {
+      playback.entry.text = heard;
+      playback.entry.interrupted = true;
+      if (!heard) this.transcript.splice(this.transcript.indexOf(playback.entry), 1);
+    } else if (heard) {
+      this.addTranscript(this.persona.name, heard).interrupted = true;
+    }
+
+    logger.info(`✋ Caller interrupted ${this.persona.name} after ${playedMs}ms:`, heard || '(nothing heard)');
+    this.emit('barge_in', { itemId, playedMs, heard });
+    this.interruptedItemId = itemId;
+    playback.reset();
+  }
+
+  async handleOpenAIEvent(event) {
+    const { ws, transfer } = this;
+
+    if (event.type === 'session.updated' && this.reconnect.resuming) {
+      this.resumeConversation();
+    } else if (event.type === 'session.updated' && this.state === 'ai-connected') {
+      // Wait 1 second before triggering the first response (sounds more natural)
+      setTimeout(() => {
+        if (this.openaiWs?.readyState !== WebSocket.OPEN) return;
+        logger.info('✅ Starting conversation after 1-second delay');
+        this.setState('in-conversation');
+        this.openaiWs.send(JSON.stringify({ type: 'response.create' }));
+      }, 1000);
+    }
+
+    if (event.type === 'response.created') this.activeResponseId = event.response?.id || null;
+    if (event.type === 'response.done') {
+      if (event.response?.id === this.activeResponseId) this.activeResponseId = null;
+      this.usage.addRealtimeUsage(event.response?.usage);
+    }
+
+    // Audio still in flight for an interrupted item must not reach the caller
+    if (event.type === 'response.audio.delta' && event.delta && event.item_id !== this.interruptedItemId) {
+      if (!this.firstAudioSent && this.streamStartedAt) {
+        this.firstAudioSent = true;
+        metrics.timeToFirstAudio.observe({ direction: this.direction }, (Date.now() - this.streamStartedAt) / 1000);
+      }
+      ws.send(JSON.stringify({ event: 'media', streamSid: this.streamSid, media: { payload: event.delta } }));
+      this.recorder?.addOutbound(event.delta);
+      const markName = this.playback.addAudio(event.item_id, event.delta);
+      ws.send(JSON.stringify({ event: 'mark', streamSid: this.streamSid, mark: { name: markName } }));
+    }
+
+    if (event.type === 'input_audio_buffer.speech_started') {
+      this.usage.speechStarted(event.audio_start_ms);
+      this.handleBargeIn();
+    }
+    if (event.type === 'input_audio_buffer.speech_stopped') this.usage.speechStopped(event.audio_end_ms);
+
+    if (event.type === 'conversation.item.input_audio_transcription.completed') {
+      logger.info('👤 User:', event.transcript);
+      this.addTranscript('Customer', event.transcript);
+    }
+
+    if (event.type === 'response.audio_transcript.delta' && event.delta) {
+      this.playback.addTranscriptDelta(event.item_id, event.delta);
+    }
+
+    // An interrupted item is already in the transcript with only the part the caller heard
+    if (event.type === 'response.audio_transcript.done' && event.item_id !== this.interruptedItemId) {
+      logger.info(`🤖 ${this.persona.name}:`, event.transcript);
+      const entry = this.addTranscript(this.persona.name, event.transcript);
+      this.playback.setEntry(event.item_id, entry);
+    }
+
+    // Cancelling a response the server already stopped for the same interruption is expected
+    if (event.type === 'error' && event.error?.code === 'response_cancel_not_active') return;
+
+    if (event.type === 'error' || event.type === 'response.failed') {
+      logger.error('❌ OpenAI Error:', JSON.stringify(event, null, 2));
+    }
+
+    // Once the spoken transfer announcement is fully generated, ask Twilio to tell us when it has played
+    if (
+      event.type === 'response.done' &&
+      transfer.status === 'announcing' &&
+      event.response?.output?.some((item) => item.type === 'message')
+    ) {
+      transfer.status = 'awaiting_playback';
+      ws.send(JSON.stringify({ event: 'mark', streamSid: this.streamSid, mark: { name: TRANSFER_MARK } }));
+      transfer.fallbackTimer = setTimeout(() => this.performTransfer(), TRANSFER_PLAYBACK_TIMEOUT_MS);
+    }
+
+    if (event.type === 'response.function_call_arguments.done') {
+      const functionName = event.name;
+      const functionArgs = JSON.parse(event.arguments);
+
+      const result = await this.handleFunctionCall(functionName, functionArgs);
+      if (this.openaiWs?.readyState !== WebSocket.OPEN) return;
+
+      this.openaiWs.send(
+        JSON.stringify({
+          type: 'conversation.item.create',
+          item: { type: 'function_call_output', call_id: event.call_id, output: result },
+        }),
+      );
+
+      this.openaiWs.send(JSON.stringify({ type: 'response.create' }));
+    }
+  }
+
+  /**
+   * Ends the call: uploads the recording, runs the post-call analysis, fires the webhooks and closes the
+   * call record. Safe to call any number of times - every caller gets the same promise.
+   * `reason` is 'stop' (Twilio ended the stream) or 'socket_closed' (the stream dropped without a stop).
+   */
+  finalize(reason) {
+    if (!this.finalizePromise) {
+      this.finalizePromise = this.runFinalize(reason).catch((error) => {
+        logger.error('❌ Error finalizing call:', sanitizeForLog(error));
+      });
+    }
+    return this.finalizePromise;
+  }
+
+  async runFinalize(reason) {
+    this.setState('finalizing');
+    if (this.callSid) releaseCallSlot(this.callSid);
+    clearTimeout(this.transfer.fallbackTimer);
+    clearTimeout(this.reconnect.timer);
+    if (this.openaiWs) this.openaiWs.close();
+
+    // Sockets that never started a verified call have nothing to report
+    if (this.rejected || !this.callSid) {
+      this.setState('closed');
+      return;
+    }
+
+    if (reason !== 'stop') logger.warn('⚠️ Media stream closed without stop - finalizing', this.callSid);
+    if (this.adminHangup) reason = 'admin_hangup';
+    // Twilio drops the stream once the call is moved, which can beat interruptForShutdown() here
+    if (this.shutdownInterrupted) reason = 'shutdown';
+    const status = reason === 'shutdown' ? 'interrupted' : 'completed';
+
+    const { callSid, userId, userSettings, capturedLeadInfo, booking, appointments, transfer } = this;
+    const durationSec = Math.floor((new Date() - this.startedAt) / 1000);
+
+    const { hasLeadInfo, appointmentBooked } = getConversationOutcome(capturedLeadInfo, booking);
+    const usage = await recordUsage(userId, { callSid, durationSec, usage: this.usage });
+
+    // Recording upload and AI analysis are independent - run them side by side
+    const [recording, analysis] = await Promise.all([
+      this.recorder ? uploadRecording(supabase, { recorder: this.recorder, userId, callSid }) : null,
+      analyzeCall(openai, this.transcript, {
+        businessName: userSettings?.businessName,
+        leadInfo: capturedLeadInfo,
+        appointmentBooked,
+        transferred: transfer.status === 'completed',
+      }),
+    ]);
+    if (recording?.success) logger.info('✅ Recording uploaded:', recording.path);
+    else if (recording) logger.error('⚠️ Recording upload failed:', recording.error);
+    this.recorder = null;
+
+    const base = {
+      callSid,
+      userId: userId || undefined,
+      fromNumber: this.dialedNumbers.fromNumber || undefined,
+      toNumber: this.dialedNumbers.toNumber || undefined,
+      channel: 'voice',
+      direction: this.direction,
+      callPurpose: this.outbound?.purpose,
+      duration: durationSec,
+      businessName: userSettings?.businessName || 'Unknown',
+      status,
+      endReason: reason,
+      afterHours: !this.hoursStatus.open,
+      recordingUrl: recording?.url || undefined,
+      transferred: transfer.status === 'completed',
+      transferTarget: transfer.status === 'completed' ? transfer.target.name : undefined,
+      transferNumber: transfer.status === 'completed' ? transfer.target.number : undefined,
+      voicemailFallback: this.voicemailFallback,
+      voicemailReason: this.voicemailReason || undefined,
+      callSummary: analysis?.summary || undefined,
+      callIntent: analysis?.intent,
+      sentiment: analysis?.sentiment,
+      urgency: analysis?.urgency,
+      leadScore: analysis?.leadScore ?? undefined,
+      actionItems: analysis?.actionItems,
+    };
+
+    await triggerOutcomeWebhooks(
+      base,
+      { capturedLeadInfo, booking, appointments, analysis, transcript: this.transcript, customerPhone: this.fromPhoneNumber },
+      userSettings,
+    );
+
+    // Finalize call in backend (best-effort)
+    if (userId && callSid) {
+      try {
+        await backendFetch(`${SUPABASE_FUNCTIONS_URL}/calls/${callSid}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          },
+          body: JSON.stringify({
+            status,
+            endReason: reason,
+            duration: durationSec,
+            leadCaptured: hasLeadInfo,
+            transferred: transfer.status === 'completed',
+            recordingUrl: recording?.url || undefined,
+            recordingPath: recording?.path || undefined,
+            analysis: analysis || undefined,
+            usage,
+          }),
+        });
+        logger.info('✅ Call finalized in backend');
+      } catch (err) {
+        logger.error('⚠️ Failed to finalize call:', err.message);
+      }
+    }
+
+    this.setState('closed');
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  logger.info('🔌 NEW WEBSOCKET CONNECTION');
+
+  const session = new CallSession(ws, { publicBaseUrl: getPublicBaseUrl(req) });
+  activeSessions.set(session.id, session);
+
+  // Twilio socket events run in the session's log context; the Realtime socket and timers created from them inherit it
+  ws.on('message', (message) =>
+    withLogContext(session.logContext, async () => {
+      try {
+        await session.handleTwilioMessage(JSON.parse(message.toString()));
+      } catch (error) {
+        logger.error('❌ Error:', sanitizeForLog(error));
+      }
+    }),
+  );
+
+  ws.on('close', () =>
+    withLogContext(session.logContext, async () => {
+      logger.info('🔌 Twilio closed');
+      await session.finalize('socket_closed');
+      activeSessions.delete(session.id);
+    }),
+  );
 });
 
 server.listen(PORT, () => {
-  console.log('');
-  console.log('🚀 Talkertive WebSocket Bridge Server v2.2.2');
-  console.log('📡 Port:', PORT);
-  console.log('🎤 Receptionist: Krystle (Shimmer voice)');
-  console.log('📱 SMS Status:', process.env.TWILIO_PHONE_NUMBER ? 'Enabled' : 'Disabled (set TWILIO_PHONE_NUMBER)');
-  console.log('🔔 n8n Webhook:', process.env.N8N_WEBHOOK_URL ? 'Enabled' : 'Disabled (set N8N_WEBHOOK_URL)');
-  console.log('');
-});
-
-process.on('SIGTERM', () => {
-  console.log('🛑 Shutting down...');
-  server.close(() => process.exit(0));
-});
\ No newline at end of file
+  logger.info('');
+  logger.info(`🚀 Talkertive WebSocket Bridge Server v${packageInfo.version}`);
+  logger.info('📡 Port:', PORT);
+  logger.info(`🎤 Default receptionist: ${DEFAULT_PERSONA.name} (${DEFAULT_PERSONA.voice} voice)`);
+  logger.info('📱 SMS Status:', process.env.TWILIO_PHONE_NUMBER ? 'Enabled' : 'Disabled (set TWILIO_PHONE_NUMBER)');
+  logger.info('🔔 n8n Webhook:', process.env.N8N_WEBHOOK_URL ? 'Enabled' : 'Disabled (set N8N_WEBHOOK_URL)');
+  logger.info('');
+});
+
+// ========================= Graceful shutdown =========================
+// SIGTERM (every Railway redeploy) starts draining: /incoming-call turns new calls away or redirects them,
+// /ready reports 503 and live calls get until DRAIN_TIMEOUT_MS to finish on their own. Calls still up at the
+// deadline are interrupted and finalized - webhooks, usage and the backend record - before the process exits.
+// A second signal skips the rest of the wait.
+// Everything has to fit in SHUTDOWN_GRACE_MS, which should end before the platform's SIGKILL: finalizing gets
+// SHUTDOWN_FINALIZE_TIMEOUT_MS of it (half by default) and draining the rest, unless DRAIN_TIMEOUT_MS is shorter
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS) || 25000;
+const SHUTDOWN_FINALIZE_TIMEOUT_MS = Math.min(
+  Number(process.env.SHUTDOWN_FINALIZE_TIMEOUT_MS) || SHUTDOWN_GRACE_MS / 2,
+  SHUTDOWN_GRACE_MS,
+);
+const DRAIN_TIMEOUT_MS = Math.min(
+  Number(process.env.DRAIN_TIMEOUT_MS) || Infinity,
+  SHUTDOWN_GRACE_MS - SHUTDOWN_FINALIZE_TIMEOUT_MS,
+);
+// Webhooks still retrying this long before the grace period ends are dead-lettered, while there's time to write them
+const SHUTDOWN_DEAD_LETTER_MARGIN_MS = Math.min(3000, SHUTDOWN_FINALIZE_TIMEOUT_MS / 2);
+const DRAIN_POLL_MS = 500;
+const SHUTDOWN_TWIML =
+  '<Response><Say>Sorry, we have to end this call. Please call us back in a moment.</Say><Hangup/></Response>';
+
+/** Calls still in progress on this instance. */
+function liveCallSessions() {
+  return [...activeSessions.values()].filter((session) => session.callSid && !session.rejected && !session.isEnding);
+}
+
+function waitForCallsToFinish() {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearInterval(poll);
+      clearTimeout(deadline);
+      drain.stopWaiting = null;
+      resolve();
+    };
+    const poll = setInterval(() => {
+      if (liveCallSessions().length === 0) done();
+    }, DRAIN_POLL_MS);
+    const deadline = setTimeout(done, Math.max(0, drain.deadline - Date.now()));
+    drain.stopWaiting = done;
+    if (liveCallSessions().length === 0) done();
+  });
+}
+
+async function shutdown(signal) {
+  if (drain.active) {
+    logger.info(`🛑 ${signal} again - interrupting remaining calls now`);
+    drain.stopWaiting?.();
+    return;
+  }
+  drain.active = true;
+  drain.startedAt = Date.now();
+  drain.deadline = drain.startedAt + DRAIN_TIMEOUT_MS;
+  const exitDeadline = drain.startedAt + SHUTDOWN_GRACE_MS;
+  logger.info(
+    `🛑 ${signal} received - draining ${liveCallSessions().length} live call(s), up to ${DRAIN_TIMEOUT_MS / 1000}s ` +
+      `(exiting within ${SHUTDOWN_GRACE_MS / 1000}s)`,
+  );
+
+  let exitCode = 0;
+  try {
+    await waitForCallsToFinish();
+
+    // Finalizing makes backend, webhook and OpenAI requests; don't let a hung one keep the old instance alive.
+    // Webhooks still retrying near the end are dead-lettered first so they can be replayed.
+    setTimeout(async () => {
+      const deadLettered = await deadLetterInFlightDeliveries('shutdown before delivery finished').catch(() => 0);
+      if (deadLettered) logger.error(`🪦 Dead-lettered ${deadLettered} webhook(s) still being delivered`);
+    }, Math.max(0, exitDeadline - SHUTDOWN_DEAD_LETTER_MARGIN_MS - Date.now())).unref();
+    setTimeout(() => {
+      logger.error('❌ Shutdown finalization timed out - exiting');
+      process.exit(1);
+    }, Math.max(0, exitDeadline - Date.now())).unref();
+
+    const remaining = liveCallSessions();
+    if (remaining.length) logger.warn(`⏱️ Drain deadline reached - interrupting ${remaining.length} call(s)`);
+
+    // allSettled: one failed finalize must not cut the others short
+    const results = await Promise.allSettled([
+      // Sessions already finalizing are awaited too, so their webhooks go out before exit
+      ...[...activeSessions.values()].map((session) => withLogContext(session.logContext, () => session.interruptForShutdown())),
+      ...[...smsThreads.values()].map((thread) =>
+        withLogContext(thread.logContext, async () => {
+          await thread.queue;
+          await thread.finalize('shutdown');
+        }),
+      ),
+      // Voicemails still waiting for their transcription go out without it
+      ...[...pendingVoicemails.keys()].map((recordingSid) => deliverVoicemail(recordingSid)),
+    ]);
+    const failures = results.filter((result) => result.status === 'rejected');
+    failures.forEach(({ reason }) => logger.error('⚠️ Shutdown finalize failed:', reason?.message || reason));
+    if (failures.length) exitCode = 1;
+  } catch (err) {
+    logger.error('❌ Shutdown error:', err.message);
+    exitCode = 1;
+  }
+
+  logger.info(`👋 Drained in ${Math.round((Date.now() - drain.startedAt) / 1000)}s - exiting`);
+  // Streams whose call couldn't be moved are still open; nothing is left to do on them
+  wss.clients.forEach((client) => client.terminate());
+  wss.close();
+  server.close(() => process.exit(exitCode));
+  server.closeAllConnections();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file